@@ -3,10 +3,8 @@ import { useStyletron } from "baseui";
 import { Block } from "baseui/block";
 import { Card, StyledBody, hasThumbnail as cardHasThumbnail } from "baseui/card";
 import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
-import { Input } from "baseui/input";
 import { Slider } from "baseui/slider";
 import { Select } from "baseui/select";
-import { Textarea } from "baseui/textarea";
 import { RadioGroup, Radio } from "baseui/radio";
 import {
   Notification,
@@ -20,34 +18,66 @@ import {
   ParagraphSmall,
   LabelMedium,
 } from "baseui/typography";
-import {
-  Upload,
-  BookOpen,
-  Check,
-  AlertCircle,
-  Download,
-  RefreshCw,
-  ChevronDown,
-  ChevronUp,
-} from "lucide-react";
+import { Upload, BookOpen, Download, RefreshCw } from "lucide-react";
 import * as pdfjsLib from "pdfjs-dist";
 import pdfWorker from "pdfjs-dist/build/pdf.worker?url";
-import Tesseract from "tesseract.js";
-import { jsonrepair } from "jsonrepair";
+import ProviderSettings from "./components/ProviderSettings";
+import QuizLibrary from "./components/QuizLibrary";
+import ExportMenu from "./components/ExportMenu";
+import QuizPlayer from "./components/QuizPlayer";
+import ReviewDeck from "./components/ReviewDeck";
+import PageViewer from "./components/PageViewer";
+import PagePicker from "./components/PagePicker";
+import ChapterTree from "./components/ChapterTree";
+import OcrSettings from "./components/OcrSettings";
+import GenerationPreview from "./components/GenerationPreview";
+import {
+  getDefaultProviderConfig,
+  getProviderConfigError,
+} from "./llm/providers";
+import {
+  generateQuiz,
+  generateReplacementQuestion,
+} from "./generation/generateQuiz";
+import { formatPageList, rangeToPageNumbers } from "./pdf/pageSelection";
+import { LAYOUT_VERSION } from "./pdf/layout";
+import { cleanPageTexts } from "./pdf/pageCleanup";
+import { getOcrPoolSize, recognizePages } from "./ocr/ocrPool";
+import { preprocessCanvas } from "./ocr/preprocess";
+import { assessTextLayer } from "./ocr/textQuality";
+import {
+  DEFAULT_OCR_SETTINGS,
+  getOcrSignature,
+  isOcrForced,
+} from "./ocr/settings";
+import { saveQuiz, updateQuiz } from "./storage/quizLibrary";
+import { cachePages, getCachedPages } from "./storage/pageTextCache";
+import {
+  ACCEPTED_FILE_TYPES,
+  formatUnitCount,
+  loadInputSource,
+} from "./inputs";
+import { deleteCardsForQuiz, syncCardsWithQuiz } from "./storage/reviewCards";
+import {
+  DEFAULT_LANGUAGE_PREFERENCE,
+  LANGUAGES,
+  getOcrLanguageCode,
+  normalizeLanguagePreference,
+  parseLanguagePreference,
+  toLanguagePreference,
+} from "./languages/registry";
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  exportText,
+  parseQuizFile,
+  printHtml,
+} from "./exporters";
 
 if (pdfjsLib?.GlobalWorkerOptions) {
   pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker;
 }
 
-const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash";
-const GEMINI_MODEL =
-  [
-    import.meta.env.VITE_GEMINI_MODEL,
-    import.meta.env.VITE_GEMINI_MODEL_NAME,
-  ]
-    .map((value) => value?.trim())
-    .find(Boolean) || DEFAULT_GEMINI_MODEL;
-
 const DIFFICULTY_OPTIONS = [
   { id: "Easy", label: "Easy" },
   { id: "Medium", label: "Medium" },
@@ -60,30 +90,59 @@ const QUESTION_TYPES = [
   { id: "Short Answer", label: "Short Answer" },
 ];
 
-const LANGUAGE_OPTIONS = [
-  { id: "English", label: "English only" },
-  { id: "Hindi", label: "Hindi only" },
-  { id: "Bilingual", label: "Bilingual (Hindi + English)" },
-];
+const LANGUAGE_OPTIONS = LANGUAGES.map((language) => ({
+  id: language.id,
+  label:
+    language.nativeName === language.id
+      ? language.id
+      : `${language.id} (${language.nativeName})`,
+}));
+
+const NO_TRANSLATION = { id: "", label: "None (single language)" };
+
+const getConfidenceKind = (confidence) => {
+  if (confidence === null) return TagKind.negative;
+  if (confidence >= 80) return TagKind.positive;
+  if (confidence >= 60) return TagKind.warning;
+  return TagKind.negative;
+};
 
 const BookQAGenerator = () => {
   const [css, theme] = useStyletron();
-  const [file, setFile] = useState(null);
+  const [fileName, setFileName] = useState("");
   const [questions, setQuestions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [statusText, setStatusText] = useState("");
   const [error, setError] = useState("");
+  const [warning, setWarning] = useState("");
+  const [rejectedCount, setRejectedCount] = useState(0);
+  const [activeQuiz, setActiveQuiz] = useState(null);
+  const [sourcePages, setSourcePages] = useState(null);
+  const [sourceQuestion, setSourceQuestion] = useState(null);
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const [reviewVersion, setReviewVersion] = useState(0);
   const [isDragging, setIsDragging] = useState(false);
 
-  const [startPage, setStartPage] = useState(1);
-  const [endPage, setEndPage] = useState(5);
-  const [totalPages, setTotalPages] = useState(0);
+  const [source, setSource] = useState(null);
+  const pdfDocument = source?.pdf ?? null;
+  const [selectedPages, setSelectedPages] = useState([]);
   const [difficulty, setDifficulty] = useState("Medium");
   const [qCount, setQCount] = useState(5);
   const [questionType, setQuestionType] = useState("Mixed");
-  const [languagePreference, setLanguagePreference] = useState("Bilingual");
+  const [languagePreference, setLanguagePreference] = useState(
+    DEFAULT_LANGUAGE_PREFERENCE
+  );
+  const [providerConfig, setProviderConfig] = useState(() =>
+    getDefaultProviderConfig(import.meta.env.VITE_LLM_PROVIDER)
+  );
+
+  const [canCancel, setCanCancel] = useState(false);
+  const [streamPreview, setStreamPreview] = useState(null);
+  const [ocrSettings, setOcrSettings] = useState(DEFAULT_OCR_SETTINGS);
+  const [ocrReport, setOcrReport] = useState([]);
 
   const fileInputRef = useRef(null);
+  const generationRef = useRef(null);
 
   const handleDragOver = (event) => {
     event.preventDefault();
@@ -101,252 +160,301 @@ const BookQAGenerator = () => {
     event.preventDefault();
     event.stopPropagation();
     setIsDragging(false);
-    const droppedFile = event.dataTransfer?.files?.[0];
-    if (droppedFile) {
-      processFile(droppedFile);
+    const droppedFiles = [...(event.dataTransfer?.files || [])];
+    if (droppedFiles.length) {
+      processFiles(droppedFiles);
     }
   };
 
   const handleFileChange = (event) => {
-    const pickedFile = event.target.files?.[0];
-    if (pickedFile) {
-      processFile(pickedFile);
+    const pickedFiles = [...(event.target.files || [])];
+    if (pickedFiles.length) {
+      processFiles(pickedFiles);
       event.target.value = "";
     }
   };
 
-  const processFile = async (uploadedFile) => {
-    if (uploadedFile.type !== "application/pdf") {
-      setError("Please upload a valid PDF file.");
-      return;
-    }
-
-    if (!pdfjsLib?.getDocument) {
-      setError("PDF engine failed to initialize. Please refresh and try again.");
-      return;
-    }
-
-    setFile(uploadedFile);
-    setError("");
+  // Forgets the current file and everything read or selected from it.
+  const clearSource = () => {
+    setFileName("");
+    setSource(null);
+    setSelectedPages([]);
+    setSourcePages(null);
+    setSourceQuestion(null);
+    setOcrSettings((prev) => ({ ...prev, forcePages: [] }));
+    setOcrReport([]);
     setQuestions([]);
-    setStatusText("Analyzing PDF structure...");
+    setActiveQuiz(null);
+    setError("");
+    setWarning("");
+    setRejectedCount(0);
+  };
+
+  const processFiles = async (uploadedFiles) => {
+    clearSource();
+    setFileName(uploadedFiles[0].name);
+    setStatusText("Analyzing file structure...");
     setLoading(true);
 
     try {
-      const arrayBuffer = await uploadedFile.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-      setTotalPages(pdf.numPages);
-      setStartPage(1);
-      setEndPage(Math.min(pdf.numPages, 10));
-      setStatusText("PDF ready. Configure your quiz settings.");
-      setLoading(false);
+      const loaded = await loadInputSource(uploadedFiles);
+      setSource(loaded);
+      setFileName(loaded.name);
+      setSelectedPages(rangeToPageNumbers(1, Math.min(loaded.pageCount, 10)));
+      setStatusText(
+        `${formatUnitCount(loaded.pageCount, loaded.unitLabel)} ready. Configure your quiz settings.`
+      );
     } catch (err) {
       console.error(err);
-      setError(
-        "Failed to read PDF. It might be password protected or corrupted."
-      );
+      setFileName("");
+      setStatusText("");
+      setError(err.message || "Failed to read the file.");
+    } finally {
       setLoading(false);
     }
   };
 
-  const extractTextFromRange = async () => {
-    if (!file) return;
-    if (!pdfjsLib?.getDocument) {
-      setError("PDF engine failed to initialize. Please refresh and try again.");
-      return;
-    }
-
-    setLoading(true);
-    setStatusText(`Reading pages ${startPage} to ${endPage}...`);
-    setError("");
-
+  const loadCachedPages = async (pageNumbers) => {
     try {
-      const arrayBuffer = await file.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-      let fullText = "";
-      const maxPages = pdf.numPages;
-      const start = Math.max(1, startPage);
-      const end = Math.min(maxPages, endPage);
-
-      for (let i = start; i <= end; i++) {
-        setStatusText(`Extracting text from page ${i}...`);
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        let pageText = textContent.items.map((item) => item.str).join(" ");
-
-        if (needsOcr(pageText)) {
-          setStatusText(`Running OCR on page ${i}...`);
-          const ocrResult = await runOcrOnPage(page);
-          if (ocrResult) {
-            pageText = ocrResult;
-          }
-        }
-
-        fullText += `--- Page ${i} ---\n${pageText}\n\n`;
-      }
-
-      await generateQuestions(fullText);
+      return await getCachedPages(source.fileHash, pageNumbers);
     } catch (err) {
-      console.error(err);
-      setError("Error extracting text from PDF.");
-      setStatusText("");
-      setLoading(false);
+      console.error("Failed to read the page text cache:", err);
+      return new Map();
     }
   };
 
-  const generateQuestions = async (textContext) => {
-    setStatusText("AI is generating questions...");
-
-    const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
+  const reportOcrProgress = (progressByPage, pageNumber, progress) => {
+    progressByPage.set(pageNumber, progress);
+    const entries = [...progressByPage.entries()];
+    const doneCount = entries.filter(([, value]) => value >= 1).length;
+    const active = entries
+      .filter(([, value]) => value < 1)
+      .map(([number, value]) => `page ${number} ${Math.round(value * 100)}%`);
+    setStatusText(
+      `Running OCR with ${getOcrPoolSize()} workers: ${doneCount} of ${progressByPage.size} pages done${active.length ? ` (${active.join(", ")})` : ""}...`
+    );
+  };
 
-    if (!apiKey) {
-      setError(
-        "Gemini API key is missing. Add VITE_GEMINI_API_KEY to your .env file."
+  const renderPageForOcr = async (pageNumber) =>
+    preprocessCanvas(
+      await source.renderPage(pageNumber, ocrSettings),
+      ocrSettings.preprocessing
+    );
+
+  // Text already extracted or OCR'd from this file is reused; OCR results
+  // only count when they were made with the current OCR language and
+  // settings. Pages whose text layer is missing or garbled, or that are
+  // forced, are OCR'd together once the rest are read. Running headers and
+  // footers are stripped across the whole range before the text is used.
+  // EPUB, Word and text sections are used as they are.
+  const readPages = async (pageNumbers, signal) => {
+    const validPageNumbers = pageNumbers.filter(
+      (pageNumber) => pageNumber >= 1 && pageNumber <= source.pageCount
+    );
+    if (!source.supportsOcr) {
+      return Promise.all(
+        validPageNumbers.map(async (pageNumber) => ({
+          pageNumber,
+          text: await source.readTextLayer(pageNumber),
+        }))
       );
-      setLoading(false);
-      return;
     }
 
-  const languageInstruction = (() => {
-    if (languagePreference === "English") {
-      return `
-        Language preference: English only.
-        - Every question, option, answer, and explanation must be written entirely in natural English suitable for students.
-        - When the source passage is in Hindi or another language, produce an accurate translation that preserves the nuance and technical vocabulary. If a term has no direct translation, include the transliterated Hindi term in parentheses.
-        - Always include a short quote from the original language inside the "context" field followed by an English explanation so the learner can trace the source.
-        - Never include Hindi sentences in the question, options, or answer fields when English is requested.
-        - Set "questionTranslation" to null when English-only.
-      `;
-    }
-    if (languagePreference === "Hindi") {
-      return `
-        Language preference: Hindi only.
-        - Every question, option, answer, and explanation must be written entirely in natural, student-friendly Hindi.
-        - When the source passage is in English or another language, translate the meaning into idiomatic Hindi while preserving the detail. If a concept lacks a standard Hindi term, include the English term in parentheses.
-        - Always include a short quote from the original language in "context" followed by a Hindi explanation.
-        - Never include English sentences in the question, options, or answer fields when Hindi is requested.
-        - Set "questionTranslation" to null when Hindi-only.
-      `;
-    }
-    return `
-      Language preference: Bilingual (Hindi + English).
-      - For every question you produce, provide two versions of the same question: one in Hindi and one in English. Both versions must convey the same meaning, level of detail, and tone.
-      - Use the "question" field for the version that best matches the original source snippet, and ALWAYS include a faithful translation in the other language using the "questionTranslation" field. Ensure the translation is fluent, not word-for-word.
-      - Populate "translationLanguage" with the language used in "questionTranslation". ("Hindi" if translation is Hindi, "English" if translation is English.)
-      - Ensure options/answers/context follow the language of the primary "question". When helpful, you may add short parenthetical translations for tricky terminology.
-      - Every object MUST include both languages when bilingual mode is selected.
-    `;
-  })();
-
-    const prompt = `
-      Analyze the following text from a book (pages ${startPage}-${endPage}). 
-      Detect the languages present (focus on Hindi and English, but allow others).
-      The user selected: ${languagePreference}.
-      Generate ${qCount} ${difficulty} difficulty questions. 
-      You MUST return exactly ${qCount} question objects (no more, no less) unless there is literally no textual detail available; if the text feels repetitive, focus on finer-grained concepts rather than reducing the count. If absolutely impossible, provide your best attempt but still include a note in the "context" field explaining why the detail was limited.
-      ${languageInstruction}
-      The questions should be of type: ${questionType}.
-      
-      Return the output strictly as a JSON array of objects with this format:
-      [
-        {
-          "question": "Primary question text in the language indicated by 'language'",
-          "questionTranslation": "Translated question text in the complementary language (must be filled when bilingual is requested, otherwise null)",
-          "translationLanguage": "Hindi | English | null",
-          "options": ["Option A", "Option B", "Option C", "Option D"],
-          "answer": "Correct answer text (match one of the options exactly for MCQs)",
-          "context": "A brief quote or concept from the text; include the original-language snippet plus a short explanation in the output language when translating",
-          "type": "Multiple Choice | Short Answer",
-          "language": "Hindi | English | Other"
-        }
-      ]
-
-      If the text is too short or nonsensical, return an empty array.
-      
-      TEXT CONTENT:
-      ${textContext.substring(0, 30000)} 
-    `;
+    const ocrLanguage = getOcrLanguageCode(languagePreference);
+    const ocrSignature = getOcrSignature(ocrLanguage, ocrSettings);
+    const cached = await loadCachedPages(validPageNumbers);
+    const texts = new Map();
+    const extracted = [];
+    const ocrPageNumbers = [];
+    const report = new Map();
 
     try {
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-goog-api-key": apiKey,
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                role: "user",
-                parts: [{ text: prompt }],
-              },
-            ],
-            generationConfig: {
-              responseMimeType: "application/json",
-            },
-          }),
+      for (const pageNumber of validPageNumbers) {
+        signal?.throwIfAborted();
+        const forced = isOcrForced(ocrSettings, pageNumber);
+        const hit = cached.get(pageNumber);
+        if (hit?.source === "ocr" && hit.ocrSignature === ocrSignature) {
+          texts.set(pageNumber, hit.text);
+          report.set(pageNumber, {
+            pageNumber,
+            confidence: hit.confidence,
+            reason: "saved OCR text",
+          });
+          continue;
+        }
+        if (
+          hit?.source === "text" &&
+          hit.layoutVersion === LAYOUT_VERSION &&
+          !forced
+        ) {
+          texts.set(pageNumber, hit.text);
+          continue;
         }
-      );
-
-      const data = await response.json().catch(() => null);
 
-      if (!response.ok || !data) {
-        const apiMessage =
-          data?.error?.message ||
-          "Gemini API returned an unexpected response. Please verify your API key and model name.";
-        throw new Error(`Gemini API ${response.status}: ${apiMessage}`);
+        setStatusText(`Extracting text from page ${pageNumber}...`);
+        const pageText = await source.readTextLayer(pageNumber);
+        const assessment = assessTextLayer(pageText);
+        texts.set(pageNumber, pageText);
+
+        if (forced || !assessment.usable) {
+          ocrPageNumbers.push(pageNumber);
+          report.set(pageNumber, {
+            pageNumber,
+            confidence: null,
+            reason: forced ? "forced" : assessment.reason,
+          });
+        } else {
+          extracted.push({
+            pageNumber,
+            text: pageText,
+            source: "text",
+            layoutVersion: LAYOUT_VERSION,
+          });
+        }
       }
 
-      const generatedText =
-        data.candidates?.[0]?.content?.parts?.[0]?.text || "";
-
-      if (!generatedText) {
-        throw new Error(
-          "Gemini API returned an empty response. Try reducing the page range or switching to a different model."
+      if (ocrPageNumbers.length) {
+        const progressByPage = new Map(
+          ocrPageNumbers.map((pageNumber) => [pageNumber, 0])
+        );
+        reportOcrProgress(progressByPage, ocrPageNumbers[0], 0);
+        await recognizePages({
+          pageNumbers: ocrPageNumbers,
+          language: ocrLanguage,
+          renderPage: renderPageForOcr,
+          onPageProgress: (pageNumber, progress) =>
+            reportOcrProgress(progressByPage, pageNumber, progress),
+          onPageResult: (pageNumber, { text, confidence }) => {
+            report.set(pageNumber, { ...report.get(pageNumber), confidence });
+            if (!text) return;
+            texts.set(pageNumber, text);
+            extracted.push({
+              pageNumber,
+              text,
+              source: "ocr",
+              ocrSignature,
+              confidence,
+            });
+          },
+          signal,
+        });
+      }
+    } finally {
+      setOcrReport([...report.values()]);
+      if (extracted.length) {
+        cachePages(source.fileHash, extracted).catch((err) =>
+          console.error("Failed to cache page text:", err)
         );
       }
+    }
 
-      const cleanedText = generatedText
-        .replace(/```json/gi, "")
-        .replace(/```/g, "")
-        .trim();
+    return cleanPageTexts(
+      validPageNumbers.map((pageNumber) => ({
+        pageNumber,
+        text: texts.get(pageNumber),
+      }))
+    );
+  };
 
-      const jsonMatch = cleanedText.match(/\[[\s\S]*\]/);
-      const jsonPayload = jsonMatch ? jsonMatch[0] : cleanedText;
+  const extractSelectedPages = async () => {
+    if (!source) return;
+    if (!selectedPages.length) {
+      setError(
+        `Select at least one ${source.unitLabel} to generate questions from.`
+      );
+      return;
+    }
 
-      let parsedQuestions;
+    setLoading(true);
+    setStatusText(
+      `Reading ${source.unitLabel}s ${formatPageList(selectedPages)}...`
+    );
+    setError("");
+    setWarning("");
+    setRejectedCount(0);
 
+    // One controller covers extraction, OCR and the model requests, so
+    // Cancel stops whichever is running. Text read before the cancel is
+    // already in the page cache for the next run.
+    const controller = new AbortController();
+    generationRef.current = controller;
+    setCanCancel(true);
+
+    try {
+      let pages;
       try {
-        parsedQuestions = JSON.parse(jsonPayload);
-      } catch (primaryErr) {
-        try {
-          const repaired = jsonrepair(jsonPayload);
-          parsedQuestions = JSON.parse(repaired);
-        } catch {
-          throw new Error(
-            "Gemini response was not valid JSON, even after repair. Try a smaller page range or adjust your prompt."
+        pages = await readPages(selectedPages, controller.signal);
+      } catch (err) {
+        if (err?.name === "AbortError") {
+          setStatusText(
+            "Extraction cancelled. Pages read so far will be reused next time."
           );
+        } else {
+          console.error(err);
+          setError(`Error extracting text from ${fileName}.`);
+          setStatusText("");
         }
+        setLoading(false);
+        return;
       }
 
-      if (!Array.isArray(parsedQuestions)) {
-        throw new Error("Gemini response format was invalid. Please try regenerating.");
-      }
+      await generateQuestions(pages, controller.signal);
+    } finally {
+      generationRef.current = null;
+      setCanCancel(false);
+    }
+  };
+
+  const cancelGeneration = () => generationRef.current?.abort();
+
+  const generateQuestions = async (pages, signal) => {
+    const configError = getProviderConfigError(providerConfig);
 
-      if (parsedQuestions.length < qCount) {
-        setError(`Gemini only returned ${parsedQuestions.length} of the ${qCount} requested questions. Try expanding the page range or reducing the desired count.`);
+    if (configError) {
+      setError(configError);
+      setStatusText("");
+      setLoading(false);
+      return;
+    }
+
+    setStreamPreview({ questions: [], total: qCount });
+    try {
+      const result = await generateQuiz({
+        pages,
+        settings: { qCount, difficulty, questionType, languagePreference },
+        providerConfig,
+        onProgress: setStatusText,
+        onQuestionsUpdate: (streamed) =>
+          setStreamPreview({ questions: streamed, total: qCount }),
+        signal,
+      });
+      setStreamPreview(null);
+
+      if (!result.questions.length) {
+        setError(
+          "The model did not return any questions. Try expanding the page range or choosing pages with more text."
+        );
         setStatusText("");
         setLoading(false);
         return;
       }
 
-      setQuestions(parsedQuestions);
+      setQuestions(result.questions);
+      setSourcePages(pages);
+      setWarning(result.warning);
+      setRejectedCount(result.rejectedCount);
       setStatusText("Questions generated successfully.");
       setLoading(false);
+      await saveToLibrary(pages, result.questions);
     } catch (err) {
+      setStreamPreview(null);
+      if (err?.name === "AbortError") {
+        setStatusText(
+          "Generation cancelled. The extracted text is kept, so the next run starts from the model request."
+        );
+        setLoading(false);
+        return;
+      }
       console.error(err);
       const defaultError =
         "Failed to generate questions. Please try a smaller page range or check your connection.";
@@ -355,7 +463,7 @@ const BookQAGenerator = () => {
 
       if (normalizedMsg.includes("not found")) {
         setError(
-          `${err.message} Update VITE_GEMINI_MODEL in your .env to one of the supported Gemini models.`
+          `${err.message} Check the model name in the AI provider settings.`
         );
       } else {
         setError(err.message || defaultError);
@@ -365,74 +473,212 @@ const BookQAGenerator = () => {
     }
   };
 
-  const downloadQA = () => {
-    if (!questions.length || !file) return;
+  const saveToLibrary = async (pages, generatedQuestions) => {
+    const pageLabel = formatPageList(pages.map((page) => page.pageNumber));
+    try {
+      const record = await saveQuiz({
+        name: `${fileName.replace(/\.[^.]+$/, "")} · ${source.unitLabel}s ${pageLabel}`,
+        sourceName: fileName,
+        pageNumbers: pages.map((page) => page.pageNumber),
+        pageLabel,
+        difficulty,
+        questionType,
+        languagePreference,
+        questions: generatedQuestions,
+      });
+      setActiveQuiz(record);
+      setLibraryVersion((version) => version + 1);
+    } catch (err) {
+      console.error(err);
+      setActiveQuiz(null);
+      setWarning(
+        "Questions were generated but could not be saved to your library."
+      );
+    }
+  };
 
-    const content = questions
-      .map((q, i) => {
-        let text = `Q${i + 1}: ${q.question}\nType: ${q.type}\n`;
-        if (q.options && q.options.length > 0) {
-          text += `Options:\n${q.options
-            .map((o) => `- ${o}`)
-            .join("\n")}\n`;
-        }
-        if (q.questionTranslation) {
-          text += `Translated Question (${q.translationLanguage || "Other"}): ${q.questionTranslation}\n`;
-        }
-        text += `Answer: ${q.answer}\nLanguage: ${q.language || "Unknown"}\nContext: ${q.context}\n\n`;
-        return text;
-      })
-      .join("-------------------\n\n");
-
-    const blob = new Blob([content], { type: "text/plain" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${file.name.replace(".pdf", "")}_QA.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+  const openSavedQuiz = (record) => {
+    setQuestions(record.questions);
+    setDifficulty(record.difficulty);
+    setQuestionType(record.questionType);
+    setLanguagePreference(
+      normalizeLanguagePreference(record.languagePreference)
+    );
+    setActiveQuiz(record);
+    setSourcePages(null);
+    setError("");
+    setWarning("");
+    setRejectedCount(0);
+    setStatusText(`Opened "${record.name}" from your library.`);
   };
 
-  const selectedDifficulty = DIFFICULTY_OPTIONS.find(
-    (option) => option.id === difficulty
-  );
-  const selectedLanguagePref = LANGUAGE_OPTIONS.find(
-    (option) => option.id === languagePreference
-  );
+  const importQuizFile = async (quizFile) => {
+    try {
+      const { quiz, rejectedCount: skipped } = parseQuizFile(
+        await quizFile.text()
+      );
+      const record = await saveQuiz(quiz);
+      setLibraryVersion((version) => version + 1);
+      openSavedQuiz(record);
+      setStatusText(`Imported "${record.name}" into your library.`);
+      if (skipped > 0) {
+        setWarning(
+          `${skipped} ${skipped === 1 ? "question" : "questions"} in the file could not be read and ${skipped === 1 ? "was" : "were"} skipped.`
+        );
+      }
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Could not import the quiz file.");
+    }
+  };
 
-  const getOcrLanguageCode = () => {
-    switch (languagePreference) {
-      case "English":
-        return "eng";
-      case "Hindi":
-        return "hin";
-      default:
-        return "eng+hin";
+  const handleQuizDeleted = async (id) => {
+    if (activeQuiz?.id === id) {
+      setActiveQuiz(null);
+    }
+    try {
+      await deleteCardsForQuiz(id);
+      setReviewVersion((version) => version + 1);
+    } catch (err) {
+      console.error(err);
     }
   };
 
-  const runOcrOnPage = async (pdfPage) => {
+  const updateQuestions = async (nextQuestions) => {
+    setQuestions(nextQuestions);
+    if (!activeQuiz) return;
     try {
-      const viewport = pdfPage.getViewport({ scale: 1.5 });
-      const canvas = document.createElement("canvas");
-      const context = canvas.getContext("2d", { willReadFrequently: true });
-      if (!context) {
-        return "";
+      const record = await updateQuiz(activeQuiz.id, {
+        questions: nextQuestions,
+      });
+      setActiveQuiz(record);
+      setLibraryVersion((version) => version + 1);
+      await syncCardsWithQuiz(record);
+      setReviewVersion((version) => version + 1);
+    } catch (err) {
+      console.error(err);
+      setWarning("Your changes could not be saved to your library.");
+    }
+  };
+
+  // Saved quizzes keep only page numbers, so their text is read again from
+  // the uploaded file the first time a question is regenerated.
+  const canRegenerate =
+    Boolean(sourcePages) ||
+    Boolean(source && activeQuiz && fileName === activeQuiz.sourceName);
+
+  const regenerateQuestion = async (question) => {
+    const configError = getProviderConfigError(providerConfig);
+    if (configError) {
+      throw new Error(configError);
+    }
+    if (generationRef.current) {
+      throw new Error("Wait for the current generation to finish or cancel it.");
+    }
+
+    // Shares the generation controller, so the same Cancel button stops
+    // re-reading the pages and the model request.
+    const controller = new AbortController();
+    generationRef.current = controller;
+    setCanCancel(true);
+    setLoading(true);
+    setError("");
+
+    const meta = getExportMeta();
+    try {
+      let pages = sourcePages;
+      if (!pages) {
+        setStatusText(
+          `Reading ${source.unitLabel}s ${formatPageList(
+            activeQuiz.pageNumbers
+          )} again...`
+        );
+        pages = await readPages(activeQuiz.pageNumbers, controller.signal);
+        setSourcePages(pages);
+      }
+
+      setStatusText("Generating a replacement question...");
+      const replacement = await generateReplacementQuestion({
+        pages,
+        settings: {
+          difficulty: meta.difficulty,
+          questionType: question.type,
+          languagePreference: meta.languagePreference,
+        },
+        providerConfig,
+        avoidQuestions: questions,
+        signal: controller.signal,
+      });
+      setStatusText("Question replaced.");
+      return replacement;
+    } catch (err) {
+      setStatusText(
+        err?.name === "AbortError" ? "Question regeneration cancelled." : ""
+      );
+      throw err;
+    } finally {
+      generationRef.current = null;
+      setCanCancel(false);
+      setLoading(false);
+    }
+  };
+
+  // Page citations can only be shown while the quiz's PDF is loaded.
+  const canShowSource = Boolean(
+    pdfDocument && (!activeQuiz || fileName === activeQuiz.sourceName)
+  );
+
+  const getExportMeta = () => ({
+    name: activeQuiz?.name || "",
+    sourceName: activeQuiz?.sourceName || fileName || "quiz",
+    pageNumbers: activeQuiz?.pageNumbers || selectedPages,
+    pageLabel: activeQuiz?.pageLabel || formatPageList(selectedPages),
+    difficulty: activeQuiz?.difficulty || difficulty,
+    questionType: activeQuiz?.questionType || questionType,
+    languagePreference: activeQuiz?.languagePreference || languagePreference,
+  });
+
+  const runExport = (exporter) => {
+    if (!questions.length) return;
+    try {
+      const result = exporter(questions, getExportMeta());
+      if (result.html) {
+        printHtml(result.html);
+      } else {
+        downloadBlob(result.blob, result.filename);
       }
-      canvas.height = viewport.height;
-      canvas.width = viewport.width;
-      await pdfPage.render({ canvasContext: context, viewport }).promise;
-      const { data } = await Tesseract.recognize(canvas, getOcrLanguageCode());
-      canvas.remove();
-      return data?.text?.trim() || "";
-    } catch (ocrError) {
-      console.error("OCR failed:", ocrError);
-      return "";
+    } catch (err) {
+      console.error(err);
+      setError("Could not export the quiz. Please try again.");
     }
   };
 
-  const needsOcr = (text) => !text || text.replace(/\s+/g, "").length < 30;
+  const downloadQA = () => runExport(exportText);
+
+  const handleExportFormat = (formatId) => {
+    const format = EXPORT_FORMATS.find((item) => item.id === formatId);
+    if (format) {
+      runExport(format.run);
+    }
+  };
+
+  const selectedDifficulty = DIFFICULTY_OPTIONS.find(
+    (option) => option.id === difficulty
+  );
+  const { primary: primaryLanguage, secondary: secondaryLanguage } =
+    parseLanguagePreference(languagePreference);
+  const selectedPrimaryLanguage = LANGUAGE_OPTIONS.find(
+    (option) => option.id === primaryLanguage.id
+  );
+  const secondaryLanguageOptions = [
+    NO_TRANSLATION,
+    ...LANGUAGE_OPTIONS.filter((option) => option.id !== primaryLanguage.id),
+  ];
+  const selectedSecondaryLanguage =
+    secondaryLanguageOptions.find(
+      (option) => option.id === secondaryLanguage?.id
+    ) || NO_TRANSLATION;
+
 
   return (
     <Block
@@ -475,8 +721,8 @@ const BookQAGenerator = () => {
             Book2Quiz
           </HeadingXXLarge>
           <ParagraphMedium style={{ textAlign: "center" }}>
-            Upload a PDF textbook and turn it into guided study questions with
-            one click.
+            Upload a textbook (PDF, EPUB, Word, text or photos of pages) and
+            turn it into guided study questions with one click.
           </ParagraphMedium>
         </Block>
 
@@ -492,6 +738,18 @@ const BookQAGenerator = () => {
           </Notification>
         )}
 
+        {warning && (
+          <Notification
+            kind={NotificationKind.warning}
+            onClose={() => setWarning("")}
+            overrides={{
+              Body: { style: { marginBottom: "16px" } },
+            }}
+          >
+            {warning}
+          </Notification>
+        )}
+
         {statusText && (
           <Notification
             kind={
@@ -502,7 +760,23 @@ const BookQAGenerator = () => {
               Body: { style: { marginBottom: "16px" } },
             }}
           >
-            {statusText}
+            <Block
+              display="flex"
+              alignItems="center"
+              justifyContent="space-between"
+              className={css({ gap: theme.sizing.scale500 })}
+            >
+              <span>{statusText}</span>
+              {canCancel && (
+                <Button
+                  kind={ButtonKind.secondary}
+                  size={ButtonSize.compact}
+                  onClick={cancelGeneration}
+                >
+                  Cancel
+                </Button>
+              )}
+            </Block>
           </Notification>
         )}
 
@@ -521,21 +795,23 @@ const BookQAGenerator = () => {
             <ParagraphSmall
               style={{ marginBottom: theme.sizing.scale500, color: "#475467" }}
             >
-              Drag & drop a PDF or browse your files. We will automatically
-              analyze the pages once uploaded.
+              Drag & drop a PDF, EPUB, Word document, text file or photos of
+              pages, or browse your files. We will automatically analyze the
+              book once uploaded.
             </ParagraphSmall>
 
             <input
               type="file"
               ref={fileInputRef}
-              accept="application/pdf"
+              accept={ACCEPTED_FILE_TYPES}
+              multiple
               onChange={handleFileChange}
               style={{ display: "none" }}
             />
             <Block
               role="button"
               tabIndex={0}
-              aria-label="Upload PDF"
+              aria-label="Upload a book"
               onDragOver={handleDragOver}
               onDragLeave={handleDragLeave}
               onDrop={handleDrop}
@@ -585,10 +861,7 @@ const BookQAGenerator = () => {
                     fontWeight: 600,
                   }}
                 >
-                  Drop your PDF here or click to browse
-                </ParagraphSmall>
-                <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
-                  Max range ~10 pages per request for best results.
+                  Drop your book here or click to browse
                 </ParagraphSmall>
                 <Button
                   kind={ButtonKind.primary}
@@ -601,12 +874,12 @@ const BookQAGenerator = () => {
                     }
                   }}
                 >
-                  Browse PDF
+                  Browse files
                 </Button>
               </Block>
             </Block>
 
-            {file && (
+            {fileName && (
               <div
                 className={css({
                   marginTop: theme.sizing.scale600,
@@ -620,34 +893,33 @@ const BookQAGenerator = () => {
                   closeable={false}
                   kind={TagKind.accent}
                 >
-                  {file.name}
+                  {fileName}
                 </Tag>
-                {totalPages > 0 && (
+                {source && (
                   <Tag
                     closeable={false}
                     kind={TagKind.neutral}
                   >
-                    {totalPages} pages detected
+                    {formatUnitCount(source.pageCount, source.unitLabel)}{" "}
+                    detected
                   </Tag>
                 )}
                 <Button
                   size={ButtonSize.compact}
                   kind={ButtonKind.tertiary}
                   onClick={() => {
-                    setFile(null);
-                    setQuestions([]);
+                    clearSource();
                     setStatusText("");
-                    setError("");
                   }}
                 >
-                  Change PDF
+                  Change file
                 </Button>
               </div>
             )}
           </StyledBody>
         </Card>
 
-        {file && (
+        {fileName && (
           <Card
             hasThumbnail={cardHasThumbnail}
             overrides={{
@@ -661,40 +933,25 @@ const BookQAGenerator = () => {
                 Configure your quiz
               </HeadingSmall>
 
-              <Block
-                display="grid"
-                gridTemplateColumns="repeat(auto-fit, minmax(220px, 1fr))"
-                gridGap="scale600"
-              >
-                <Block>
-                  <LabelMedium>Start page</LabelMedium>
-                  <Input
-                    type="number"
-                    min={1}
-                    max={totalPages}
-                    value={String(startPage)}
-                    onChange={(e) =>
-                      setStartPage(
-                        Math.max(1, parseInt(e.target.value || "1", 10))
-                      )
-                    }
-                  />
-                </Block>
-                <Block>
-                  <LabelMedium>End page</LabelMedium>
-                  <Input
-                    type="number"
-                    min={1}
-                    max={totalPages}
-                    value={String(endPage)}
-                    onChange={(e) =>
-                      setEndPage(
-                        Math.max(1, parseInt(e.target.value || "1", 10))
-                      )
-                    }
-                  />
-                </Block>
-              </Block>
+              {pdfDocument && (
+                <ChapterTree
+                  key={pdfDocument.fingerprints[0]}
+                  pdf={pdfDocument}
+                  selectedPages={selectedPages}
+                  onChange={setSelectedPages}
+                  disabled={loading}
+                />
+              )}
+
+              {source && (
+                <PagePicker
+                  key={source.fileHash}
+                  source={source}
+                  selectedPages={selectedPages}
+                  onChange={setSelectedPages}
+                  disabled={loading}
+                />
+              )}
 
               <Block
                 display="grid"
@@ -735,18 +992,90 @@ const BookQAGenerator = () => {
                   <LabelMedium>Question language</LabelMedium>
                   <Select
                     options={LANGUAGE_OPTIONS}
-                    value={selectedLanguagePref ? [selectedLanguagePref] : []}
+                    value={[selectedPrimaryLanguage]}
                     searchable={false}
                     clearable={false}
                     onChange={({ value }) => {
                       if (value && value.length > 0) {
-                        setLanguagePreference(value[0].id);
+                        setLanguagePreference(
+                          toLanguagePreference(
+                            value[0].id,
+                            secondaryLanguage?.id
+                          )
+                        );
+                      }
+                    }}
+                  />
+                </Block>
+                <Block>
+                  <LabelMedium>Bilingual translation</LabelMedium>
+                  <Select
+                    options={secondaryLanguageOptions}
+                    value={[selectedSecondaryLanguage]}
+                    searchable={false}
+                    clearable={false}
+                    onChange={({ value }) => {
+                      if (value && value.length > 0) {
+                        setLanguagePreference(
+                          toLanguagePreference(primaryLanguage.id, value[0].id)
+                        );
                       }
                     }}
                   />
                 </Block>
               </Block>
 
+              <ProviderSettings
+                config={providerConfig}
+                onChange={setProviderConfig}
+                disabled={loading}
+              />
+
+              {source?.supportsOcr && (
+                <OcrSettings
+                  settings={ocrSettings}
+                  onChange={setOcrSettings}
+                  totalPages={source.pageCount}
+                  showResolution={Boolean(source.pdf)}
+                  disabled={loading}
+                />
+              )}
+
+              {ocrReport.length > 0 && (
+                <Block marginTop="scale400">
+                  <LabelMedium>OCR confidence</LabelMedium>
+                  <Block
+                    display="flex"
+                    flexWrap="wrap"
+                    marginTop="scale200"
+                    className={css({ gap: theme.sizing.scale200 })}
+                  >
+                    {ocrReport.map(({ pageNumber, confidence, reason }) => (
+                      <Tag
+                        key={pageNumber}
+                        closeable={false}
+                        kind={getConfidenceKind(confidence)}
+                        title={reason}
+                      >
+                        p. {pageNumber}:{" "}
+                        {confidence === null ? "no text" : `${confidence}%`}
+                      </Tag>
+                    ))}
+                  </Block>
+                  {ocrReport.some(
+                    ({ confidence }) => confidence === null || confidence < 60
+                  ) && (
+                    <ParagraphSmall
+                      style={{ marginBottom: 0, color: theme.colors.contentSecondary }}
+                    >
+                      Low-confidence pages may produce poor questions. Try a
+                      higher DPI or black-and-white preprocessing and generate
+                      again.
+                    </ParagraphSmall>
+                  )}
+                </Block>
+              )}
+
               <Block marginTop="scale600">
                 <Block
                   display="flex"
@@ -782,18 +1111,9 @@ const BookQAGenerator = () => {
                 marginTop="scale700"
                 className={css({ gap: theme.sizing.scale500 })}
               >
-                <Button
-                  kind={ButtonKind.secondary}
-                  size={ButtonSize.default}
-                  startEnhancer={() => <Download size={18} />}
-                  onClick={downloadQA}
-                  disabled={!questions.length}
-                >
-                  Download (.txt)
-                </Button>
                 <Button
                   startEnhancer={() => <RefreshCw size={18} />}
-                  onClick={extractTextFromRange}
+                  onClick={extractSelectedPages}
                   isLoading={loading}
                   disabled={loading}
                 >
@@ -804,271 +1124,92 @@ const BookQAGenerator = () => {
           </Card>
         )}
 
-        {questions.length > 0 && (
-          <Block>
-            <HeadingSmall
-              style={{ marginBottom: theme.sizing.scale500, display: "flex" }}
-            >
-              Generated questions
-            </HeadingSmall>
-            {questions.map((question, index) => (
-              <QuestionCard
-                key={`${question.question}-${index}`}
-                data={question}
-                index={index}
-                difficulty={difficulty}
-              />
-            ))}
-          </Block>
+        {streamPreview?.questions.length > 0 && (
+          <GenerationPreview
+            questions={streamPreview.questions}
+            total={streamPreview.total}
+            difficulty={difficulty}
+          />
         )}
-      </Block>
-    </Block>
-  );
-};
 
-const QuestionCard = ({ data, index, difficulty }) => {
-  const [css, theme] = useStyletron();
-  const [isOpen, setIsOpen] = useState(false);
-  const [selectedOption, setSelectedOption] = useState(null);
-  const [shortAnswer, setShortAnswer] = useState("");
-
-  const isMCQ =
-    data.type === "Multiple Choice" && data.options && data.options.length > 0;
-
-  const getOptionStyle = (option) => {
-    const baseStyle = {
-      padding: `${theme.sizing.scale500} ${theme.sizing.scale600}`,
-      borderRadius: theme.borders.radius400,
-      border: `1px solid ${theme.colors.borderOpaque}`,
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "space-between",
-      cursor: isOpen ? "default" : "pointer",
-      backgroundColor: theme.colors.backgroundPrimary,
-      color: theme.colors.contentPrimary,
-      marginBottom: theme.sizing.scale300,
-      transitionProperty: "all",
-      transitionDuration: "200ms",
-    };
-
-    if (!isOpen) {
-      if (selectedOption === option) {
-        baseStyle.borderColor = theme.colors.primary;
-        baseStyle.backgroundColor = theme.colors.primary50;
-        baseStyle.color = theme.colors.primary;
-        baseStyle.fontWeight = 600;
-      } else {
-        baseStyle[":hover"] = {
-          borderColor: theme.colors.primary500,
-        };
-      }
-    } else {
-      baseStyle.cursor = "default";
-      if (option === data.answer) {
-        baseStyle.borderColor = theme.colors.positive;
-        baseStyle.backgroundColor = theme.colors.positive50;
-        baseStyle.color = theme.colors.positive;
-        baseStyle.fontWeight = 600;
-      } else if (selectedOption === option) {
-        baseStyle.borderColor = theme.colors.negative;
-        baseStyle.backgroundColor = theme.colors.negative50;
-        baseStyle.color = theme.colors.negative;
-      } else {
-        baseStyle.backgroundColor = theme.colors.backgroundTertiary;
-        baseStyle.color = theme.colors.contentSecondary;
-      }
-    }
-
-    return css(baseStyle);
-  };
-
-  const handleOptionClick = (option) => {
-    if (isOpen) return;
-    setSelectedOption(option);
-  };
-
-  return (
-    <Card
-      hasThumbnail={cardHasThumbnail}
-      overrides={{
-        Root: {
-          style: {
-            marginBottom: "16px",
-            borderColor: theme.colors.borderTransparent,
-          },
-        },
-      }}
-    >
-      <StyledBody>
-        <Block
-          display="flex"
-          justifyContent="space-between"
-          alignItems="flex-start"
-          flexWrap="wrap"
-          className={css({ gap: theme.sizing.scale400 })}
-        >
-          <Block flex="1" minWidth="220px">
-            <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
-              Question {index + 1}
-            </ParagraphSmall>
-            <HeadingSmall style={{ marginTop: theme.sizing.scale200 }}>
-              {data.question}
-            </HeadingSmall>
-          </Block>
-          <Button
-            kind={ButtonKind.tertiary}
-            size={ButtonSize.compact}
-            startEnhancer={() =>
-              isOpen ? (
-                <ChevronUp size={18} />
-              ) : (
-                <ChevronDown size={18} />
-              )
-            }
-            onClick={() => setIsOpen((prev) => !prev)}
-          >
-            {isOpen ? "Hide answer" : "Reveal answer"}
-          </Button>
-        </Block>
-
-        {data.questionTranslation && (
-          <Block
-            marginTop="scale400"
-            padding="scale400"
-            backgroundColor={theme.colors.backgroundTertiary}
-            className={css({ borderRadius: theme.borders.radius400 })}
-          >
-            <LabelMedium>
-              Translated question ({data.translationLanguage || "Other"})
-            </LabelMedium>
-            <ParagraphSmall
-              style={{
-                marginTop: theme.sizing.scale100,
-                color: theme.colors.contentPrimary,
-              }}
+        {questions.length > 0 && !streamPreview?.questions.length && (
+          <Block>
+            <Block
+              display="flex"
+              alignItems="center"
+              flexWrap="wrap"
+              marginBottom="scale500"
+              className={css({ gap: theme.sizing.scale400 })}
             >
-              {data.questionTranslation}
-            </ParagraphSmall>
-          </Block>
-        )}
-
-        <Block
-          display="flex"
-          flexWrap="wrap"
-          className={css({
-            gap: theme.sizing.scale400,
-            marginTop: theme.sizing.scale500,
-          })}
-        >
-          <Tag closeable={false} kind={TagKind.positive}>
-            {data.type || "Mixed"}
-          </Tag>
-          <Tag closeable={false} kind={TagKind.neutral}>
-            Difficulty: {difficulty}
-          </Tag>
-          <Tag closeable={false} kind={TagKind.accent}>
-            Language: {data.language || "Auto"}
-          </Tag>
-          {data.questionTranslation && (
-            <Tag closeable={false} kind={TagKind.accent}>
-              Translation: {data.translationLanguage || "Other"}
-            </Tag>
-          )}
-        </Block>
-
-        {isMCQ && (
-          <Block marginTop="scale500">
-            {data.options.map((option, idx) => (
-              <div
-                key={`${option}-${idx}`}
-                className={getOptionStyle(option)}
-                onClick={() => handleOptionClick(option)}
+              <HeadingSmall style={{ margin: 0, display: "flex" }}>
+                Generated questions
+              </HeadingSmall>
+              {rejectedCount > 0 && (
+                <Tag closeable={false} kind={TagKind.warning}>
+                  {rejectedCount} malformed{" "}
+                  {rejectedCount === 1 ? "item" : "items"} rejected
+                </Tag>
+              )}
+              <Block
+                display="flex"
+                marginLeft="auto"
+                className={css({ gap: theme.sizing.scale300 })}
               >
-                <span>{option}</span>
-                {isOpen && option === data.answer && (
-                  <Check size={18} color={theme.colors.positive} />
-                )}
-                {isOpen &&
-                  selectedOption === option &&
-                  option !== data.answer && (
-                    <AlertCircle size={18} color={theme.colors.negative} />
-                  )}
-              </div>
-            ))}
-          </Block>
-        )}
-
-        {!isMCQ && (
-          <Block marginTop="scale500">
-            <LabelMedium>Your answer</LabelMedium>
-            <Textarea
-              value={shortAnswer}
-              onChange={(event) => setShortAnswer(event.target.value)}
-              placeholder="Type your answer before revealing the solution..."
-              overrides={{
-                Root: {
-                  style: {
-                    marginTop: theme.sizing.scale300,
-                  },
-                },
-              }}
-              disabled={isOpen}
+                <Button
+                  kind={ButtonKind.secondary}
+                  size={ButtonSize.compact}
+                  startEnhancer={() => <Download size={18} />}
+                  onClick={downloadQA}
+                >
+                  Download (.txt)
+                </Button>
+                <ExportMenu
+                  formats={EXPORT_FORMATS}
+                  onSelect={handleExportFormat}
+                />
+              </Block>
+            </Block>
+            <QuizPlayer
+              key={activeQuiz?.id || "unsaved"}
+              questions={questions}
+              difficulty={activeQuiz?.difficulty || difficulty}
+              languagePreference={
+                activeQuiz?.languagePreference || languagePreference
+              }
+              quiz={activeQuiz}
+              providerConfig={providerConfig}
+              canRegenerate={canRegenerate}
+              onQuestionsChange={updateQuestions}
+              onRegenerate={regenerateQuestion}
+              onShowSource={canShowSource ? setSourceQuestion : undefined}
+              onAttemptsRecorded={() => setReviewVersion((version) => version + 1)}
+              onError={setError}
             />
           </Block>
         )}
 
-        {!isMCQ && !isOpen && (
-          <ParagraphSmall
-            style={{
-              marginTop: theme.sizing.scale500,
-              fontStyle: "italic",
-              color: theme.colors.contentSecondary,
-            }}
-          >
-            Use the reveal button to view the answer.
-          </ParagraphSmall>
-        )}
+        <ReviewDeck refreshKey={reviewVersion} onError={setError} />
 
-        {isOpen && (
-          <Block
-            marginTop="scale600"
-            padding="scale600"
-            backgroundColor={theme.colors.positive50}
-            overrides={{
-              Block: {
-                style: {
-                  borderRadius: "16px",
-                  border: `1px solid ${theme.colors.positive100}`,
-                },
-              },
-            }}
-          >
-            <LabelMedium style={{ color: theme.colors.positive700 }}>
-              Correct answer
-            </LabelMedium>
-            <ParagraphMedium
-              style={{
-                marginTop: theme.sizing.scale100,
-                color: theme.colors.contentPrimary,
-              }}
-            >
-              {data.answer}
-            </ParagraphMedium>
-            {data.context && (
-              <ParagraphSmall
-                style={{
-                  marginTop: theme.sizing.scale400,
-                  color: theme.colors.contentSecondary,
-                  fontStyle: "italic",
-                }}
-              >
-                "{data.context}"
-              </ParagraphSmall>
-            )}
-          </Block>
-        )}
-      </StyledBody>
-    </Card>
+        <QuizLibrary
+          refreshKey={libraryVersion}
+          activeQuizId={activeQuiz?.id}
+          onOpen={openSavedQuiz}
+          onDeleted={handleQuizDeleted}
+          onImport={importQuizFile}
+          onError={setError}
+        />
+      </Block>
+
+      {sourceQuestion && canShowSource && (
+        <PageViewer
+          key={sourceQuestion.id}
+          pdf={pdfDocument}
+          pageNumber={sourceQuestion.page}
+          context={sourceQuestion.context}
+          onClose={() => setSourceQuestion(null)}
+        />
+      )}
+    </Block>
   );
 };
 
@@ -0,0 +1,211 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Checkbox } from "baseui/checkbox";
+import { Spinner } from "baseui/spinner";
+import { LabelMedium, ParagraphSmall } from "baseui/typography";
+import { ChevronDown, ChevronRight } from "lucide-react";
+import { detectHeadingChapters, getOutlineChapters } from "../pdf/outline";
+import { addPageRange, removePageRange } from "../pdf/pageSelection";
+
+const getCoverage = (chapter, selectedSet) => {
+  let selected = 0;
+  for (let page = chapter.startPage; page <= chapter.endPage; page++) {
+    if (selectedSet.has(page)) selected += 1;
+  }
+  return selected / (chapter.endPage - chapter.startPage + 1);
+};
+
+const ChapterNode = ({ chapter, depth, selectedSet, disabled, onToggle }) => {
+  const [css, theme] = useStyletron();
+  const [expanded, setExpanded] = useState(false);
+  const coverage = getCoverage(chapter, selectedSet);
+  const hasChildren = chapter.children.length > 0;
+  const pageLabel =
+    chapter.startPage === chapter.endPage
+      ? `p. ${chapter.startPage}`
+      : `pp. ${chapter.startPage}–${chapter.endPage}`;
+
+  return (
+    <li className={css({ listStyle: "none" })}>
+      <Block
+        display="flex"
+        alignItems="center"
+        paddingLeft={`${depth * 20}px`}
+        className={css({ gap: theme.sizing.scale200 })}
+      >
+        <button
+          type="button"
+          aria-label={expanded ? "Collapse section" : "Expand section"}
+          onClick={() => setExpanded((value) => !value)}
+          className={css({
+            display: "flex",
+            padding: 0,
+            border: "none",
+            background: "none",
+            cursor: hasChildren ? "pointer" : "default",
+            visibility: hasChildren ? "visible" : "hidden",
+            color: theme.colors.contentSecondary,
+          })}
+        >
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </button>
+        <Checkbox
+          checked={coverage === 1}
+          isIndeterminate={coverage > 0 && coverage < 1}
+          disabled={disabled}
+          onChange={() => onToggle(chapter, coverage === 1)}
+        >
+          {chapter.title}{" "}
+          <span className={css({ color: theme.colors.contentSecondary })}>
+            ({pageLabel})
+          </span>
+        </Checkbox>
+      </Block>
+      {hasChildren && expanded && (
+        <ul className={css({ margin: 0, padding: 0 })}>
+          {chapter.children.map((child) => (
+            <ChapterNode
+              key={child.id}
+              chapter={child}
+              depth={depth + 1}
+              selectedSet={selectedSet}
+              disabled={disabled}
+              onToggle={onToggle}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Chapters map onto the page selection: ticking one adds its pages and
+// unticking removes them, so the thumbnails below always show the result.
+// Bookmarks are read straight away; finding chapters from heading text reads
+// every page, so it waits until the user asks for it.
+const ChapterTree = ({ pdf, selectedPages, onChange, disabled }) => {
+  const [css, theme] = useStyletron();
+  const [result, setResult] = useState(null);
+  const [detecting, setDetecting] = useState(false);
+  const cancelledRef = useRef(false);
+
+  useEffect(() => {
+    cancelledRef.current = false;
+    getOutlineChapters(pdf)
+      .then((chapters) => {
+        if (!cancelledRef.current) setResult({ source: "outline", chapters });
+      })
+      .catch((err) => {
+        console.error("Failed to read chapters:", err);
+        if (!cancelledRef.current) setResult({ source: "outline", chapters: [] });
+      });
+    return () => {
+      cancelledRef.current = true;
+    };
+  }, [pdf]);
+
+  const detectHeadings = async () => {
+    setDetecting(true);
+    try {
+      const chapters = await detectHeadingChapters(pdf, {
+        isCancelled: () => cancelledRef.current,
+      });
+      if (!cancelledRef.current) setResult({ source: "headings", chapters });
+    } catch (err) {
+      console.error("Failed to detect chapter headings:", err);
+      if (!cancelledRef.current) setResult({ source: "headings", chapters: [] });
+    } finally {
+      if (!cancelledRef.current) setDetecting(false);
+    }
+  };
+
+  const selectedSet = new Set(selectedPages);
+
+  const toggleChapter = (chapter, isSelected) =>
+    onChange(
+      isSelected
+        ? removePageRange(selectedPages, chapter.startPage, chapter.endPage)
+        : addPageRange(selectedPages, chapter.startPage, chapter.endPage)
+    );
+
+  return (
+    <Block marginBottom="scale600">
+      <LabelMedium>Chapters</LabelMedium>
+      {(!result || detecting) && (
+        <Block
+          display="flex"
+          alignItems="center"
+          marginTop="scale300"
+          className={css({ gap: theme.sizing.scale300 })}
+        >
+          <Spinner $size="16px" />
+          <ParagraphSmall style={{ margin: 0, color: theme.colors.contentSecondary }}>
+            {detecting
+              ? "Looking for chapter headings on every page..."
+              : "Reading the table of contents..."}
+          </ParagraphSmall>
+        </Block>
+      )}
+      {result?.source === "outline" && !result.chapters.length && !detecting && (
+        <Block marginTop="scale300">
+          <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+            This PDF has no bookmarks. Chapters can be found from heading text
+            instead, which reads every page and may take a while on long books.
+          </ParagraphSmall>
+          <Button
+            size={ButtonSize.compact}
+            kind={ButtonKind.secondary}
+            onClick={detectHeadings}
+            disabled={disabled}
+          >
+            Find chapters from headings
+          </Button>
+        </Block>
+      )}
+      {result?.source === "headings" && !result.chapters.length && !detecting && (
+        <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+          No chapters were found in this PDF. Pick pages below instead.
+        </ParagraphSmall>
+      )}
+      {result && result.chapters.length > 0 && (
+        <>
+          <ParagraphSmall
+            style={{
+              marginTop: theme.sizing.scale100,
+              color: theme.colors.contentSecondary,
+            }}
+          >
+            {result.source === "outline"
+              ? "From the PDF's bookmarks."
+              : "Detected from heading text; check the page ranges before generating."}
+          </ParagraphSmall>
+          <ul
+            className={css({
+              margin: 0,
+              padding: theme.sizing.scale300,
+              maxHeight: "260px",
+              overflowY: "auto",
+              borderRadius: theme.borders.radius400,
+              backgroundColor: theme.colors.backgroundSecondary,
+            })}
+          >
+            {result.chapters.map((chapter) => (
+              <ChapterNode
+                key={chapter.id}
+                chapter={chapter}
+                depth={0}
+                selectedSet={selectedSet}
+                disabled={disabled}
+                onToggle={toggleChapter}
+              />
+            ))}
+          </ul>
+        </>
+      )}
+    </Block>
+  );
+};
+
+export default ChapterTree;
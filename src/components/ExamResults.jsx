@@ -0,0 +1,176 @@
+import React from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Card, StyledBody, hasThumbnail as cardHasThumbnail } from "baseui/card";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import {
+  HeadingMedium,
+  HeadingSmall,
+  LabelMedium,
+  ParagraphSmall,
+} from "baseui/typography";
+import { Check, X, RotateCcw } from "lucide-react";
+import GradeFeedback from "./GradeFeedback";
+import { formatDuration, isMultipleChoiceQuestion } from "../quiz/session";
+
+const formatGivenAnswer = (question, response) => {
+  if (isMultipleChoiceQuestion(question)) {
+    return response.selectedOption ?? "";
+  }
+  return response.shortAnswer.trim();
+};
+
+const ExamResults = ({
+  report,
+  timedOut,
+  gradingIds,
+  onGradeWithModel,
+  onRetake,
+  onExit,
+}) => {
+  const [css, theme] = useStyletron();
+
+  return (
+    <Card
+      hasThumbnail={cardHasThumbnail}
+      overrides={{
+        Root: { style: { marginBottom: "24px" } },
+      }}
+    >
+      <StyledBody>
+        <HeadingSmall style={{ marginBottom: theme.sizing.scale300 }}>
+          Exam results
+        </HeadingSmall>
+        <Block
+          display="flex"
+          alignItems="center"
+          flexWrap="wrap"
+          className={css({ gap: theme.sizing.scale500 })}
+        >
+          <HeadingMedium style={{ margin: 0 }}>
+            {report.correctCount} / {report.total}
+          </HeadingMedium>
+          <Tag
+            closeable={false}
+            kind={report.percent >= 50 ? TagKind.positive : TagKind.negative}
+          >
+            {report.percent}%
+          </Tag>
+          <Tag closeable={false} kind={TagKind.neutral}>
+            Time taken: {formatDuration(report.elapsedSeconds)}
+          </Tag>
+          {timedOut && (
+            <Tag closeable={false} kind={TagKind.warning}>
+              Time ran out
+            </Tag>
+          )}
+        </Block>
+
+        <Block marginTop="scale600">
+          {report.items.map(
+            ({ question, response, grade, answered, correct }, index) => (
+              <Block
+                key={question.id}
+                paddingTop="scale400"
+                paddingBottom="scale400"
+                className={css({
+                  borderBottom: `1px solid ${theme.colors.borderOpaque}`,
+                })}
+              >
+                <Block
+                  display="flex"
+                  alignItems="flex-start"
+                  className={css({ gap: theme.sizing.scale300 })}
+                >
+                  {correct ? (
+                    <Check size={20} color={theme.colors.positive} />
+                  ) : (
+                    <X size={20} color={theme.colors.negative} />
+                  )}
+                  <Block flex="1">
+                    <LabelMedium>
+                      {index + 1}. {question.question}
+                    </LabelMedium>
+                    <ParagraphSmall
+                      style={{
+                        marginTop: theme.sizing.scale100,
+                        marginBottom: 0,
+                        color: correct
+                          ? theme.colors.positive
+                          : theme.colors.negative,
+                      }}
+                    >
+                      Your answer:{" "}
+                      {answered ? formatGivenAnswer(question, response) : "Not answered"}
+                    </ParagraphSmall>
+                    {grade && answered && (
+                      <GradeFeedback
+                        grade={grade}
+                        grading={Boolean(gradingIds[question.id])}
+                        onGradeWithModel={
+                          onGradeWithModel
+                            ? () => onGradeWithModel(question)
+                            : undefined
+                        }
+                      />
+                    )}
+                    {!correct && (
+                      <>
+                        <ParagraphSmall
+                          style={{
+                            marginTop: theme.sizing.scale100,
+                            marginBottom: 0,
+                            color: theme.colors.contentPrimary,
+                          }}
+                        >
+                          Correct answer: {question.answer}
+                        </ParagraphSmall>
+                        {question.context && (
+                          <ParagraphSmall
+                            style={{
+                              marginTop: theme.sizing.scale100,
+                              marginBottom: 0,
+                              color: theme.colors.contentSecondary,
+                              fontStyle: "italic",
+                            }}
+                          >
+                            "{question.context}"
+                          </ParagraphSmall>
+                        )}
+                      </>
+                    )}
+                  </Block>
+                </Block>
+              </Block>
+            )
+          )}
+        </Block>
+
+        <Block
+          display="flex"
+          justifyContent="flex-end"
+          marginTop="scale600"
+          className={css({ gap: theme.sizing.scale300 })}
+        >
+          <Button
+            kind={ButtonKind.tertiary}
+            size={ButtonSize.compact}
+            onClick={onExit}
+          >
+            Back to practice
+          </Button>
+          <Button
+            size={ButtonSize.compact}
+            startEnhancer={() => <RotateCcw size={16} />}
+            onClick={onRetake}
+          >
+            Retake exam
+          </Button>
+        </Block>
+      </StyledBody>
+    </Card>
+  );
+};
+
+export default ExamResults;
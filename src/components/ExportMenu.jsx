@@ -0,0 +1,33 @@
+import React from "react";
+import { StatefulPopover, PLACEMENT } from "baseui/popover";
+import { StatefulMenu } from "baseui/menu";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { ChevronDown, FileOutput } from "lucide-react";
+
+const ExportMenu = ({ formats, onSelect, disabled }) => (
+  <StatefulPopover
+    placement={PLACEMENT.bottomRight}
+    content={({ close }) => (
+      <StatefulMenu
+        items={formats}
+        onItemSelect={({ item }) => {
+          close();
+          onSelect(item.id);
+        }}
+        overrides={{ List: { style: { minWidth: "240px" } } }}
+      />
+    )}
+  >
+    <Button
+      kind={ButtonKind.secondary}
+      size={ButtonSize.compact}
+      disabled={disabled}
+      startEnhancer={() => <FileOutput size={18} />}
+      endEnhancer={() => <ChevronDown size={16} />}
+    >
+      Export as
+    </Button>
+  </StatefulPopover>
+);
+
+export default ExportMenu;
@@ -0,0 +1,56 @@
+import React from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { ProgressBar } from "baseui/progress-bar";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import { HeadingSmall } from "baseui/typography";
+import QuestionCard from "./QuestionCard";
+import { EMPTY_RESPONSE } from "../quiz/session";
+
+const noop = () => {};
+
+// Questions as they stream in, read-only until generation finishes and the
+// merged set replaces them in the quiz player.
+const GenerationPreview = ({ questions, total, difficulty }) => {
+  const [css, theme] = useStyletron();
+
+  return (
+    <Block>
+      <Block
+        display="flex"
+        alignItems="center"
+        flexWrap="wrap"
+        marginBottom="scale300"
+        className={css({ gap: theme.sizing.scale400 })}
+      >
+        <HeadingSmall style={{ margin: 0, display: "flex" }}>
+          Generating questions
+        </HeadingSmall>
+        <Tag closeable={false} kind={TagKind.accent}>
+          {questions.length} of {total} generated
+        </Tag>
+      </Block>
+      <ProgressBar
+        value={(questions.length / total) * 100}
+        overrides={{ BarContainer: { style: { marginLeft: 0, marginRight: 0 } } }}
+      />
+      {questions.map((question, index) => (
+        <QuestionCard
+          key={question.id}
+          data={question}
+          index={index}
+          difficulty={difficulty}
+          response={EMPTY_RESPONSE}
+          locked
+          isOpen={false}
+          canReveal={false}
+          onSelectOption={noop}
+          onShortAnswerChange={noop}
+          onToggleReveal={noop}
+        />
+      ))}
+    </Block>
+  );
+};
+
+export default GenerationPreview;
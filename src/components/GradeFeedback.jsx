@@ -0,0 +1,58 @@
+import React from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import { ParagraphSmall } from "baseui/typography";
+import { Sparkles } from "lucide-react";
+
+const GradeFeedback = ({ grade, grading, onGradeWithModel }) => {
+  const [css, theme] = useStyletron();
+
+  return (
+    <Block marginTop="scale300">
+      <Block
+        display="flex"
+        alignItems="center"
+        flexWrap="wrap"
+        className={css({ gap: theme.sizing.scale300 })}
+      >
+        <Tag
+          closeable={false}
+          kind={grade.correct ? TagKind.positive : TagKind.negative}
+        >
+          {grade.correct ? "Correct" : "Incorrect"} · {Math.round(grade.score * 100)}%
+        </Tag>
+        <ParagraphSmall
+          style={{ margin: 0, color: theme.colors.contentSecondary }}
+        >
+          {grade.method === "ai" ? "Graded by AI rubric" : "Keyword match"}
+        </ParagraphSmall>
+        {onGradeWithModel && grade.method !== "ai" && (
+          <Button
+            kind={ButtonKind.tertiary}
+            size={ButtonSize.mini}
+            isLoading={grading}
+            startEnhancer={() => <Sparkles size={14} />}
+            onClick={onGradeWithModel}
+          >
+            Grade with AI
+          </Button>
+        )}
+      </Block>
+      {grade.feedback && (
+        <ParagraphSmall
+          style={{
+            marginTop: theme.sizing.scale200,
+            marginBottom: 0,
+            color: theme.colors.contentPrimary,
+          }}
+        >
+          {grade.feedback}
+        </ParagraphSmall>
+      )}
+    </Block>
+  );
+};
+
+export default GradeFeedback;
@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import { Block } from "baseui/block";
+import { Checkbox } from "baseui/checkbox";
+import { Input } from "baseui/input";
+import { Select } from "baseui/select";
+import { LabelMedium, ParagraphSmall } from "baseui/typography";
+import { useStyletron } from "baseui";
+import { PREPROCESSING_MODES } from "../ocr/preprocess";
+import { formatPageList, parsePageList } from "../pdf/pageSelection";
+
+const DPI_OPTIONS = [
+  { id: 108, label: "108 DPI (fastest)" },
+  { id: 150, label: "150 DPI" },
+  { id: 200, label: "200 DPI" },
+  { id: 300, label: "300 DPI (sharpest, slow)" },
+];
+
+const PREPROCESSING_OPTIONS = [
+  { id: PREPROCESSING_MODES.none, label: "None (color)" },
+  { id: PREPROCESSING_MODES.grayscale, label: "Grayscale" },
+  { id: PREPROCESSING_MODES.threshold, label: "Black and white (threshold)" },
+];
+
+// Photos are read at their own resolution, so the DPI choice only applies to
+// PDFs.
+const OcrSettings = ({
+  settings,
+  onChange,
+  totalPages,
+  showResolution = true,
+  disabled,
+}) => {
+  const [, theme] = useStyletron();
+  const [draftPages, setDraftPages] = useState(null);
+  const [pagesError, setPagesError] = useState("");
+
+  const selectedDpi = DPI_OPTIONS.find((option) => option.id === settings.dpi);
+  const selectedPreprocessing = PREPROCESSING_OPTIONS.find(
+    (option) => option.id === settings.preprocessing
+  );
+
+  const commitForcePages = () => {
+    if (draftPages === null) return;
+    const forcePages = draftPages.trim()
+      ? parsePageList(draftPages, totalPages)
+      : [];
+    if (!forcePages) {
+      setPagesError(`Use page numbers and ranges between 1 and ${totalPages}.`);
+      return;
+    }
+    onChange({ ...settings, forcePages });
+    setDraftPages(null);
+    setPagesError("");
+  };
+
+  return (
+    <Block marginTop="scale600">
+      <LabelMedium>Scanned pages (OCR)</LabelMedium>
+      <ParagraphSmall
+        style={{
+          marginTop: theme.sizing.scale100,
+          color: theme.colors.contentSecondary,
+        }}
+      >
+        Pages without a readable text layer, including Hindi PDFs with broken
+        font encodings, are read with OCR automatically. Higher DPI and
+        black-and-white preprocessing help with faint or noisy scans.
+      </ParagraphSmall>
+      <Block
+        display="grid"
+        gridTemplateColumns="repeat(auto-fit, minmax(220px, 1fr))"
+        gridGap="scale600"
+        marginTop="scale300"
+      >
+        {showResolution && (
+          <Block>
+            <LabelMedium>Render resolution</LabelMedium>
+            <Select
+              options={DPI_OPTIONS}
+              value={selectedDpi ? [selectedDpi] : []}
+              searchable={false}
+              clearable={false}
+              disabled={disabled}
+              onChange={({ value }) => {
+                if (value && value.length > 0) {
+                  onChange({ ...settings, dpi: value[0].id });
+                }
+              }}
+            />
+          </Block>
+        )}
+        <Block>
+          <LabelMedium>Preprocessing</LabelMedium>
+          <Select
+            options={PREPROCESSING_OPTIONS}
+            value={selectedPreprocessing ? [selectedPreprocessing] : []}
+            searchable={false}
+            clearable={false}
+            disabled={disabled}
+            onChange={({ value }) => {
+              if (value && value.length > 0) {
+                onChange({ ...settings, preprocessing: value[0].id });
+              }
+            }}
+          />
+        </Block>
+        <Block>
+          <LabelMedium>Force OCR on pages</LabelMedium>
+          <Input
+            value={draftPages ?? formatPageList(settings.forcePages)}
+            placeholder="e.g. 3-5, 9"
+            disabled={disabled || settings.forceAll}
+            error={Boolean(pagesError)}
+            onChange={(event) => setDraftPages(event.target.value)}
+            onBlur={commitForcePages}
+            onKeyDown={(event) => {
+              if (event.key === "Enter") commitForcePages();
+            }}
+          />
+          {pagesError && (
+            <ParagraphSmall
+              style={{ marginBottom: 0, color: theme.colors.negative }}
+            >
+              {pagesError}
+            </ParagraphSmall>
+          )}
+        </Block>
+      </Block>
+      <Block marginTop="scale400">
+        <Checkbox
+          checked={settings.forceAll}
+          disabled={disabled}
+          onChange={(event) =>
+            onChange({ ...settings, forceAll: event.target.checked })
+          }
+        >
+          Force OCR on every selected page
+        </Checkbox>
+      </Block>
+    </Block>
+  );
+};
+
+export default OcrSettings;
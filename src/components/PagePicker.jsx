@@ -0,0 +1,338 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Input, SIZE as InputSize } from "baseui/input";
+import { LabelMedium, ParagraphSmall } from "baseui/typography";
+import { formatUnitCount } from "../inputs";
+import {
+  addPageRange,
+  formatPageList,
+  parsePageList,
+  rangeToPageNumbers,
+  togglePage,
+} from "../pdf/pageSelection";
+
+const THUMBNAIL_WIDTH = 96;
+
+const TileButton = ({ ref, label, caption, selected, onClick, children }) => {
+  const [css, theme] = useStyletron();
+  return (
+    <button
+      ref={ref}
+      type="button"
+      aria-pressed={selected}
+      aria-label={label}
+      title={label}
+      onClick={onClick}
+      className={css({
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        gap: theme.sizing.scale100,
+        padding: theme.sizing.scale200,
+        borderRadius: theme.borders.radius300,
+        border: `2px solid ${
+          selected ? theme.colors.primary : theme.colors.borderOpaque
+        }`,
+        backgroundColor: selected
+          ? theme.colors.primary50
+          : theme.colors.backgroundPrimary,
+        cursor: "pointer",
+        userSelect: "none",
+      })}
+    >
+      {children}
+      <span
+        className={css({
+          ...theme.typography.LabelSmall,
+          color: selected ? theme.colors.primary : theme.colors.contentSecondary,
+        })}
+      >
+        {caption}
+      </span>
+    </button>
+  );
+};
+
+// Renders its page only once scrolled into view, so large books stay cheap.
+const PageThumbnail = ({ pdf, pageNumber, selected, scrollRootRef, onClick }) => {
+  const [css, theme] = useStyletron();
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (visible) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          setVisible(true);
+          observer.disconnect();
+        }
+      },
+      { root: scrollRootRef.current, rootMargin: "200px" }
+    );
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [visible, scrollRootRef]);
+
+  useEffect(() => {
+    if (!visible) return undefined;
+    let cancelled = false;
+    let renderTask = null;
+
+    pdf
+      .getPage(pageNumber)
+      .then((page) => {
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return undefined;
+        const { width } = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / width });
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        renderTask = page.render({
+          canvasContext: canvas.getContext("2d"),
+          viewport,
+        });
+        return renderTask.promise;
+      })
+      .catch((err) => {
+        if (err?.name !== "RenderingCancelledException") {
+          console.error(`Failed to render thumbnail for page ${pageNumber}:`, err);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [visible, pdf, pageNumber]);
+
+  return (
+    <TileButton
+      ref={containerRef}
+      label={`Page ${pageNumber}`}
+      caption={pageNumber}
+      selected={selected}
+      onClick={onClick}
+    >
+      <canvas
+        ref={canvasRef}
+        className={css({
+          width: `${THUMBNAIL_WIDTH}px`,
+          minHeight: `${Math.round(THUMBNAIL_WIDTH * 1.3)}px`,
+          backgroundColor: theme.colors.backgroundTertiary,
+        })}
+      />
+    </TileButton>
+  );
+};
+
+const ImageThumbnail = ({ file }) => {
+  const [css] = useStyletron();
+  const imageRef = useRef(null);
+
+  // The object URL lives exactly as long as the effect, so StrictMode's extra
+  // mount creates and revokes its own URL instead of revoking the shown one.
+  useEffect(() => {
+    const url = URL.createObjectURL(file);
+    imageRef.current.src = url;
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  return (
+    <img
+      ref={imageRef}
+      alt=""
+      loading="lazy"
+      className={css({
+        width: `${THUMBNAIL_WIDTH}px`,
+        height: `${Math.round(THUMBNAIL_WIDTH * 1.3)}px`,
+        objectFit: "cover",
+      })}
+    />
+  );
+};
+
+// Chapters and sections of text documents have no page image; their tile
+// shows the title and length instead.
+const SectionPreview = ({ unit }) => {
+  const [css, theme] = useStyletron();
+  const words = unit.text.split(/\s+/).filter(Boolean).length;
+  return (
+    <span
+      className={css({
+        display: "flex",
+        flexDirection: "column",
+        justifyContent: "space-between",
+        width: `${THUMBNAIL_WIDTH}px`,
+        height: `${Math.round(THUMBNAIL_WIDTH * 1.3)}px`,
+        padding: theme.sizing.scale200,
+        boxSizing: "border-box",
+        textAlign: "left",
+        backgroundColor: theme.colors.backgroundTertiary,
+        overflow: "hidden",
+      })}
+    >
+      <span
+        className={css({
+          ...theme.typography.LabelXSmall,
+          color: theme.colors.contentPrimary,
+          overflowWrap: "anywhere",
+        })}
+      >
+        {unit.title}
+      </span>
+      <span
+        className={css({
+          ...theme.typography.ParagraphXSmall,
+          color: theme.colors.contentSecondary,
+        })}
+      >
+        {words.toLocaleString()} words
+      </span>
+    </span>
+  );
+};
+
+const PagePicker = ({ source, selectedPages, onChange, disabled }) => {
+  const [css, theme] = useStyletron();
+  const scrollRootRef = useRef(null);
+  const [anchorPage, setAnchorPage] = useState(null);
+  const [draftList, setDraftList] = useState(null);
+  const [listError, setListError] = useState("");
+
+  const totalPages = source.pageCount;
+  const unitName =
+    source.unitLabel.charAt(0).toUpperCase() + source.unitLabel.slice(1);
+  const pageList = formatPageList(selectedPages);
+  const selectedSet = new Set(selectedPages);
+
+  const handleThumbnailClick = (event, pageNumber) => {
+    if (disabled) return;
+    if (event.shiftKey && anchorPage !== null) {
+      onChange(addPageRange(selectedPages, anchorPage, pageNumber));
+    } else {
+      onChange(togglePage(selectedPages, pageNumber));
+    }
+    setAnchorPage(pageNumber);
+  };
+
+  const commitDraftList = () => {
+    if (draftList === null) return;
+    const parsed = parsePageList(draftList, totalPages);
+    if (!parsed) {
+      setListError(
+        `Use ${source.unitLabel} numbers and ranges between 1 and ${totalPages}, e.g. 2-4, 7.`
+      );
+      return;
+    }
+    onChange(parsed);
+    setDraftList(null);
+    setListError("");
+  };
+
+  return (
+    <Block>
+      <Block
+        display="flex"
+        alignItems="flex-end"
+        flexWrap="wrap"
+        className={css({ gap: theme.sizing.scale400 })}
+      >
+        <Block flex="1" minWidth="220px">
+          <LabelMedium>{unitName}s</LabelMedium>
+          <Input
+            size={InputSize.compact}
+            value={draftList ?? pageList}
+            placeholder="e.g. 2-4, 7"
+            disabled={disabled}
+            error={Boolean(listError)}
+            onChange={(event) => setDraftList(event.target.value)}
+            onBlur={commitDraftList}
+            onKeyDown={(event) => {
+              if (event.key === "Enter") commitDraftList();
+            }}
+          />
+        </Block>
+        <Button
+          size={ButtonSize.compact}
+          kind={ButtonKind.secondary}
+          disabled={disabled}
+          onClick={() => onChange(rangeToPageNumbers(1, totalPages))}
+        >
+          Select all
+        </Button>
+        <Button
+          size={ButtonSize.compact}
+          kind={ButtonKind.tertiary}
+          disabled={disabled || !selectedPages.length}
+          onClick={() => onChange([])}
+        >
+          Clear
+        </Button>
+      </Block>
+
+      <ParagraphSmall
+        style={{
+          marginBottom: theme.sizing.scale300,
+          color: listError ? theme.colors.negative : theme.colors.contentSecondary,
+        }}
+      >
+        {listError ||
+          `${selectedPages.length} of ${formatUnitCount(totalPages, source.unitLabel)} selected. Click a ${source.unitLabel} to toggle it; shift-click to add a range.`}
+      </ParagraphSmall>
+
+      <div
+        ref={scrollRootRef}
+        className={css({
+          display: "grid",
+          gridTemplateColumns: `repeat(auto-fill, minmax(${THUMBNAIL_WIDTH + 16}px, 1fr))`,
+          gap: theme.sizing.scale300,
+          maxHeight: "360px",
+          overflowY: "auto",
+          padding: theme.sizing.scale300,
+          borderRadius: theme.borders.radius400,
+          backgroundColor: theme.colors.backgroundSecondary,
+          opacity: disabled ? 0.6 : 1,
+        })}
+      >
+        {rangeToPageNumbers(1, totalPages).map((pageNumber) => {
+          const selected = selectedSet.has(pageNumber);
+          const onClick = (event) => handleThumbnailClick(event, pageNumber);
+          if (source.pdf) {
+            return (
+              <PageThumbnail
+                key={pageNumber}
+                pdf={source.pdf}
+                pageNumber={pageNumber}
+                selected={selected}
+                scrollRootRef={scrollRootRef}
+                onClick={onClick}
+              />
+            );
+          }
+          const unit = source.units[pageNumber - 1];
+          return (
+            <TileButton
+              key={pageNumber}
+              label={`${unitName} ${pageNumber}: ${unit.title}`}
+              caption={pageNumber}
+              selected={selected}
+              onClick={onClick}
+            >
+              {unit.file ? (
+                <ImageThumbnail file={unit.file} />
+              ) : (
+                <SectionPreview unit={unit} />
+              )}
+            </TileButton>
+          );
+        })}
+      </div>
+    </Block>
+  );
+};
+
+export default PagePicker;
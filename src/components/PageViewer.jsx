@@ -0,0 +1,124 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import {
+  Modal,
+  ModalHeader,
+  ModalBody,
+  SIZE as ModalSize,
+  ROLE as ModalRole,
+} from "baseui/modal";
+import { Spinner } from "baseui/spinner";
+import { ParagraphSmall } from "baseui/typography";
+import { getHighlightRects } from "../pdf/highlight";
+
+const VIEWER_SCALE = 1.5;
+
+const PageViewer = ({ pdf, pageNumber, context, onClose }) => {
+  const [css, theme] = useStyletron();
+  const canvasRef = useRef(null);
+  const [status, setStatus] = useState("loading");
+  const [pageSize, setPageSize] = useState(null);
+  const [highlights, setHighlights] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const renderPage = async () => {
+      try {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: VIEWER_SCALE });
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({
+          canvasContext: canvas.getContext("2d"),
+          viewport,
+        }).promise;
+        const textContent = await page.getTextContent();
+        if (cancelled) return;
+
+        setPageSize({ width: viewport.width, height: viewport.height });
+        setHighlights(getHighlightRects(textContent.items, context, viewport));
+        setStatus("ready");
+      } catch (err) {
+        console.error("Failed to render page:", err);
+        if (!cancelled) setStatus("error");
+      }
+    };
+
+    renderPage();
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber, context]);
+
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      size={ModalSize.auto}
+      role={ModalRole.dialog}
+      closeable
+      animate
+      autoFocus
+    >
+      <ModalHeader>Page {pageNumber}</ModalHeader>
+      <ModalBody>
+        {status === "loading" && (
+          <Block display="flex" justifyContent="center" padding="scale600">
+            <Spinner />
+          </Block>
+        )}
+        {status === "error" && (
+          <ParagraphSmall style={{ color: theme.colors.negative }}>
+            Could not render this page of the PDF.
+          </ParagraphSmall>
+        )}
+        {status === "ready" && !highlights.length && (
+          <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+            The quoted context could not be located in this page's text layer.
+          </ParagraphSmall>
+        )}
+        <div
+          className={css({
+            position: "relative",
+            width: "min(720px, 80vw)",
+            display: status === "error" ? "none" : "block",
+          })}
+        >
+          <canvas
+            ref={canvasRef}
+            className={css({
+              display: "block",
+              width: "100%",
+              border: `1px solid ${theme.colors.borderOpaque}`,
+            })}
+          />
+          {pageSize &&
+            highlights.map((rect, index) => (
+              <div
+                key={index}
+                className={css({
+                  position: "absolute",
+                  left: toPercent(rect.left, pageSize.width),
+                  top: toPercent(rect.top, pageSize.height),
+                  width: toPercent(rect.width, pageSize.width),
+                  height: toPercent(rect.height, pageSize.height),
+                  backgroundColor: "rgba(255, 214, 0, 0.4)",
+                  mixBlendMode: "multiply",
+                  pointerEvents: "none",
+                })}
+              />
+            ))}
+        </div>
+      </ModalBody>
+    </Modal>
+  );
+};
+
+export default PageViewer;
@@ -0,0 +1,98 @@
+import React from "react";
+import { Block } from "baseui/block";
+import { Input } from "baseui/input";
+import { Select } from "baseui/select";
+import { LabelMedium, ParagraphSmall } from "baseui/typography";
+import { useStyletron } from "baseui";
+import {
+  LLM_PROVIDERS,
+  getProvider,
+  getDefaultProviderConfig,
+} from "../llm/providers";
+
+const PROVIDER_OPTIONS = LLM_PROVIDERS.map((provider) => ({
+  id: provider.id,
+  label: provider.label,
+}));
+
+const ProviderSettings = ({ config, onChange, disabled }) => {
+  const [, theme] = useStyletron();
+  const provider = getProvider(config.providerId);
+  const selectedProvider = PROVIDER_OPTIONS.find(
+    (option) => option.id === provider.id
+  );
+
+  const updateField = (field) => (event) =>
+    onChange({ ...config, [field]: event.target.value });
+
+  return (
+    <Block marginTop="scale600">
+      <LabelMedium>AI provider</LabelMedium>
+      <ParagraphSmall
+        style={{
+          marginTop: theme.sizing.scale100,
+          color: theme.colors.contentSecondary,
+        }}
+      >
+        Pick the service that generates your questions. Local servers run on
+        your own machine and need no API key.
+      </ParagraphSmall>
+      <Block
+        display="grid"
+        gridTemplateColumns="repeat(auto-fit, minmax(220px, 1fr))"
+        gridGap="scale600"
+        marginTop="scale300"
+      >
+        <Block>
+          <LabelMedium>Provider</LabelMedium>
+          <Select
+            options={PROVIDER_OPTIONS}
+            value={selectedProvider ? [selectedProvider] : []}
+            searchable={false}
+            clearable={false}
+            disabled={disabled}
+            onChange={({ value }) => {
+              if (value && value.length > 0) {
+                onChange(getDefaultProviderConfig(value[0].id));
+              }
+            }}
+          />
+        </Block>
+        <Block>
+          <LabelMedium>Model</LabelMedium>
+          <Input
+            value={config.model}
+            onChange={updateField("model")}
+            placeholder={provider.defaultModel}
+            disabled={disabled}
+          />
+        </Block>
+        <Block>
+          <LabelMedium>Base URL</LabelMedium>
+          <Input
+            value={config.baseUrl}
+            onChange={updateField("baseUrl")}
+            placeholder={provider.defaultBaseUrl}
+            disabled={disabled}
+          />
+        </Block>
+        {provider.acceptsApiKey && (
+          <Block>
+            <LabelMedium>
+              {provider.requiresApiKey ? "API key" : "API key (optional)"}
+            </LabelMedium>
+            <Input
+              type="password"
+              value={config.apiKey}
+              onChange={updateField("apiKey")}
+              placeholder={provider.apiKeyEnv}
+              disabled={disabled}
+            />
+          </Block>
+        )}
+      </Block>
+    </Block>
+  );
+};
+
+export default ProviderSettings;
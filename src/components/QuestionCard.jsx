@@ -0,0 +1,380 @@
+import React, { useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Card, StyledBody, hasThumbnail as cardHasThumbnail } from "baseui/card";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { ButtonGroup, MODE as ButtonGroupMode } from "baseui/button-group";
+import { Textarea } from "baseui/textarea";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import {
+  HeadingSmall,
+  ParagraphMedium,
+  ParagraphSmall,
+  LabelMedium,
+} from "baseui/typography";
+import {
+  Check,
+  AlertCircle,
+  ChevronDown,
+  ChevronUp,
+  FileText,
+} from "lucide-react";
+import GradeFeedback from "./GradeFeedback";
+import { isMultipleChoiceQuestion } from "../quiz/session";
+import { getTextDirection } from "../languages/registry";
+
+// Which language a bilingual card is shown in.
+const VIEWS = ["primary", "translation", "both"];
+
+const QuestionCard = ({
+  data,
+  index,
+  difficulty,
+  response,
+  locked,
+  isOpen,
+  canReveal,
+  actions,
+  grade,
+  grading,
+  onGradeWithModel,
+  onSelectOption,
+  onShortAnswerChange,
+  onToggleReveal,
+  onShowSource,
+}) => {
+  const [css, theme] = useStyletron();
+  const { selectedOption, shortAnswer } = response;
+  const [view, setView] = useState("both");
+
+  const isMCQ = isMultipleChoiceQuestion(data);
+  const hasTranslation = Boolean(data.questionTranslation);
+  const showPrimary = !hasTranslation || view !== "translation";
+  const showTranslated = hasTranslation && view !== "primary";
+
+  // One field in the selected language, or both stacked. A field the model
+  // did not translate is shown in the primary language instead.
+  const renderText = (text, translation) => (
+    <>
+      {(showPrimary || !translation) && (
+        <span
+          dir={getTextDirection(data.language)}
+          className={css({ display: "block" })}
+        >
+          {text}
+        </span>
+      )}
+      {showTranslated && translation && (
+        <span
+          dir={getTextDirection(data.translationLanguage)}
+          className={css({
+            display: "block",
+            marginTop: showPrimary ? theme.sizing.scale100 : 0,
+            ...(showPrimary
+              ? { fontStyle: "italic", color: theme.colors.contentSecondary }
+              : {}),
+          })}
+        >
+          {translation}
+        </span>
+      )}
+    </>
+  );
+
+  const getOptionStyle = (option) => {
+    const baseStyle = {
+      padding: `${theme.sizing.scale500} ${theme.sizing.scale600}`,
+      borderRadius: theme.borders.radius400,
+      border: `1px solid ${theme.colors.borderOpaque}`,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "space-between",
+      cursor: locked ? "default" : "pointer",
+      backgroundColor: theme.colors.backgroundPrimary,
+      color: theme.colors.contentPrimary,
+      marginBottom: theme.sizing.scale300,
+      transitionProperty: "all",
+      transitionDuration: "200ms",
+    };
+
+    if (!isOpen) {
+      if (selectedOption === option) {
+        baseStyle.borderColor = theme.colors.primary;
+        baseStyle.backgroundColor = theme.colors.primary50;
+        baseStyle.color = theme.colors.primary;
+        baseStyle.fontWeight = 600;
+      } else {
+        baseStyle[":hover"] = {
+          borderColor: theme.colors.primary500,
+        };
+      }
+    } else {
+      baseStyle.cursor = "default";
+      if (option === data.answer) {
+        baseStyle.borderColor = theme.colors.positive;
+        baseStyle.backgroundColor = theme.colors.positive50;
+        baseStyle.color = theme.colors.positive;
+        baseStyle.fontWeight = 600;
+      } else if (selectedOption === option) {
+        baseStyle.borderColor = theme.colors.negative;
+        baseStyle.backgroundColor = theme.colors.negative50;
+        baseStyle.color = theme.colors.negative;
+      } else {
+        baseStyle.backgroundColor = theme.colors.backgroundTertiary;
+        baseStyle.color = theme.colors.contentSecondary;
+      }
+    }
+
+    return css(baseStyle);
+  };
+
+  const handleOptionClick = (option) => {
+    if (locked) return;
+    onSelectOption(option);
+  };
+
+  return (
+    <Card
+      hasThumbnail={cardHasThumbnail}
+      overrides={{
+        Root: {
+          style: {
+            marginBottom: "16px",
+            borderColor: theme.colors.borderTransparent,
+          },
+        },
+      }}
+    >
+      <StyledBody>
+        <Block
+          display="flex"
+          justifyContent="space-between"
+          alignItems="flex-start"
+          flexWrap="wrap"
+          className={css({ gap: theme.sizing.scale400 })}
+        >
+          <Block flex="1" minWidth="220px">
+            <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+              Question {index + 1}
+            </ParagraphSmall>
+            <HeadingSmall
+              style={{ marginTop: theme.sizing.scale200 }}
+              dir={getTextDirection(
+                showPrimary ? data.language : data.translationLanguage
+              )}
+            >
+              {showPrimary ? data.question : data.questionTranslation}
+            </HeadingSmall>
+            {hasTranslation && (
+              <ButtonGroup
+                mode={ButtonGroupMode.radio}
+                size={ButtonSize.mini}
+                selected={VIEWS.indexOf(view)}
+                onClick={(_, index) => setView(VIEWS[index])}
+                overrides={{
+                  Root: { style: { marginTop: theme.sizing.scale300 } },
+                }}
+              >
+                <Button>{data.language || "Original"}</Button>
+                <Button>{data.translationLanguage || "Translation"}</Button>
+                <Button>Both</Button>
+              </ButtonGroup>
+            )}
+          </Block>
+          <Block display="flex" alignItems="center">
+            {actions}
+            {canReveal && (
+              <Button
+                kind={ButtonKind.tertiary}
+                size={ButtonSize.compact}
+                startEnhancer={() =>
+                  isOpen ? (
+                    <ChevronUp size={18} />
+                  ) : (
+                    <ChevronDown size={18} />
+                  )
+                }
+                onClick={onToggleReveal}
+              >
+                {isOpen ? "Hide answer" : "Reveal answer"}
+              </Button>
+            )}
+          </Block>
+        </Block>
+
+        {hasTranslation && view === "both" && (
+          <Block
+            marginTop="scale400"
+            padding="scale400"
+            backgroundColor={theme.colors.backgroundTertiary}
+            className={css({ borderRadius: theme.borders.radius400 })}
+          >
+            <LabelMedium>
+              Translated question ({data.translationLanguage || "Other"})
+            </LabelMedium>
+            <ParagraphSmall
+              dir={getTextDirection(data.translationLanguage)}
+              style={{
+                marginTop: theme.sizing.scale100,
+                color: theme.colors.contentPrimary,
+              }}
+            >
+              {data.questionTranslation}
+            </ParagraphSmall>
+          </Block>
+        )}
+
+        <Block
+          display="flex"
+          flexWrap="wrap"
+          className={css({
+            gap: theme.sizing.scale400,
+            marginTop: theme.sizing.scale500,
+          })}
+        >
+          <Tag closeable={false} kind={TagKind.positive}>
+            {data.type || "Mixed"}
+          </Tag>
+          {difficulty && (
+            <Tag closeable={false} kind={TagKind.neutral}>
+              Difficulty: {difficulty}
+            </Tag>
+          )}
+          <Tag closeable={false} kind={TagKind.accent}>
+            Language: {data.language || "Auto"}
+          </Tag>
+          {data.questionTranslation && (
+            <Tag closeable={false} kind={TagKind.accent}>
+              Translation: {data.translationLanguage || "Other"}
+            </Tag>
+          )}
+        </Block>
+
+        {isMCQ && (
+          <Block marginTop="scale500">
+            {data.options.map((option, idx) => (
+              <div
+                key={`${option}-${idx}`}
+                className={getOptionStyle(option)}
+                onClick={() => handleOptionClick(option)}
+              >
+                <span>{renderText(option, data.optionsTranslation?.[idx])}</span>
+                {isOpen && option === data.answer && (
+                  <Check size={18} color={theme.colors.positive} />
+                )}
+                {isOpen &&
+                  selectedOption === option &&
+                  option !== data.answer && (
+                    <AlertCircle size={18} color={theme.colors.negative} />
+                  )}
+              </div>
+            ))}
+          </Block>
+        )}
+
+        {!isMCQ && (
+          <Block marginTop="scale500">
+            <LabelMedium>Your answer</LabelMedium>
+            <Textarea
+              value={shortAnswer}
+              onChange={(event) => onShortAnswerChange(event.target.value)}
+              placeholder="Type your answer before revealing the solution..."
+              overrides={{
+                Root: {
+                  style: {
+                    marginTop: theme.sizing.scale300,
+                  },
+                },
+              }}
+              disabled={locked}
+            />
+            {isOpen && grade && shortAnswer.trim() && (
+              <GradeFeedback
+                grade={grade}
+                grading={grading}
+                onGradeWithModel={onGradeWithModel}
+              />
+            )}
+          </Block>
+        )}
+
+        {!isMCQ && !isOpen && canReveal && (
+          <ParagraphSmall
+            style={{
+              marginTop: theme.sizing.scale500,
+              fontStyle: "italic",
+              color: theme.colors.contentSecondary,
+            }}
+          >
+            Use the reveal button to view the answer.
+          </ParagraphSmall>
+        )}
+
+        {isOpen && (
+          <Block
+            marginTop="scale600"
+            padding="scale600"
+            backgroundColor={theme.colors.positive50}
+            overrides={{
+              Block: {
+                style: {
+                  borderRadius: "16px",
+                  border: `1px solid ${theme.colors.positive100}`,
+                },
+              },
+            }}
+          >
+            <LabelMedium style={{ color: theme.colors.positive700 }}>
+              Correct answer
+            </LabelMedium>
+            <ParagraphMedium
+              style={{
+                marginTop: theme.sizing.scale100,
+                color: theme.colors.contentPrimary,
+              }}
+            >
+              {renderText(data.answer, data.answerTranslation)}
+            </ParagraphMedium>
+            {data.context && (
+              <ParagraphSmall
+                style={{
+                  marginTop: theme.sizing.scale400,
+                  color: theme.colors.contentSecondary,
+                  fontStyle: "italic",
+                }}
+              >
+                {renderText(`"${data.context}"`, data.contextTranslation)}
+              </ParagraphSmall>
+            )}
+            {data.page &&
+              (onShowSource ? (
+                <Button
+                  kind={ButtonKind.tertiary}
+                  size={ButtonSize.mini}
+                  startEnhancer={() => <FileText size={14} />}
+                  onClick={() => onShowSource(data)}
+                  overrides={{
+                    BaseButton: { style: { marginTop: theme.sizing.scale300 } },
+                  }}
+                >
+                  View page {data.page}
+                </Button>
+              ) : (
+                <ParagraphSmall
+                  style={{
+                    marginTop: theme.sizing.scale300,
+                    marginBottom: 0,
+                    color: theme.colors.contentSecondary,
+                  }}
+                >
+                  Source: page {data.page}
+                </ParagraphSmall>
+              ))}
+          </Block>
+        )}
+      </StyledBody>
+    </Card>
+  );
+};
+
+export default QuestionCard;
@@ -0,0 +1,316 @@
+import React, { useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Card, StyledBody, hasThumbnail as cardHasThumbnail } from "baseui/card";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Input, SIZE as InputSize } from "baseui/input";
+import { Textarea } from "baseui/textarea";
+import { ParagraphSmall, LabelMedium } from "baseui/typography";
+import { Check, Plus, X } from "lucide-react";
+import { isMultipleChoiceQuestion } from "../quiz/session";
+import { validateQuestion } from "../generation/validateQuestions";
+import {
+  detectLanguage,
+  getLanguage,
+  getPreferenceLanguages,
+  isBilingualPreference,
+  toLanguagePreference,
+} from "../languages/registry";
+
+const createDraft = (question) => ({
+  question: question.question,
+  questionTranslation: question.questionTranslation || "",
+  options: isMultipleChoiceQuestion(question) ? [...question.options] : [],
+  optionsTranslation: isMultipleChoiceQuestion(question)
+    ? question.options.map(
+        (_, optionIndex) => question.optionsTranslation?.[optionIndex] || ""
+      )
+    : [],
+  answerIndex: isMultipleChoiceQuestion(question)
+    ? question.options.indexOf(question.answer)
+    : -1,
+  answer: question.answer,
+  answerTranslation: question.answerTranslation || "",
+  context: question.context || "",
+  contextTranslation: question.contextTranslation || "",
+});
+
+// Edited questions are validated against their own pair of languages, so a
+// translated question keeps its translations in a quiz that isn't bilingual.
+const getDraftPreference = (question, draft, languagePreference) => {
+  if (!draft.questionTranslation.trim()) return languagePreference;
+  const candidates = getPreferenceLanguages(languagePreference);
+  const primary =
+    getLanguage(question.language)?.id ||
+    detectLanguage(draft.question, candidates);
+  const secondary =
+    getLanguage(question.translationLanguage)?.id ||
+    detectLanguage(draft.questionTranslation, candidates);
+  return getLanguage(primary) && getLanguage(secondary) && primary !== secondary
+    ? toLanguagePreference(primary, secondary)
+    : languagePreference;
+};
+
+const QuestionEditor = ({ question, index, languagePreference, onSave, onCancel }) => {
+  const [css, theme] = useStyletron();
+  const [draft, setDraft] = useState(() => createDraft(question));
+  const [error, setError] = useState("");
+
+  const isMCQ = isMultipleChoiceQuestion(question);
+  const showTranslation =
+    isBilingualPreference(languagePreference) ||
+    Boolean(question.questionTranslation);
+
+  const updateDraft = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateOption = (field, optionIndex, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      [field]: prev[field].map((option, i) => (i === optionIndex ? value : option)),
+    }));
+
+  const addOption = () =>
+    setDraft((prev) => ({
+      ...prev,
+      options: [...prev.options, ""],
+      optionsTranslation: [...prev.optionsTranslation, ""],
+    }));
+
+  const removeOption = (optionIndex) =>
+    setDraft((prev) => ({
+      ...prev,
+      options: prev.options.filter((_, i) => i !== optionIndex),
+      optionsTranslation: prev.optionsTranslation.filter(
+        (_, i) => i !== optionIndex
+      ),
+      answerIndex:
+        prev.answerIndex === optionIndex
+          ? -1
+          : prev.answerIndex - (prev.answerIndex > optionIndex ? 1 : 0),
+    }));
+
+  const save = () => {
+    if (isMCQ && draft.answerIndex < 0) {
+      setError("Mark one of the options as the correct answer.");
+      return;
+    }
+    const translatedOptions = draft.optionsTranslation.filter((option) =>
+      option.trim()
+    ).length;
+    if (
+      showTranslation &&
+      translatedOptions > 0 &&
+      translatedOptions < draft.options.length
+    ) {
+      setError("Translate every option, or leave all translations empty.");
+      return;
+    }
+
+    const result = validateQuestion(
+      {
+        ...question,
+        question: draft.question,
+        questionTranslation: draft.questionTranslation,
+        options: draft.options,
+        optionsTranslation: draft.optionsTranslation,
+        answer: isMCQ ? draft.options[draft.answerIndex] : draft.answer,
+        answerTranslation: draft.answerTranslation,
+        context: draft.context,
+        contextTranslation: draft.contextTranslation,
+        language: null,
+        translationLanguage: null,
+      },
+      {
+        languagePreference: getDraftPreference(
+          question,
+          draft,
+          languagePreference
+        ),
+        questionType: question.type,
+      }
+    );
+
+    if (result.reason) {
+      setError(
+        result.reason.startsWith("Expected")
+          ? "A multiple choice question needs at least two different options."
+          : result.reason
+      );
+      return;
+    }
+    onSave(result.question);
+  };
+
+  const fieldStyle = { marginTop: theme.sizing.scale300 };
+
+  return (
+    <Card
+      hasThumbnail={cardHasThumbnail}
+      overrides={{
+        Root: {
+          style: {
+            marginBottom: "16px",
+            borderColor: theme.colors.primary,
+          },
+        },
+      }}
+    >
+      <StyledBody>
+        <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+          Editing question {index + 1} · {question.type}
+        </ParagraphSmall>
+
+        <LabelMedium>Question</LabelMedium>
+        <Textarea
+          value={draft.question}
+          onChange={(event) => updateDraft({ question: event.target.value })}
+          overrides={{ Root: { style: fieldStyle } }}
+        />
+
+        {showTranslation && (
+          <Block marginTop="scale500">
+            <LabelMedium>Translated question</LabelMedium>
+            <Textarea
+              value={draft.questionTranslation}
+              onChange={(event) =>
+                updateDraft({ questionTranslation: event.target.value })
+              }
+              overrides={{ Root: { style: fieldStyle } }}
+            />
+          </Block>
+        )}
+
+        {isMCQ ? (
+          <Block marginTop="scale500">
+            <LabelMedium>Options (mark the correct one)</LabelMedium>
+            {draft.options.map((option, optionIndex) => (
+              <Block
+                key={optionIndex}
+                display="flex"
+                alignItems="center"
+                marginTop="scale300"
+                className={css({ gap: theme.sizing.scale300 })}
+              >
+                <Button
+                  size={ButtonSize.compact}
+                  kind={
+                    draft.answerIndex === optionIndex
+                      ? ButtonKind.primary
+                      : ButtonKind.secondary
+                  }
+                  aria-label="Mark as correct answer"
+                  onClick={() => updateDraft({ answerIndex: optionIndex })}
+                >
+                  <Check size={16} />
+                </Button>
+                <Input
+                  size={InputSize.compact}
+                  value={option}
+                  onChange={(event) =>
+                    updateOption("options", optionIndex, event.target.value)
+                  }
+                />
+                {showTranslation && (
+                  <Input
+                    size={InputSize.compact}
+                    value={draft.optionsTranslation[optionIndex]}
+                    placeholder="Translation"
+                    onChange={(event) =>
+                      updateOption(
+                        "optionsTranslation",
+                        optionIndex,
+                        event.target.value
+                      )
+                    }
+                  />
+                )}
+                <Button
+                  size={ButtonSize.compact}
+                  kind={ButtonKind.tertiary}
+                  aria-label="Remove option"
+                  onClick={() => removeOption(optionIndex)}
+                >
+                  <X size={16} />
+                </Button>
+              </Block>
+            ))}
+            <Button
+              size={ButtonSize.compact}
+              kind={ButtonKind.tertiary}
+              startEnhancer={() => <Plus size={16} />}
+              onClick={addOption}
+              overrides={{ BaseButton: { style: fieldStyle } }}
+            >
+              Add option
+            </Button>
+          </Block>
+        ) : (
+          <Block marginTop="scale500">
+            <LabelMedium>Correct answer</LabelMedium>
+            <Textarea
+              value={draft.answer}
+              onChange={(event) => updateDraft({ answer: event.target.value })}
+              overrides={{ Root: { style: fieldStyle } }}
+            />
+            {showTranslation && (
+              <Block marginTop="scale500">
+                <LabelMedium>Translated answer</LabelMedium>
+                <Textarea
+                  value={draft.answerTranslation}
+                  onChange={(event) =>
+                    updateDraft({ answerTranslation: event.target.value })
+                  }
+                  overrides={{ Root: { style: fieldStyle } }}
+                />
+              </Block>
+            )}
+          </Block>
+        )}
+
+        <Block marginTop="scale500">
+          <LabelMedium>Context from the book</LabelMedium>
+          <Textarea
+            value={draft.context}
+            onChange={(event) => updateDraft({ context: event.target.value })}
+            overrides={{ Root: { style: fieldStyle } }}
+          />
+        </Block>
+
+        {showTranslation && (
+          <Block marginTop="scale500">
+            <LabelMedium>Translated context</LabelMedium>
+            <Textarea
+              value={draft.contextTranslation}
+              onChange={(event) =>
+                updateDraft({ contextTranslation: event.target.value })
+              }
+              overrides={{ Root: { style: fieldStyle } }}
+            />
+          </Block>
+        )}
+
+        {error && (
+          <ParagraphSmall style={{ color: theme.colors.negative }}>
+            {error}
+          </ParagraphSmall>
+        )}
+
+        <Block
+          display="flex"
+          justifyContent="flex-end"
+          marginTop="scale600"
+          className={css({ gap: theme.sizing.scale300 })}
+        >
+          <Button kind={ButtonKind.tertiary} size={ButtonSize.compact} onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button size={ButtonSize.compact} onClick={save}>
+            Save question
+          </Button>
+        </Block>
+      </StyledBody>
+    </Card>
+  );
+};
+
+export default QuestionEditor;
@@ -0,0 +1,237 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Card, StyledBody, hasThumbnail as cardHasThumbnail } from "baseui/card";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Input, SIZE as InputSize } from "baseui/input";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import {
+  HeadingSmall,
+  LabelMedium,
+  ParagraphSmall,
+} from "baseui/typography";
+import { Library, Pencil, Trash2, FolderOpen, FileUp } from "lucide-react";
+import { listQuizzes, renameQuiz, deleteQuiz } from "../storage/quizLibrary";
+import { getLanguagePreferenceLabel } from "../languages/registry";
+
+const QuizLibrary = ({
+  refreshKey,
+  activeQuizId,
+  onOpen,
+  onDeleted,
+  onImport,
+  onError,
+}) => {
+  const [css, theme] = useStyletron();
+  const importInputRef = useRef(null);
+  const [quizzes, setQuizzes] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    listQuizzes()
+      .then((records) => {
+        if (!cancelled) setQuizzes(records);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) onError("Could not load your saved quizzes.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, onError]);
+
+  const startRename = (quiz) => {
+    setEditingId(quiz.id);
+    setDraftName(quiz.name);
+  };
+
+  const commitRename = async () => {
+    const name = draftName.trim();
+    if (!name) {
+      setEditingId(null);
+      return;
+    }
+    try {
+      const updated = await renameQuiz(editingId, name);
+      setQuizzes((prev) =>
+        prev.map((quiz) => (quiz.id === updated.id ? updated : quiz))
+      );
+    } catch (err) {
+      console.error(err);
+      onError(err.message || "Could not rename the quiz.");
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = async (quiz) => {
+    if (!window.confirm(`Delete "${quiz.name}" from your library?`)) return;
+    try {
+      await deleteQuiz(quiz.id);
+      setQuizzes((prev) => prev.filter((item) => item.id !== quiz.id));
+      onDeleted(quiz.id);
+    } catch (err) {
+      console.error(err);
+      onError("Could not delete the quiz.");
+    }
+  };
+
+  return (
+    <Card
+      hasThumbnail={cardHasThumbnail}
+      overrides={{
+        Root: { style: { marginBottom: "24px" } },
+      }}
+    >
+      <StyledBody>
+        <Block
+          display="flex"
+          alignItems="center"
+          justifyContent="space-between"
+          flexWrap="wrap"
+          marginBottom="scale400"
+          className={css({ gap: theme.sizing.scale300 })}
+        >
+          <HeadingSmall
+            style={{
+              margin: 0,
+              display: "flex",
+              alignItems: "center",
+              gap: theme.sizing.scale300,
+            }}
+          >
+            <Library size={22} color={theme.colors.primary} />
+            Your quiz library
+          </HeadingSmall>
+          <input
+            type="file"
+            ref={importInputRef}
+            accept="application/json,.json"
+            onChange={(event) => {
+              const pickedFile = event.target.files?.[0];
+              if (pickedFile) {
+                onImport(pickedFile);
+                event.target.value = "";
+              }
+            }}
+            style={{ display: "none" }}
+          />
+          <Button
+            size={ButtonSize.compact}
+            kind={ButtonKind.secondary}
+            startEnhancer={() => <FileUp size={16} />}
+            onClick={() => importInputRef.current?.click()}
+          >
+            Import quiz (.json)
+          </Button>
+        </Block>
+
+        {quizzes.length === 0 && (
+          <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+            Generated quizzes are saved here automatically and stay available
+            offline in this browser. Import a quiz file shared by another
+            teacher to play it without the original PDF.
+          </ParagraphSmall>
+        )}
+
+        {quizzes.map((quiz) => (
+          <Block
+            key={quiz.id}
+            display="flex"
+            alignItems="center"
+            justifyContent="space-between"
+            flexWrap="wrap"
+            paddingTop="scale400"
+            paddingBottom="scale400"
+            className={css({
+              gap: theme.sizing.scale400,
+              borderBottom: `1px solid ${theme.colors.borderOpaque}`,
+            })}
+          >
+            <Block flex="1" minWidth="220px">
+              {editingId === quiz.id ? (
+                <Input
+                  size={InputSize.compact}
+                  value={draftName}
+                  autoFocus
+                  onChange={(event) => setDraftName(event.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(event) => {
+                    if (event.key === "Enter") commitRename();
+                    if (event.key === "Escape") setEditingId(null);
+                  }}
+                />
+              ) : (
+                <LabelMedium>{quiz.name}</LabelMedium>
+              )}
+              <ParagraphSmall
+                style={{
+                  marginTop: theme.sizing.scale100,
+                  marginBottom: theme.sizing.scale200,
+                  color: theme.colors.contentSecondary,
+                }}
+              >
+                {quiz.sourceName}
+                {quiz.pageLabel ? ` · pages ${quiz.pageLabel}` : ""} ·{" "}
+                {new Date(quiz.createdAt).toLocaleString()}
+              </ParagraphSmall>
+              <Block
+                display="flex"
+                flexWrap="wrap"
+                className={css({ gap: theme.sizing.scale200 })}
+              >
+                <Tag closeable={false} kind={TagKind.accent}>
+                  {quiz.questions.length} questions
+                </Tag>
+                <Tag closeable={false} kind={TagKind.neutral}>
+                  {quiz.difficulty}
+                </Tag>
+                <Tag closeable={false} kind={TagKind.neutral}>
+                  {quiz.questionType}
+                </Tag>
+                <Tag closeable={false} kind={TagKind.neutral}>
+                  {getLanguagePreferenceLabel(quiz.languagePreference)}
+                </Tag>
+                {quiz.id === activeQuizId && (
+                  <Tag closeable={false} kind={TagKind.positive}>
+                    Open
+                  </Tag>
+                )}
+              </Block>
+            </Block>
+            <Block display="flex" className={css({ gap: theme.sizing.scale200 })}>
+              <Button
+                size={ButtonSize.compact}
+                kind={ButtonKind.secondary}
+                startEnhancer={() => <FolderOpen size={16} />}
+                onClick={() => onOpen(quiz)}
+              >
+                Open
+              </Button>
+              <Button
+                size={ButtonSize.compact}
+                kind={ButtonKind.tertiary}
+                startEnhancer={() => <Pencil size={16} />}
+                onClick={() => startRename(quiz)}
+              >
+                Rename
+              </Button>
+              <Button
+                size={ButtonSize.compact}
+                kind={ButtonKind.tertiary}
+                startEnhancer={() => <Trash2 size={16} />}
+                onClick={() => handleDelete(quiz)}
+              >
+                Delete
+              </Button>
+            </Block>
+          </Block>
+        ))}
+      </StyledBody>
+    </Card>
+  );
+};
+
+export default QuizLibrary;
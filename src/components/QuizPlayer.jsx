@@ -0,0 +1,460 @@
+import React, {
+  useEffect,
+  useEffectEvent,
+  useReducer,
+  useState,
+} from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { ButtonGroup, MODE as ButtonGroupMode } from "baseui/button-group";
+import { Input, SIZE as InputSize } from "baseui/input";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import { LabelMedium } from "baseui/typography";
+import {
+  Timer,
+  Send,
+  Play,
+  Pencil,
+  Trash2,
+  RefreshCw,
+  GripVertical,
+} from "lucide-react";
+import QuestionCard from "./QuestionCard";
+import QuestionEditor from "./QuestionEditor";
+import ExamResults from "./ExamResults";
+import {
+  EXAM_STATUS,
+  SESSION_MODES,
+  createSession,
+  formatDuration,
+  getExamReport,
+  getRemainingSeconds,
+  getResponse,
+  getShortAnswerGrade,
+  isAnswered,
+  isLocked,
+  isMultipleChoiceQuestion,
+  isResponseCorrect,
+  sessionReducer,
+} from "../quiz/session";
+import { gradeShortAnswerWithModel } from "../quiz/grading";
+import { getProviderConfigError } from "../llm/providers";
+import { recordAttempt, regradeLastAttempt } from "../storage/reviewCards";
+
+const moveQuestion = (questions, fromIndex, toIndex) => {
+  const next = [...questions];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+const QuizPlayer = ({
+  questions,
+  difficulty,
+  languagePreference,
+  quiz,
+  providerConfig,
+  canRegenerate,
+  onQuestionsChange,
+  onRegenerate,
+  onAttemptsRecorded,
+  onShowSource,
+  onError,
+}) => {
+  const [css, theme] = useStyletron();
+  const [session, dispatch] = useReducer(sessionReducer, undefined, createSession);
+  const [timeLimit, setTimeLimit] = useState("0");
+  const [now, setNow] = useState(() => Date.now());
+  const [gradingIds, setGradingIds] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [regeneratingId, setRegeneratingId] = useState(null);
+  const [dragHandleId, setDragHandleId] = useState(null);
+  const [dragOverId, setDragOverId] = useState(null);
+
+  const isExam = session.mode === SESSION_MODES.exam;
+  const isRunning = isExam && session.examStatus === EXAM_STATUS.running;
+  const canEdit = !isExam && !regeneratingId;
+  const remainingSeconds = isRunning ? getRemainingSeconds(session, now) : null;
+  const answeredCount = questions.filter((question) =>
+    isAnswered(question, getResponse(session, question.id))
+  ).length;
+
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isRunning]);
+
+
+  const startExam = () => {
+    const startedAt = Date.now();
+    setNow(startedAt);
+    dispatch({
+      type: "startExam",
+      now: startedAt,
+      durationMinutes: Math.max(0, parseInt(timeLimit || "0", 10) || 0),
+    });
+  };
+
+  // Attempts feed the spaced-repetition queue, which needs a saved quiz to
+  // point back to.
+  const saveAttempts = async (attempts) => {
+    if (!quiz || !attempts.length) return;
+    try {
+      for (const attempt of attempts) {
+        await recordAttempt({ quiz, ...attempt });
+      }
+      onAttemptsRecorded();
+    } catch (err) {
+      console.error("Failed to record attempts:", err);
+    }
+  };
+
+  const toggleReveal = (question) => {
+    const response = getResponse(session, question.id);
+    if (!response.attempted && isAnswered(question, response)) {
+      saveAttempts([
+        { question, correct: isResponseCorrect(question, response) },
+      ]);
+    }
+    dispatch({ type: "toggleReveal", questionId: question.id });
+  };
+
+  const finishExam = (timedOut) => {
+    dispatch({ type: "submitExam", now: Date.now(), timedOut });
+    saveAttempts(
+      questions.map((question) => ({
+        question,
+        correct: isResponseCorrect(question, getResponse(session, question.id)),
+      }))
+    );
+  };
+
+  const saveEdit = (updated) => {
+    onQuestionsChange(
+      questions.map((question) =>
+        question.id === updated.id ? updated : question
+      )
+    );
+    dispatch({ type: "clearResponse", questionId: updated.id });
+    setEditingId(null);
+  };
+
+  const deleteQuestion = (question, index) => {
+    if (!window.confirm(`Delete question ${index + 1}? This cannot be undone.`)) {
+      return;
+    }
+    onQuestionsChange(questions.filter((item) => item.id !== question.id));
+  };
+
+  const regenerateQuestion = async (question) => {
+    setRegeneratingId(question.id);
+    try {
+      const replacement = await onRegenerate(question);
+      onQuestionsChange(
+        questions.map((item) => (item.id === question.id ? replacement : item))
+      );
+    } catch (err) {
+      if (err?.name !== "AbortError") {
+        console.error("Regenerating question failed:", err);
+        onError(err.message || "Could not regenerate this question.");
+      }
+    } finally {
+      setRegeneratingId(null);
+    }
+  };
+
+  const dropQuestion = (targetId) => {
+    const fromIndex = questions.findIndex((item) => item.id === dragHandleId);
+    const toIndex = questions.findIndex((item) => item.id === targetId);
+    if (fromIndex >= 0 && toIndex >= 0 && fromIndex !== toIndex) {
+      onQuestionsChange(moveQuestion(questions, fromIndex, toIndex));
+    }
+    setDragHandleId(null);
+    setDragOverId(null);
+  };
+
+  const renderActions = (question, index) => (
+    <Block display="flex" alignItems="center">
+      <Button
+        kind={ButtonKind.tertiary}
+        size={ButtonSize.compact}
+        disabled={!canEdit}
+        aria-label="Edit question"
+        onClick={() => setEditingId(question.id)}
+      >
+        <Pencil size={16} />
+      </Button>
+      {canRegenerate && (
+        <Button
+          kind={ButtonKind.tertiary}
+          size={ButtonSize.compact}
+          disabled={!canEdit}
+          isLoading={regeneratingId === question.id}
+          aria-label="Regenerate this question"
+          onClick={() => regenerateQuestion(question)}
+        >
+          <RefreshCw size={16} />
+        </Button>
+      )}
+      <Button
+        kind={ButtonKind.tertiary}
+        size={ButtonSize.compact}
+        disabled={!canEdit}
+        aria-label="Delete question"
+        onClick={() => deleteQuestion(question, index)}
+      >
+        <Trash2 size={16} />
+      </Button>
+      <span
+        title="Drag to reorder"
+        onMouseDown={() => canEdit && setDragHandleId(question.id)}
+        onMouseUp={() => setDragHandleId(null)}
+        className={css({
+          display: "flex",
+          padding: theme.sizing.scale200,
+          cursor: canEdit ? "grab" : "default",
+          color: theme.colors.contentSecondary,
+        })}
+      >
+        <GripVertical size={18} />
+      </span>
+    </Block>
+  );
+
+  const canGradeWithModel = !getProviderConfigError(providerConfig);
+
+  const gradeWithModel = async (question) => {
+    const { shortAnswer } = getResponse(session, question.id);
+    setGradingIds((prev) => ({ ...prev, [question.id]: true }));
+    try {
+      const grade = await gradeShortAnswerWithModel(
+        question,
+        shortAnswer,
+        providerConfig
+      );
+      dispatch({
+        type: "setGrade",
+        questionId: question.id,
+        answer: shortAnswer,
+        grade,
+      });
+      // The answer was recorded with its local grade when it was revealed or
+      // the exam was submitted; the model grade replaces that one.
+      if (quiz) {
+        try {
+          await regradeLastAttempt({ quiz, question, correct: grade.correct });
+          onAttemptsRecorded();
+        } catch (recordErr) {
+          console.error("Failed to record the model grade:", recordErr);
+        }
+      }
+    } catch (err) {
+      console.error("AI grading failed:", err);
+      onError(err.message || "Could not grade this answer.");
+    } finally {
+      setGradingIds((prev) => {
+        const next = { ...prev };
+        delete next[question.id];
+        return next;
+      });
+    }
+  };
+
+  const onTimeUp = useEffectEvent(() => finishExam(true));
+
+  useEffect(() => {
+    if (remainingSeconds === 0) {
+      onTimeUp();
+    }
+  }, [remainingSeconds]);
+
+  const submitExam = () => {
+    const unanswered = questions.length - answeredCount;
+    if (
+      unanswered > 0 &&
+      !window.confirm(
+        `${unanswered} ${unanswered === 1 ? "question is" : "questions are"} still unanswered. Submit anyway?`
+      )
+    ) {
+      return;
+    }
+    finishExam(false);
+  };
+
+  if (isExam && session.examStatus === EXAM_STATUS.submitted) {
+    return (
+      <ExamResults
+        report={getExamReport(session, questions)}
+        timedOut={session.timedOut}
+        gradingIds={gradingIds}
+        onGradeWithModel={canGradeWithModel ? gradeWithModel : undefined}
+        onRetake={() => dispatch({ type: "retakeExam" })}
+        onExit={() => dispatch({ type: "setMode", mode: SESSION_MODES.practice })}
+      />
+    );
+  }
+
+  return (
+    <Block>
+      <Block
+        display="flex"
+        alignItems="flex-end"
+        flexWrap="wrap"
+        marginBottom="scale500"
+        className={css({ gap: theme.sizing.scale500 })}
+      >
+        <ButtonGroup
+          mode={ButtonGroupMode.radio}
+          size={ButtonSize.compact}
+          selected={isExam ? 1 : 0}
+          disabled={isRunning}
+          onClick={(_, index) =>
+            dispatch({
+              type: "setMode",
+              mode: index === 1 ? SESSION_MODES.exam : SESSION_MODES.practice,
+            })
+          }
+        >
+          <Button>Practice</Button>
+          <Button>Exam mode</Button>
+        </ButtonGroup>
+
+        {isExam && session.examStatus === EXAM_STATUS.setup && (
+          <>
+            <Block width="200px">
+              <LabelMedium>Time limit (minutes, 0 = none)</LabelMedium>
+              <Input
+                size={InputSize.compact}
+                type="number"
+                min={0}
+                value={timeLimit}
+                onChange={(event) => setTimeLimit(event.target.value)}
+              />
+            </Block>
+            <Button
+              size={ButtonSize.compact}
+              startEnhancer={() => <Play size={16} />}
+              onClick={startExam}
+            >
+              Start exam
+            </Button>
+          </>
+        )}
+
+        {isRunning && (
+          <>
+            <Tag
+              closeable={false}
+              kind={
+                remainingSeconds !== null && remainingSeconds <= 60
+                  ? TagKind.negative
+                  : TagKind.accent
+              }
+            >
+              <Block display="flex" alignItems="center" className={css({ gap: "6px" })}>
+                <Timer size={14} />
+                {remainingSeconds !== null
+                  ? `${formatDuration(remainingSeconds)} left`
+                  : `${formatDuration(
+                      Math.max(0, Math.floor((now - session.startedAt) / 1000))
+                    )} elapsed`}
+              </Block>
+            </Tag>
+            <Tag closeable={false} kind={TagKind.neutral}>
+              {answeredCount} of {questions.length} answered
+            </Tag>
+          </>
+        )}
+      </Block>
+
+      {(!isExam || isRunning) &&
+        questions.map((question, index) => {
+          const response = getResponse(session, question.id);
+          if (editingId === question.id) {
+            return (
+              <QuestionEditor
+                key={question.id}
+                question={question}
+                index={index}
+                languagePreference={languagePreference}
+                onSave={saveEdit}
+                onCancel={() => setEditingId(null)}
+              />
+            );
+          }
+          // Only the grip arms dragging, so text in the card stays selectable.
+          return (
+            <div
+              key={question.id}
+              draggable={dragHandleId === question.id}
+              onDragStart={(event) => {
+                event.dataTransfer.effectAllowed = "move";
+                event.dataTransfer.setData("text/plain", question.id);
+              }}
+              onDragOver={(event) => {
+                if (!dragHandleId) return;
+                event.preventDefault();
+                setDragOverId(question.id);
+              }}
+              onDrop={(event) => {
+                event.preventDefault();
+                dropQuestion(question.id);
+              }}
+              onDragEnd={() => {
+                setDragHandleId(null);
+                setDragOverId(null);
+              }}
+              className={css({
+                opacity: dragHandleId === question.id ? 0.5 : 1,
+                borderTop: `3px solid ${
+                  dragOverId === question.id && dragHandleId !== question.id
+                    ? theme.colors.primary
+                    : "transparent"
+                }`,
+              })}
+            >
+              <QuestionCard
+                data={question}
+                index={index}
+                difficulty={difficulty}
+                response={response}
+                locked={isLocked(session, question.id)}
+                isOpen={!isExam && response.revealed}
+                canReveal={!isExam}
+                grade={
+                  isMultipleChoiceQuestion(question)
+                    ? null
+                    : getShortAnswerGrade(question, response)
+                }
+                grading={Boolean(gradingIds[question.id])}
+                onGradeWithModel={
+                  canGradeWithModel ? () => gradeWithModel(question) : undefined
+                }
+                onSelectOption={(option) =>
+                  dispatch({ type: "selectOption", questionId: question.id, option })
+                }
+                onShortAnswerChange={(text) =>
+                  dispatch({ type: "setShortAnswer", questionId: question.id, text })
+                }
+                onToggleReveal={() => toggleReveal(question)}
+                onShowSource={onShowSource}
+                actions={!isExam && renderActions(question, index)}
+              />
+            </div>
+          );
+        })}
+
+      {isRunning && (
+        <Block display="flex" justifyContent="flex-end" marginBottom="scale800">
+          <Button startEnhancer={() => <Send size={18} />} onClick={submitExam}>
+            Submit exam
+          </Button>
+        </Block>
+      )}
+    </Block>
+  );
+};
+
+export default QuizPlayer;
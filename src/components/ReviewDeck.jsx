@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from "react";
+import { useStyletron } from "baseui";
+import { Block } from "baseui/block";
+import { Card, StyledBody, hasThumbnail as cardHasThumbnail } from "baseui/card";
+import { Button, KIND as ButtonKind, SIZE as ButtonSize } from "baseui/button";
+import { Tag, KIND as TagKind } from "baseui/tag";
+import { HeadingSmall, ParagraphSmall } from "baseui/typography";
+import { Repeat } from "lucide-react";
+import QuestionCard from "./QuestionCard";
+import { gradeShortAnswerLocally } from "../quiz/grading";
+import { isMultipleChoiceQuestion } from "../quiz/session";
+import { REVIEW_GRADES, formatInterval, scheduleReview } from "../quiz/sm2";
+import { getDueCards, reviewCard } from "../storage/reviewCards";
+
+const EMPTY_RESPONSE = { selectedOption: null, shortAnswer: "" };
+
+const ReviewDeck = ({ refreshKey, onError }) => {
+  const [css, theme] = useStyletron();
+  const [dueCards, setDueCards] = useState([]);
+  const [queue, setQueue] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+  const [response, setResponse] = useState(EMPTY_RESPONSE);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  // The time the due list was read; interval previews are computed from it
+  // so rendering stays pure.
+  const [loadedAt, setLoadedAt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const now = Date.now();
+    getDueCards(now)
+      .then((cards) => {
+        if (!cancelled) {
+          setDueCards(cards.sort((a, b) => a.dueAt - b.dueAt));
+          setLoadedAt(now);
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) onError("Could not load your review queue.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, onError]);
+
+  const current = queue?.[0];
+  const bookCount = new Set(dueCards.map((card) => card.sourceName)).size;
+
+  const startReview = () => {
+    setQueue(dueCards);
+    setReviewedCount(0);
+    setRevealed(false);
+    setResponse(EMPTY_RESPONSE);
+  };
+
+  const finishReview = async () => {
+    setQueue(null);
+    try {
+      const now = Date.now();
+      const cards = await getDueCards(now);
+      setDueCards(cards.sort((a, b) => a.dueAt - b.dueAt));
+      setLoadedAt(now);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const gradeCurrent = async (grade) => {
+    try {
+      const updated = await reviewCard(current.id, grade);
+      const rest = queue.slice(1);
+      // Failed cards come back at the end of today's session.
+      setQueue(grade < 3 ? [...rest, updated] : rest);
+      setReviewedCount((count) => count + 1);
+      setRevealed(false);
+      setResponse(EMPTY_RESPONSE);
+    } catch (err) {
+      console.error(err);
+      onError(err.message || "Could not save your review.");
+    }
+  };
+
+  return (
+    <Card
+      hasThumbnail={cardHasThumbnail}
+      overrides={{
+        Root: { style: { marginBottom: "24px" } },
+      }}
+    >
+      <StyledBody>
+        <Block
+          display="flex"
+          alignItems="center"
+          justifyContent="space-between"
+          flexWrap="wrap"
+          marginBottom="scale400"
+          className={css({ gap: theme.sizing.scale300 })}
+        >
+          <HeadingSmall
+            style={{
+              margin: 0,
+              display: "flex",
+              alignItems: "center",
+              gap: theme.sizing.scale300,
+            }}
+          >
+            <Repeat size={22} color={theme.colors.primary} />
+            Due today
+          </HeadingSmall>
+          {queue ? (
+            <Block display="flex" className={css({ gap: theme.sizing.scale300 })}>
+              <Tag closeable={false} kind={TagKind.neutral}>
+                {reviewedCount} reviewed · {queue.length} left
+              </Tag>
+              <Button
+                size={ButtonSize.compact}
+                kind={ButtonKind.tertiary}
+                onClick={finishReview}
+              >
+                End review
+              </Button>
+            </Block>
+          ) : (
+            <Button
+              size={ButtonSize.compact}
+              disabled={!dueCards.length}
+              onClick={startReview}
+            >
+              Review {dueCards.length} {dueCards.length === 1 ? "card" : "cards"}
+            </Button>
+          )}
+        </Block>
+
+        {!queue && (
+          <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+            {dueCards.length
+              ? `Questions from ${bookCount} ${bookCount === 1 ? "book" : "books"} are ready for spaced-repetition review.`
+              : "Questions you answer in your saved quizzes are scheduled here for spaced-repetition review."}
+          </ParagraphSmall>
+        )}
+
+        {queue && !current && (
+          <ParagraphSmall style={{ color: theme.colors.contentSecondary }}>
+            All done for today. Come back tomorrow for the next batch.
+          </ParagraphSmall>
+        )}
+
+        {current && (
+          <Block>
+            <ParagraphSmall
+              style={{
+                marginTop: 0,
+                color: theme.colors.contentSecondary,
+              }}
+            >
+              {current.quizName || current.sourceName}
+            </ParagraphSmall>
+            <QuestionCard
+              key={`${current.id}-${current.lastReviewedAt}`}
+              data={current.question}
+              index={reviewedCount}
+              response={response}
+              locked={revealed}
+              isOpen={revealed}
+              canReveal={!revealed}
+              grade={
+                isMultipleChoiceQuestion(current.question)
+                  ? null
+                  : gradeShortAnswerLocally(current.question, response.shortAnswer)
+              }
+              onSelectOption={(option) =>
+                setResponse((prev) => ({ ...prev, selectedOption: option }))
+              }
+              onShortAnswerChange={(text) =>
+                setResponse((prev) => ({ ...prev, shortAnswer: text }))
+              }
+              onToggleReveal={() => setRevealed(true)}
+            />
+            {revealed && (
+              <Block
+                display="flex"
+                flexWrap="wrap"
+                justifyContent="flex-end"
+                className={css({ gap: theme.sizing.scale300 })}
+              >
+                {REVIEW_GRADES.map((option) => (
+                  <Button
+                    key={option.id}
+                    size={ButtonSize.compact}
+                    kind={
+                      option.grade < 3 ? ButtonKind.secondary : ButtonKind.primary
+                    }
+                    onClick={() => gradeCurrent(option.grade)}
+                  >
+                    {option.label} ·{" "}
+                    {formatInterval(
+                      scheduleReview(current, option.grade, loadedAt).intervalDays
+                    )}
+                  </Button>
+                ))}
+              </Block>
+            )}
+          </Block>
+        )}
+      </StyledBody>
+    </Card>
+  );
+};
+
+export default ReviewDeck;
@@ -0,0 +1,97 @@
+import {
+  escapeHtml,
+  formatBilingualHtml,
+  getBaseName,
+  getOptionTranslation,
+  isMultipleChoice,
+} from "./shared";
+
+// Anki tags cannot contain spaces; "::" nests them under a parent tag.
+const toTag = (prefix, value) =>
+  `${prefix}::${String(value || "unknown")
+    .trim()
+    .replace(/[\s,]+/g, "_")
+    .replace(/–/g, "-")}`;
+
+// Fields are HTML (declared in the header), so newlines become <br> and tabs
+// would break the column layout. Quote anything containing a double quote.
+const toField = (html) => {
+  const value = html.replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+  return value.includes('"') ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+const formatFront = (question) => {
+  const parts = [escapeHtml(question.question)];
+  if (question.questionTranslation) {
+    parts.push(`<i>${escapeHtml(question.questionTranslation)}</i>`);
+  }
+  if (isMultipleChoice(question)) {
+    parts.push(
+      `<ol type="A">${question.options
+        .map(
+          (option) =>
+            `<li>${formatBilingualHtml(
+              option,
+              getOptionTranslation(question, option),
+              question.translationLanguage
+            )}</li>`
+        )
+        .join("")}</ol>`
+    );
+  }
+  return parts.join("<br>");
+};
+
+const formatBack = (question) => {
+  const parts = [
+    `<b>${formatBilingualHtml(
+      question.answer,
+      question.answerTranslation,
+      question.translationLanguage
+    )}</b>`,
+  ];
+  if (question.context) {
+    parts.push(
+      `<small>${formatBilingualHtml(
+        question.context,
+        question.contextTranslation,
+        question.translationLanguage
+      )}</small>`
+    );
+  }
+  return parts.join("<br><br>");
+};
+
+export const exportAnki = (questions, meta) => {
+  const baseName = getBaseName(meta.sourceName);
+  const sharedTags = [
+    "book2quiz",
+    toTag("book", baseName),
+    toTag("pages", meta.pageLabel),
+    toTag("difficulty", meta.difficulty),
+    toTag("language", meta.languagePreference),
+  ];
+
+  const rows = questions.map((question) =>
+    [
+      toField(formatFront(question)),
+      toField(formatBack(question)),
+      [...sharedTags, toTag("type", question.type)].join(" "),
+    ].join("\t")
+  );
+
+  const content = [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    `#deck:Book2Quiz::${baseName.replace(/::/g, " ")}`,
+    "#tags column:3",
+    ...rows,
+    "",
+  ].join("\n");
+
+  return {
+    blob: new Blob([content], { type: "text/tab-separated-values;charset=utf-8" }),
+    filename: `${baseName}_anki.txt`,
+  };
+};
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { exportAnki } from "./anki";
+
+const meta = {
+  sourceName: "Class 10 Science.pdf",
+  pageLabel: "12–14",
+  difficulty: "Medium",
+  languagePreference: "English",
+};
+
+const readRows = async (blob) => (await blob.text()).split("\n");
+
+describe("exportAnki", () => {
+  it("writes the Anki import header and deck name", async () => {
+    const { blob, filename } = exportAnki([], meta);
+    const rows = await readRows(blob);
+
+    expect(filename).toBe("Class 10 Science_anki.txt");
+    expect(rows.slice(0, 5)).toEqual([
+      "#separator:tab",
+      "#html:true",
+      "#notetype:Basic",
+      "#deck:Book2Quiz::Class 10 Science",
+      "#tags column:3",
+    ]);
+  });
+
+  it("puts options on the front and the answer with context on the back", async () => {
+    const { blob } = exportAnki(
+      [
+        {
+          question: "Which gas do plants absorb?",
+          type: "Multiple Choice",
+          options: ["Oxygen", "Carbon dioxide"],
+          answer: "Carbon dioxide",
+          context: "Plants take in CO2.",
+        },
+      ],
+      meta
+    );
+    const [front, back, tags] = (await readRows(blob))[5].split("\t");
+
+    expect(front).toBe(
+      '"Which gas do plants absorb?<br><ol type=""A""><li>Oxygen</li><li>Carbon dioxide</li></ol>"'
+    );
+    expect(back).toBe("<b>Carbon dioxide</b><br><br><small>Plants take in CO2.</small>");
+    expect(tags.split(" ")).toEqual([
+      "book2quiz",
+      "book::Class_10_Science",
+      "pages::12-14",
+      "difficulty::Medium",
+      "language::English",
+      "type::Multiple_Choice",
+    ]);
+  });
+
+  it("escapes question text and keeps each note on one line", async () => {
+    const { blob } = exportAnki(
+      [
+        {
+          question: 'What does "photo"\tmean\nhere?',
+          type: "Short Answer",
+          answer: "Light",
+          context: "",
+        },
+      ],
+      meta
+    );
+    const rows = await readRows(blob);
+    const [front, back] = rows[5].split("\t");
+
+    expect(rows).toHaveLength(7);
+    expect(front).toBe("What does &quot;photo&quot; mean<br>here?");
+    expect(back).toBe("<b>Light</b>");
+  });
+});
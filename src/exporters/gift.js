@@ -0,0 +1,57 @@
+import {
+  formatBilingualText,
+  formatQuestionHtml,
+  getBaseName,
+  getOptionTranslation,
+  isMultipleChoice,
+} from "./shared";
+
+// GIFT reserves these characters inside question and answer text.
+const escapeGift = (value) =>
+  String(value ?? "")
+    .replace(/\r?\n/g, " ")
+    .replace(/([~=#{}:\\])/g, "\\$1");
+
+// Short answers accept the translated answer as well.
+const formatAnswers = (question) => {
+  if (isMultipleChoice(question)) {
+    return question.options
+      .map((option) => {
+        const text = escapeGift(
+          formatBilingualText(option, getOptionTranslation(question, option))
+        );
+        return option === question.answer ? `\t=${text}` : `\t~${text}`;
+      })
+      .join("\n");
+  }
+  return [question.answer, question.answerTranslation]
+    .filter(Boolean)
+    .map((answer) => `\t=${escapeGift(answer)}`)
+    .join("\n");
+};
+
+export const exportGift = (questions, meta) => {
+  const content = questions
+    .map((question, index) => {
+      const lines = [
+        `// Question ${index + 1} · ${meta.sourceName} · pages ${meta.pageLabel}`,
+        `::Q${index + 1}::[html]${escapeGift(formatQuestionHtml(question))} {`,
+        formatAnswers(question),
+      ];
+      if (question.context) {
+        lines.push(
+          `\t####${escapeGift(
+            formatBilingualText(question.context, question.contextTranslation)
+          )}`
+        );
+      }
+      lines.push("}");
+      return lines.join("\n");
+    })
+    .join("\n\n");
+
+  return {
+    blob: new Blob([`${content}\n`], { type: "text/plain;charset=utf-8" }),
+    filename: `${getBaseName(meta.sourceName)}_moodle.gift.txt`,
+  };
+};
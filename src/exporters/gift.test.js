@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { exportGift } from "./gift";
+
+const meta = { sourceName: "biology.pdf", pageLabel: "3-4" };
+
+describe("exportGift", () => {
+  it("marks the correct option and escapes reserved characters", async () => {
+    const { blob, filename } = exportGift(
+      [
+        {
+          question: "What is 2+2 = ?",
+          type: "Multiple Choice",
+          options: ["{4}", "5"],
+          answer: "{4}",
+          context: "Simple sum: 2+2=4",
+        },
+      ],
+      meta
+    );
+    const content = await blob.text();
+
+    expect(filename).toBe("biology_moodle.gift.txt");
+    expect(content).toContain("// Question 1 · biology.pdf · pages 3-4");
+    expect(content).toContain("::Q1::[html]<p>What is 2+2 \\= ?</p> {");
+    expect(content).toContain("\t=\\{4\\}\n\t~5");
+    expect(content).toContain("\t####Simple sum\\: 2+2\\=4");
+  });
+
+  it("writes short answers as a single accepted answer", async () => {
+    const { blob } = exportGift(
+      [{ question: "Name the organelle.", type: "Short Answer", answer: "Nucleus" }],
+      meta
+    );
+    const content = await blob.text();
+    expect(content).toContain("\t=Nucleus\n}");
+    expect(content).not.toContain("####");
+  });
+});
+
+describe("exportGift in bilingual mode", () => {
+  const bilingual = {
+    question: "भारत की राजधानी क्या है?",
+    questionTranslation: "What is the capital of India?",
+    translationLanguage: "English",
+    options: ["नई दिल्ली", "मुंबई"],
+    optionsTranslation: ["New Delhi", "Mumbai"],
+    answer: "नई दिल्ली",
+    answerTranslation: "New Delhi",
+    context: "नई दिल्ली राजधानी है।",
+    contextTranslation: "New Delhi is the capital.",
+  };
+
+  it("shows each option with its translation", async () => {
+    const content = await exportGift(
+      [{ ...bilingual, type: "Multiple Choice" }],
+      meta
+    ).blob.text();
+
+    expect(content).toContain(
+      '<p lang\\="en" dir\\="ltr"><em>What is the capital of India?</em></p>'
+    );
+    expect(content).toContain("\t=नई दिल्ली / New Delhi\n\t~मुंबई / Mumbai");
+    expect(content).toContain("\t####नई दिल्ली राजधानी है। / New Delhi is the capital.");
+  });
+
+  it("accepts a short answer in either language", async () => {
+    const content = await exportGift(
+      [{ ...bilingual, type: "Short Answer", options: [], optionsTranslation: null }],
+      meta
+    ).blob.text();
+
+    expect(content).toContain("\t=नई दिल्ली\n\t=New Delhi\n");
+  });
+});
@@ -0,0 +1,35 @@
+import { exportAnki } from "./anki";
+import { exportGift } from "./gift";
+import { exportJson } from "./json";
+import { exportMoodleXml } from "./moodleXml";
+import { exportQtiPackage } from "./qti";
+import { exportText } from "./text";
+import {
+  exportWorksheet,
+  exportWorksheetWithoutTranslation,
+} from "./worksheet";
+
+export { downloadBlob } from "./shared";
+export { printHtml } from "./worksheet";
+export { parseQuizFile } from "./json";
+export { exportText };
+
+// Each exporter returns either `{ blob, filename }` to download or `{ html }`
+// to send to the print dialog.
+export const EXPORT_FORMATS = [
+  { id: "json", label: "Book2Quiz quiz file (.json)", run: exportJson },
+  { id: "gift", label: "Moodle GIFT (.txt)", run: exportGift },
+  { id: "moodle-xml", label: "Moodle XML (.xml)", run: exportMoodleXml },
+  { id: "qti", label: "IMS QTI 2.1 package (.zip)", run: exportQtiPackage },
+  { id: "anki", label: "Anki flashcards (.txt)", run: exportAnki },
+  {
+    id: "worksheet",
+    label: "Print worksheet + answer key",
+    run: exportWorksheet,
+  },
+  {
+    id: "worksheet-plain",
+    label: "Print worksheet without translations",
+    run: exportWorksheetWithoutTranslation,
+  },
+];
@@ -0,0 +1,97 @@
+import { getBaseName } from "./shared";
+import { validateQuestions } from "../generation/validateQuestions";
+import { normalizeLanguagePreference } from "../languages/registry";
+
+export const QUIZ_FILE_FORMAT = "book2quiz-quiz";
+export const QUIZ_SCHEMA_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  difficulty: "Medium",
+  questionType: "Mixed",
+  languagePreference: "English",
+};
+
+export const exportJson = (questions, meta) => {
+  const payload = {
+    format: QUIZ_FILE_FORMAT,
+    schemaVersion: QUIZ_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    title: meta.name || getBaseName(meta.sourceName),
+    source: {
+      name: meta.sourceName,
+      pageLabel: meta.pageLabel,
+      pageNumbers: meta.pageNumbers,
+    },
+    settings: {
+      difficulty: meta.difficulty,
+      questionType: meta.questionType,
+      languagePreference: meta.languagePreference,
+    },
+    questions,
+  };
+
+  return {
+    blob: new Blob([JSON.stringify(payload, null, 2)], {
+      type: "application/json",
+    }),
+    filename: `${getBaseName(meta.sourceName)}_quiz.json`,
+  };
+};
+
+// Parses an exported quiz file into the shape the quiz library stores.
+// Questions go through the same validation as freshly generated ones.
+export const parseQuizFile = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw new Error("This file is not valid JSON.");
+  }
+
+  if (payload?.format !== QUIZ_FILE_FORMAT) {
+    throw new Error("This file is not a Book2Quiz quiz export.");
+  }
+  if (
+    !Number.isInteger(payload.schemaVersion) ||
+    payload.schemaVersion > QUIZ_SCHEMA_VERSION
+  ) {
+    throw new Error(
+      "This quiz was exported by a newer version of Book2Quiz. Please update and try again."
+    );
+  }
+  if (!Array.isArray(payload.questions)) {
+    throw new Error("This quiz file does not contain any questions.");
+  }
+
+  const settings = { ...DEFAULT_SETTINGS, ...payload.settings };
+  settings.languagePreference = normalizeLanguagePreference(
+    settings.languagePreference
+  );
+  const { valid, rejected } = validateQuestions(payload.questions, {
+    languagePreference: settings.languagePreference,
+    questionType: "Mixed",
+  });
+
+  if (!valid.length) {
+    throw new Error("None of the questions in this file could be read.");
+  }
+
+  const sourceName = payload.source?.name || "Imported quiz";
+  const pageNumbers = Array.isArray(payload.source?.pageNumbers)
+    ? payload.source.pageNumbers.filter(Number.isInteger)
+    : [];
+
+  return {
+    quiz: {
+      name: payload.title || getBaseName(sourceName),
+      sourceName,
+      pageNumbers,
+      pageLabel: payload.source?.pageLabel || "",
+      difficulty: settings.difficulty,
+      questionType: settings.questionType,
+      languagePreference: settings.languagePreference,
+      questions: valid,
+    },
+    rejectedCount: rejected.length,
+  };
+};
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { exportJson, parseQuizFile, QUIZ_FILE_FORMAT } from "./json";
+
+const meta = {
+  name: "Cells",
+  sourceName: "biology.pdf",
+  pageLabel: "3-4",
+  pageNumbers: [3, 4],
+  difficulty: "Hard",
+  questionType: "Mixed",
+  languagePreference: "Tamil",
+};
+
+const questions = [
+  {
+    id: "q1",
+    question: "Which is a cell part?",
+    type: "Multiple Choice",
+    options: ["Nucleus", "Atom"],
+    answer: "Nucleus",
+    context: "The nucleus holds DNA.",
+    page: 3,
+  },
+];
+
+describe("exportJson and parseQuizFile", () => {
+  it("round-trips a quiz through the export format", async () => {
+    const { blob, filename } = exportJson(questions, meta);
+    const { quiz, rejectedCount } = parseQuizFile(await blob.text());
+
+    expect(filename).toBe("biology_quiz.json");
+    expect(rejectedCount).toBe(0);
+    expect(quiz).toMatchObject({
+      name: "Cells",
+      sourceName: "biology.pdf",
+      pageNumbers: [3, 4],
+      pageLabel: "3-4",
+      difficulty: "Hard",
+      languagePreference: "Tamil",
+    });
+    expect(quiz.questions[0]).toMatchObject({
+      id: "q1",
+      answer: "Nucleus",
+      options: ["Nucleus", "Atom"],
+      page: 3,
+    });
+  });
+
+  it("fills in defaults and counts unreadable questions", () => {
+    const { quiz, rejectedCount } = parseQuizFile(
+      JSON.stringify({
+        format: QUIZ_FILE_FORMAT,
+        schemaVersion: 1,
+        questions: [{ question: "Name it.", answer: "Cell" }, { question: "?" }],
+      })
+    );
+    expect(rejectedCount).toBe(1);
+    expect(quiz.name).toBe("Imported quiz");
+    expect(quiz.difficulty).toBe("Medium");
+    expect(quiz.languagePreference).toBe("English");
+  });
+
+  it("reads legacy bilingual preferences", () => {
+    const { quiz } = parseQuizFile(
+      JSON.stringify({
+        format: QUIZ_FILE_FORMAT,
+        schemaVersion: 1,
+        settings: { languagePreference: "Bilingual" },
+        questions: [
+          {
+            question: "कोशिका क्या है?",
+            questionTranslation: "What is a cell?",
+            answer: "इकाई",
+          },
+        ],
+      })
+    );
+    expect(quiz.languagePreference).toBe("Hindi+English");
+  });
+
+  it.each([
+    ["not json", "This file is not valid JSON."],
+    [JSON.stringify({ format: "other" }), "This file is not a Book2Quiz quiz export."],
+    [
+      JSON.stringify({ format: QUIZ_FILE_FORMAT, schemaVersion: 2, questions: [] }),
+      "This quiz was exported by a newer version of Book2Quiz. Please update and try again.",
+    ],
+    [
+      JSON.stringify({ format: QUIZ_FILE_FORMAT, schemaVersion: 1 }),
+      "This quiz file does not contain any questions.",
+    ],
+    [
+      JSON.stringify({ format: QUIZ_FILE_FORMAT, schemaVersion: 1, questions: [{}] }),
+      "None of the questions in this file could be read.",
+    ],
+  ])("rejects %j", (text, message) => {
+    expect(() => parseQuizFile(text)).toThrow(message);
+  });
+});
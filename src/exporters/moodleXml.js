@@ -0,0 +1,89 @@
+import {
+  escapeXml,
+  formatBilingualHtml,
+  formatQuestionHtml,
+  getBaseName,
+  getOptionTranslation,
+  isMultipleChoice,
+} from "./shared";
+
+const textElement = (tag, html, attributes = 'format="html"') =>
+  `<${tag} ${attributes}><text>${escapeXml(html)}</text></${tag}>`;
+
+const formatAnswers = (question) => {
+  if (isMultipleChoice(question)) {
+    return question.options.map(
+      (option) =>
+        `    <answer fraction="${option === question.answer ? 100 : 0}" format="html"><text>${escapeXml(
+          formatBilingualHtml(
+            option,
+            getOptionTranslation(question, option),
+            question.translationLanguage
+          )
+        )}</text></answer>`
+    );
+  }
+  // Either language is accepted as a short answer.
+  return [question.answer, question.answerTranslation]
+    .filter(Boolean)
+    .map(
+      (answer) =>
+        `    <answer fraction="100" format="moodle_auto_format"><text>${escapeXml(
+          answer
+        )}</text></answer>`
+    );
+};
+
+const formatQuestion = (question, index) => {
+  const isMcq = isMultipleChoice(question);
+  const lines = [
+    `  <question type="${isMcq ? "multichoice" : "shortanswer"}">`,
+    `    <name><text>${escapeXml(`Q${index + 1}`)}</text></name>`,
+    `    ${textElement("questiontext", formatQuestionHtml(question))}`,
+    `    ${textElement(
+      "generalfeedback",
+      question.context
+        ? `<p>${formatBilingualHtml(
+            question.context,
+            question.contextTranslation,
+            question.translationLanguage
+          )}</p>`
+        : ""
+    )}`,
+    "    <defaultgrade>1</defaultgrade>",
+    "    <penalty>0.3333333</penalty>",
+    "    <hidden>0</hidden>",
+  ];
+
+  if (isMcq) {
+    lines.push(
+      "    <single>true</single>",
+      "    <shuffleanswers>true</shuffleanswers>",
+      "    <answernumbering>ABCD</answernumbering>"
+    );
+  } else {
+    lines.push("    <usecase>0</usecase>");
+  }
+
+  lines.push(...formatAnswers(question), "  </question>");
+  return lines.join("\n");
+};
+
+export const exportMoodleXml = (questions, meta) => {
+  const category = `$course$/Book2Quiz/${meta.name || getBaseName(meta.sourceName)}`;
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<quiz>",
+    '  <question type="category">',
+    `    <category><text>${escapeXml(category)}</text></category>`,
+    "  </question>",
+    ...questions.map(formatQuestion),
+    "</quiz>",
+    "",
+  ].join("\n");
+
+  return {
+    blob: new Blob([content], { type: "application/xml;charset=utf-8" }),
+    filename: `${getBaseName(meta.sourceName)}_moodle.xml`,
+  };
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { exportMoodleXml } from "./moodleXml";
+
+const meta = { sourceName: "biology.pdf", name: "Cells" };
+
+describe("exportMoodleXml", () => {
+  it("writes a category and multiple choice answers with fractions", async () => {
+    const { blob, filename } = exportMoodleXml(
+      [
+        {
+          question: "Which is a <cell> part?",
+          type: "Multiple Choice",
+          options: ["Nucleus", "Atom"],
+          answer: "Nucleus",
+          context: "The nucleus & the cytoplasm.",
+        },
+      ],
+      meta
+    );
+    const content = await blob.text();
+
+    expect(filename).toBe("biology_moodle.xml");
+    expect(content).toContain("<text>$course$/Book2Quiz/Cells</text>");
+    expect(content).toContain('<question type="multichoice">');
+    expect(content).toContain("&lt;p&gt;Which is a &amp;lt;cell&amp;gt; part?&lt;/p&gt;");
+    expect(content).toContain(
+      '<answer fraction="100" format="html"><text>Nucleus</text></answer>'
+    );
+    expect(content).toContain(
+      '<answer fraction="0" format="html"><text>Atom</text></answer>'
+    );
+    expect(content).toContain("The nucleus &amp;amp; the cytoplasm.");
+  });
+
+  it("writes short answers as shortanswer questions", async () => {
+    const { blob } = exportMoodleXml(
+      [{ question: "Name the organelle.", type: "Short Answer", answer: "Nucleus" }],
+      meta
+    );
+    const content = await blob.text();
+    expect(content).toContain('<question type="shortanswer">');
+    expect(content).toContain("<usecase>0</usecase>");
+    expect(content).toContain(
+      '<answer fraction="100" format="moodle_auto_format"><text>Nucleus</text></answer>'
+    );
+  });
+});
+
+describe("exportMoodleXml in bilingual mode", () => {
+  it("accepts a short answer in either language", async () => {
+    const content = await exportMoodleXml(
+      [
+        {
+          question: "خلیہ کیا ہے؟",
+          questionTranslation: "What is a cell?",
+          translationLanguage: "English",
+          type: "Short Answer",
+          answer: "زندگی کی اکائی",
+          answerTranslation: "The unit of life",
+        },
+      ],
+      meta
+    ).blob.text();
+
+    expect(content).toContain(
+      '<answer fraction="100" format="moodle_auto_format"><text>زندگی کی اکائی</text></answer>'
+    );
+    expect(content).toContain(
+      '<answer fraction="100" format="moodle_auto_format"><text>The unit of life</text></answer>'
+    );
+  });
+
+  it("tags translated options with their language", async () => {
+    const content = await exportMoodleXml(
+      [
+        {
+          question: "Capital of Pakistan?",
+          questionTranslation: "پاکستان کا دارالحکومت؟",
+          translationLanguage: "Urdu",
+          type: "Multiple Choice",
+          options: ["Islamabad", "Lahore"],
+          optionsTranslation: ["اسلام آباد", "لاہور"],
+          answer: "Islamabad",
+        },
+      ],
+      meta
+    ).blob.text();
+
+    expect(content).toContain(
+      '<text>Islamabad&lt;br&gt;&lt;em lang=&quot;ur&quot; dir=&quot;rtl&quot;&gt;اسلام آباد&lt;/em&gt;</text>'
+    );
+  });
+});
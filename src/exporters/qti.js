@@ -0,0 +1,169 @@
+import {
+  escapeXml,
+  getBaseName,
+  getOptionTranslation,
+  isMultipleChoice,
+} from "./shared";
+import { createZip } from "./zip";
+import { getLanguageCode } from "../languages/registry";
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const QTI_SCHEMA =
+  "http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd";
+
+const itemIdentifier = (index) => `item-${index + 1}`;
+
+const formatStem = (question) => {
+  const parts = [`<p>${escapeXml(question.question)}</p>`];
+  if (question.questionTranslation) {
+    parts.push(
+      `<p xml:lang="${getLanguageCode(question.translationLanguage)}">${escapeXml(
+        question.questionTranslation
+      )}</p>`
+    );
+  }
+  return parts.join("\n      ");
+};
+
+const formatBilingual = (text, translation, language) =>
+  translation
+    ? `${escapeXml(text)}<br/><span xml:lang="${getLanguageCode(
+        language
+      )}">${escapeXml(translation)}</span>`
+    : escapeXml(text);
+
+const formatResponseDeclaration = (question) => {
+  if (isMultipleChoice(question)) {
+    const correctIndex = question.options.indexOf(question.answer);
+    return `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>choice-${correctIndex + 1}</value></correctResponse>
+  </responseDeclaration>`;
+  }
+  return `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(question.answer)}</value></correctResponse>
+  </responseDeclaration>`;
+};
+
+const formatInteraction = (question) => {
+  if (isMultipleChoice(question)) {
+    const choices = question.options
+      .map(
+        (option, index) =>
+          `<simpleChoice identifier="choice-${index + 1}">${formatBilingual(
+            option,
+            getOptionTranslation(question, option),
+            question.translationLanguage
+          )}</simpleChoice>`
+      )
+      .join("\n        ");
+    return `<choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="1">
+        ${choices}
+      </choiceInteraction>`;
+  }
+  return `<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="40"/></p>`;
+};
+
+const formatItem = (question, index) => {
+  const language = getLanguageCode(question.language);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}" identifier="${itemIdentifier(
+    index
+  )}" title="Q${index + 1}" adaptive="false" timeDependent="false" xml:lang="${language}">
+  ${formatResponseDeclaration(question)}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <div>
+      ${formatStem(question)}
+      ${formatInteraction(question)}
+    </div>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">context</baseValue></setOutcomeValue>
+  </responseProcessing>${
+    question.context
+      ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="context" showHide="show">${formatBilingual(
+    question.context,
+    question.contextTranslation,
+    question.translationLanguage
+  )}</modalFeedback>`
+      : ""
+  }
+</assessmentItem>
+`;
+};
+
+const formatTest = (questions, title) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}" identifier="test" title="${escapeXml(
+  title
+)}">
+  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section-1" title="${escapeXml(title)}" visible="true">
+      ${questions
+        .map(
+          (_, index) =>
+            `<assessmentItemRef identifier="${itemIdentifier(index)}" href="items/${itemIdentifier(
+              index
+            )}.xml"/>`
+        )
+        .join("\n      ")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+const formatManifest = (questions) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd" identifier="manifest-book2quiz">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+      ${questions
+        .map((_, index) => `<dependency identifierref="${itemIdentifier(index)}"/>`)
+        .join("\n      ")}
+    </resource>
+    ${questions
+      .map(
+        (_, index) => `<resource identifier="${itemIdentifier(
+          index
+        )}" type="imsqti_item_xmlv2p1" href="items/${itemIdentifier(index)}.xml">
+      <file href="items/${itemIdentifier(index)}.xml"/>
+    </resource>`
+      )
+      .join("\n    ")}
+  </resources>
+</manifest>
+`;
+
+export const exportQtiPackage = (questions, meta) => {
+  const title = meta.name || getBaseName(meta.sourceName);
+  const blob = createZip([
+    { name: "imsmanifest.xml", content: formatManifest(questions) },
+    { name: "assessment.xml", content: formatTest(questions, title) },
+    ...questions.map((question, index) => ({
+      name: `items/${itemIdentifier(index)}.xml`,
+      content: formatItem(question, index),
+    })),
+  ]);
+
+  return {
+    blob,
+    filename: `${getBaseName(meta.sourceName)}_qti21.zip`,
+  };
+};
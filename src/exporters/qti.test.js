@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { exportQtiPackage } from "./qti";
+
+// Reads the stored (uncompressed) entries written by createZip.
+const readStoredZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+  const files = {};
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const nameStart = offset + 30;
+    const dataStart = nameStart + nameLength;
+    const name = decoder.decode(bytes.subarray(nameStart, dataStart));
+    files[name] = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+    offset = dataStart + size;
+  }
+  return files;
+};
+
+const questions = [
+  {
+    question: "Which is a cell part?",
+    type: "Multiple Choice",
+    options: ["Atom", "Nucleus"],
+    answer: "Nucleus",
+    context: "The nucleus holds DNA.",
+    language: "English",
+  },
+  {
+    question: "Name the powerhouse of the cell.",
+    type: "Short Answer",
+    options: [],
+    answer: "Mitochondria",
+    language: "English",
+  },
+];
+
+describe("exportQtiPackage", () => {
+  it("packages a manifest, a test and one item per question", async () => {
+    const { blob, filename } = exportQtiPackage(questions, {
+      sourceName: "biology.pdf",
+    });
+    const files = await readStoredZip(blob);
+
+    expect(filename).toBe("biology_qti21.zip");
+    expect(Object.keys(files)).toEqual([
+      "imsmanifest.xml",
+      "assessment.xml",
+      "items/item-1.xml",
+      "items/item-2.xml",
+    ]);
+    expect(files["imsmanifest.xml"]).toContain('href="items/item-2.xml"');
+    expect(files["assessment.xml"]).toContain('title="biology"');
+  });
+
+  it("points the correct response at the answer's choice", async () => {
+    const files = await readStoredZip(
+      exportQtiPackage(questions, { sourceName: "biology.pdf" }).blob
+    );
+    const mcq = files["items/item-1.xml"];
+    const short = files["items/item-2.xml"];
+
+    expect(mcq).toContain("<correctResponse><value>choice-2</value></correctResponse>");
+    expect(mcq).toContain('<simpleChoice identifier="choice-2">Nucleus</simpleChoice>');
+    expect(mcq).toContain('xml:lang="en"');
+    expect(mcq).toContain("The nucleus holds DNA.</modalFeedback>");
+    expect(short).toContain('baseType="string"');
+    expect(short).toContain("<value>Mitochondria</value>");
+    expect(short).toContain("<textEntryInteraction");
+    expect(short).not.toContain("modalFeedback");
+  });
+});
+
+describe("exportQtiPackage in bilingual mode", () => {
+  it("tags translated text with xml:lang", async () => {
+    const files = await readStoredZip(
+      exportQtiPackage(
+        [
+          {
+            question: "கலம் என்றால் என்ன?",
+            questionTranslation: "What is a cell?",
+            translationLanguage: "English",
+            type: "Multiple Choice",
+            options: ["உயிரின் அலகு", "அணு"],
+            optionsTranslation: ["Unit of life", "Atom"],
+            answer: "உயிரின் அலகு",
+            context: "கலம் உயிரின் அலகு.",
+            contextTranslation: "The cell is the unit of life.",
+            language: "Tamil",
+          },
+        ],
+        { sourceName: "biology.pdf" }
+      ).blob
+    );
+    const item = files["items/item-1.xml"];
+
+    expect(item).toContain('xml:lang="ta"');
+    expect(item).toContain('<p xml:lang="en">What is a cell?</p>');
+    expect(item).toContain(
+      '<simpleChoice identifier="choice-1">உயிரின் அலகு<br/><span xml:lang="en">Unit of life</span></simpleChoice>'
+    );
+    expect(item).toContain(
+      '<span xml:lang="en">The cell is the unit of life.</span></modalFeedback>'
+    );
+  });
+});
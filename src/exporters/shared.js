@@ -0,0 +1,69 @@
+import { getLanguageCode, getTextDirection } from "../languages/registry";
+
+// `lang` and `dir` attributes for an HTML element holding text in `language`.
+export const getLanguageAttributes = (language) =>
+  `lang="${getLanguageCode(language)}" dir="${getTextDirection(language)}"`;
+
+export const getBaseName = (sourceName) =>
+  (sourceName || "quiz").replace(/\.[^.]+$/, "");
+
+export const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const isMultipleChoice = (question) =>
+  question.type === "Multiple Choice" && question.options?.length > 0;
+
+// Question stem as HTML, with the translation in its own paragraph tagged
+// with its language so LMS renderers pick a suitable font.
+export const formatQuestionHtml = (question) => {
+  const parts = [`<p>${escapeHtml(question.question)}</p>`];
+  if (question.questionTranslation) {
+    parts.push(
+      `<p ${getLanguageAttributes(question.translationLanguage)}><em>${escapeHtml(
+        question.questionTranslation
+      )}</em></p>`
+    );
+  }
+  return parts.join("");
+};
+
+// The translation of one of the question's options, or "" when the options
+// were not translated.
+export const getOptionTranslation = (question, option) =>
+  question.optionsTranslation?.[question.options.indexOf(option)] || "";
+
+// Inline text followed by its translation on a new line, tagged with its
+// language, for options, answers and feedback.
+export const formatBilingualHtml = (text, translation, language) =>
+  translation
+    ? `${escapeHtml(text)}<br><em ${getLanguageAttributes(language)}>${escapeHtml(
+        translation
+      )}</em>`
+    : escapeHtml(text);
+
+// Plain-text formats put both versions on one line.
+export const formatBilingualText = (text, translation) =>
+  translation ? `${text} / ${translation}` : text;
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,35 @@
+import { formatBilingualText, getBaseName, getOptionTranslation } from "./shared";
+
+export const exportText = (questions, meta) => {
+  const content = questions
+    .map((q, i) => {
+      let text = `Q${i + 1}: ${q.question}\nType: ${q.type}\n`;
+      if (q.options && q.options.length > 0) {
+        text += `Options:\n${q.options
+          .map((o) => `- ${formatBilingualText(o, getOptionTranslation(q, o))}`)
+          .join("\n")}\n`;
+      }
+      if (q.questionTranslation) {
+        text += `Translated Question (${q.translationLanguage || "Other"}): ${q.questionTranslation}\n`;
+      }
+      text += `Answer: ${q.answer}\n`;
+      if (q.answerTranslation) {
+        text += `Translated Answer: ${q.answerTranslation}\n`;
+      }
+      text += `Language: ${q.language || "Unknown"}\nContext: ${q.context}\n`;
+      if (q.contextTranslation) {
+        text += `Translated Context: ${q.contextTranslation}\n`;
+      }
+      if (q.page) {
+        text += `Source: page ${q.page}\n`;
+      }
+      text += "\n";
+      return text;
+    })
+    .join("-------------------\n\n");
+
+  return {
+    blob: new Blob([content], { type: "text/plain" }),
+    filename: `${getBaseName(meta.sourceName)}_QA.txt`,
+  };
+};
@@ -0,0 +1,173 @@
+import {
+  escapeHtml,
+  formatBilingualHtml,
+  getBaseName,
+  getLanguageAttributes,
+  getOptionTranslation,
+  isMultipleChoice,
+} from "./shared";
+import { parseLanguagePreference } from "../languages/registry";
+
+const OPTION_LETTERS = "ABCDEFGH";
+const SHORT_ANSWER_LINES = 4;
+
+// System fonts for each supported script first so the worksheet renders
+// offline without web fonts; the browser falls through per character.
+const FONT_STACK = `"Noto Sans Devanagari", "Noto Sans Bengali", "Noto Sans Tamil", "Noto Sans Gujarati", "Noto Nastaliq Urdu", "Noto Sans", "Nirmala UI", "Mangal", "Kohinoor Devanagari", "Lohit Devanagari", system-ui, sans-serif`;
+
+const STYLES = `
+  @page { size: A4; margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: ${FONT_STACK}; color: #101828; font-size: 12pt; line-height: 1.5; margin: 0; }
+  header { border-bottom: 2px solid #101828; margin-bottom: 16px; padding-bottom: 8px; }
+  h1 { font-size: 18pt; margin: 0 0 4px; }
+  .meta { color: #475467; font-size: 10pt; }
+  .student { display: flex; gap: 24px; margin-top: 12px; font-size: 11pt; }
+  .student span { flex: 1; border-bottom: 1px solid #98a2b3; padding-bottom: 2px; }
+  ol.questions { padding-left: 1.6em; margin: 0; }
+  ol.questions > li { margin-bottom: 18px; break-inside: avoid; }
+  .translation { color: #344054; font-style: italic; margin-top: 2px; }
+  ol.options { list-style: upper-alpha; margin: 6px 0 0; padding-left: 1.8em; }
+  ol.options li { margin-bottom: 2px; }
+  .lines { margin-top: 8px; }
+  .lines div { border-bottom: 1px solid #98a2b3; height: 26px; }
+  .answer-key { break-before: page; page-break-before: always; }
+  .answer { font-weight: 600; }
+  .context { color: #475467; font-size: 10pt; margin-top: 2px; }
+`;
+
+const formatTranslation = (question, includeTranslation) =>
+  includeTranslation && question.questionTranslation
+    ? `<div class="translation" ${getLanguageAttributes(
+        question.translationLanguage
+      )}>${escapeHtml(question.questionTranslation)}</div>`
+    : "";
+
+// Options, answers and context with their translation underneath when the
+// worksheet includes translations.
+const formatText = (question, text, translation, includeTranslation) =>
+  formatBilingualHtml(
+    text,
+    includeTranslation ? translation : "",
+    question.translationLanguage
+  );
+
+const formatWorksheetItem = (question, includeTranslation) => {
+  const response = isMultipleChoice(question)
+    ? `<ol class="options">${question.options
+        .map(
+          (option) =>
+            `<li>${formatText(
+              question,
+              option,
+              getOptionTranslation(question, option),
+              includeTranslation
+            )}</li>`
+        )
+        .join("")}</ol>`
+    : `<div class="lines">${"<div></div>".repeat(SHORT_ANSWER_LINES)}</div>`;
+
+  return `<li ${getLanguageAttributes(question.language)}>
+    <div>${escapeHtml(question.question)}</div>
+    ${formatTranslation(question, includeTranslation)}
+    ${response}
+  </li>`;
+};
+
+const formatAnswer = (question, includeTranslation) => {
+  const answer = formatText(
+    question,
+    question.answer,
+    question.answerTranslation,
+    includeTranslation
+  );
+  if (isMultipleChoice(question)) {
+    const index = question.options.indexOf(question.answer);
+    const letter = index >= 0 ? `${OPTION_LETTERS[index]}. ` : "";
+    return `${letter}${answer}`;
+  }
+  return answer;
+};
+
+const formatAnswerKeyItem = (question, includeTranslation) => `<li ${getLanguageAttributes(
+  question.language
+)}>
+    <div class="answer">${formatAnswer(question, includeTranslation)}</div>
+    ${
+      question.context
+        ? `<div class="context">${formatText(
+            question,
+            question.context,
+            question.contextTranslation,
+            includeTranslation
+          )}</div>`
+        : ""
+    }
+  </li>`;
+
+export const buildWorksheetHtml = (questions, meta, { includeTranslation }) => {
+  const title = escapeHtml(meta.name || getBaseName(meta.sourceName));
+  const { primary } = parseLanguagePreference(meta.languagePreference);
+  const details = escapeHtml(
+    `${meta.sourceName} · pages ${meta.pageLabel} · ${meta.difficulty} · ${questions.length} questions`
+  );
+
+  return `<!DOCTYPE html>
+<html ${getLanguageAttributes(primary.id)}>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <section>
+    <header>
+      <h1>${title}</h1>
+      <div class="meta">${details}</div>
+      <div class="student"><span>Name:</span><span>Date:</span><span>Score:</span></div>
+    </header>
+    <ol class="questions">
+      ${questions.map((question) => formatWorksheetItem(question, includeTranslation)).join("\n")}
+    </ol>
+  </section>
+  <section class="answer-key">
+    <header>
+      <h1>Answer key — ${title}</h1>
+      <div class="meta">${details}</div>
+    </header>
+    <ol class="questions">
+      ${questions.map((question) => formatAnswerKeyItem(question, includeTranslation)).join("\n")}
+    </ol>
+  </section>
+</body>
+</html>`;
+};
+
+export const exportWorksheet = (questions, meta) => ({
+  html: buildWorksheetHtml(questions, meta, { includeTranslation: true }),
+});
+
+export const exportWorksheetWithoutTranslation = (questions, meta) => ({
+  html: buildWorksheetHtml(questions, meta, { includeTranslation: false }),
+});
+
+// Prints through a hidden iframe so popup blockers don't interfere; the
+// browser's print dialog offers "Save as PDF".
+export const printHtml = (html) => {
+  const iframe = document.createElement("iframe");
+  iframe.setAttribute("aria-hidden", "true");
+  iframe.style.position = "fixed";
+  iframe.style.width = "0";
+  iframe.style.height = "0";
+  iframe.style.border = "0";
+  iframe.onload = () => {
+    const printWindow = iframe.contentWindow;
+    printWindow.addEventListener("afterprint", () => iframe.remove());
+    printWindow.document.fonts.ready.then(() => {
+      printWindow.focus();
+      printWindow.print();
+    });
+  };
+  iframe.srcdoc = html;
+  document.body.appendChild(iframe);
+};
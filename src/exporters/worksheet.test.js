@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { buildWorksheetHtml } from "./worksheet";
+
+const meta = {
+  sourceName: "biology.pdf",
+  pageLabel: "3–4",
+  difficulty: "Easy",
+  languagePreference: "English",
+};
+
+const questions = [
+  {
+    question: "Which is a <cell> part?",
+    type: "Multiple Choice",
+    options: ["Atom", "Nucleus"],
+    answer: "Nucleus",
+    context: "The nucleus holds DNA.",
+    language: "English",
+  },
+  {
+    question: "Name the powerhouse of the cell.",
+    type: "Short Answer",
+    options: [],
+    answer: "Mitochondria",
+    context: "",
+    language: "English",
+  },
+];
+
+const build = (items = questions, overrides = {}) =>
+  buildWorksheetHtml(items, { ...meta, ...overrides }, { includeTranslation: false });
+
+// The questions come first and the answer key after a page break.
+const splitSections = (html) => {
+  const [worksheet, answerKey] = html.split('<section class="answer-key">');
+  return { worksheet, answerKey };
+};
+
+describe("buildWorksheetHtml", () => {
+  it("titles the page from the quiz name or the file name", () => {
+    expect(build(questions, { name: "Cells & tissues" })).toContain(
+      "<h1>Cells &amp; tissues</h1>"
+    );
+    expect(build()).toContain("<title>biology</title>");
+    expect(build()).toContain(
+      '<div class="meta">biology.pdf · pages 3–4 · Easy · 2 questions</div>'
+    );
+  });
+
+  it("lists options and answer lines without giving the answers away", () => {
+    const { worksheet } = splitSections(build());
+
+    expect(worksheet).toContain("<div>Which is a &lt;cell&gt; part?</div>");
+    expect(worksheet).toContain('<ol class="options"><li>Atom</li><li>Nucleus</li></ol>');
+    expect(worksheet).toContain(`<div class="lines">${"<div></div>".repeat(4)}</div>`);
+    expect(worksheet).not.toContain("Mitochondria");
+    expect(worksheet).not.toContain("The nucleus holds DNA.");
+  });
+
+  it("gives lettered answers and context in the answer key", () => {
+    const { answerKey } = splitSections(build());
+
+    expect(answerKey).toContain('<div class="answer">B. Nucleus</div>');
+    expect(answerKey).toContain('<div class="context">The nucleus holds DNA.</div>');
+    expect(answerKey).toContain('<div class="answer">Mitochondria</div>');
+  });
+});
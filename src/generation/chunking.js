@@ -0,0 +1,91 @@
+export const MAX_CHUNK_CHARS = 30000;
+
+export const formatPage = ({ pageNumber, text }) =>
+  `--- Page ${pageNumber} ---\n${text}\n\n`;
+
+const splitOversizedPage = (page, maxChars) => {
+  const budget = maxChars - formatPage({ ...page, text: "" }).length;
+  const parts = [];
+  for (let offset = 0; offset < page.text.length; offset += budget) {
+    parts.push({ ...page, text: page.text.slice(offset, offset + budget) });
+  }
+  return parts;
+};
+
+const finalizeChunk = (pages) => ({
+  pages,
+  firstPage: pages[0].pageNumber,
+  lastPage: pages[pages.length - 1].pageNumber,
+  text: pages.map(formatPage).join(""),
+});
+
+// Groups pages into prompt-sized chunks without splitting a page across two
+// chunks, unless a single page is larger than the whole budget.
+export const chunkPages = (pages, maxChars = MAX_CHUNK_CHARS) => {
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const pieces = pages.flatMap((page) =>
+    formatPage(page).length > maxChars
+      ? splitOversizedPage(page, maxChars)
+      : [page]
+  );
+
+  pieces.forEach((piece) => {
+    const pieceLength = formatPage(piece).length;
+    if (current.length > 0 && currentLength + pieceLength > maxChars) {
+      chunks.push(finalizeChunk(current));
+      current = [];
+      currentLength = 0;
+    }
+    current.push(piece);
+    currentLength += pieceLength;
+  });
+
+  if (current.length > 0) {
+    chunks.push(finalizeChunk(current));
+  }
+
+  return chunks;
+};
+
+// Splits `total` across chunks so the counts add up to it exactly. Every
+// chunk gets one question so the whole range is covered, and the rest go out
+// in proportion to text length using the largest-remainder method. With
+// fewer questions than chunks, evenly spaced chunks get one each and the
+// others are skipped.
+export const allocateQuestionCounts = (chunks, total) => {
+  if (total < chunks.length) {
+    const picked = new Set(
+      Array.from({ length: total }, (_, i) =>
+        Math.floor(((i + 0.5) * chunks.length) / total)
+      )
+    );
+    return chunks.map((_, index) => (picked.has(index) ? 1 : 0));
+  }
+
+  const spare = total - chunks.length;
+  const lengths = chunks.map((chunk) => Math.max(1, chunk.text.length));
+  const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+  const exact = lengths.map((length) => (length / totalLength) * spare);
+  const counts = exact.map(Math.floor);
+
+  let remaining = spare - counts.reduce((sum, count) => sum + count, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        counts[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  return counts.map((count) => count + 1);
+};
+
+export const formatChunkLabel = (chunk) =>
+  chunk.firstPage === chunk.lastPage
+    ? `${chunk.firstPage}`
+    : `${chunk.firstPage}-${chunk.lastPage}`;
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import {
+  allocateQuestionCounts,
+  chunkPages,
+  formatChunkLabel,
+  formatPage,
+} from "./chunking";
+
+const page = (pageNumber, length) => ({
+  pageNumber,
+  text: "x".repeat(length),
+});
+
+describe("chunkPages", () => {
+  it("keeps a short range in one chunk with page markers", () => {
+    const [chunk, ...rest] = chunkPages([page(1, 10), page(2, 10)]);
+    expect(rest).toHaveLength(0);
+    expect(chunk.firstPage).toBe(1);
+    expect(chunk.lastPage).toBe(2);
+    expect(chunk.text).toContain("--- Page 1 ---");
+    expect(chunk.text).toContain("--- Page 2 ---");
+  });
+
+  it("starts a new chunk instead of splitting a page", () => {
+    const pages = [page(1, 60), page(2, 60), page(3, 60)];
+    const maxChars = formatPage(pages[0]).length * 2;
+    const chunks = chunkPages(pages, maxChars);
+    expect(chunks.map(formatChunkLabel)).toEqual(["1-2", "3"]);
+  });
+
+  it("splits a page larger than the whole budget", () => {
+    const chunks = chunkPages([page(7, 250)], 100);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk) => {
+      expect(chunk.text.length).toBeLessThanOrEqual(100);
+      expect(formatChunkLabel(chunk)).toBe("7");
+    });
+    expect(chunks.map((chunk) => chunk.pages[0].text).join("")).toBe(
+      "x".repeat(250)
+    );
+  });
+});
+
+describe("allocateQuestionCounts", () => {
+  it("splits the total in proportion to chunk length", () => {
+    const chunks = [{ text: "a".repeat(300) }, { text: "a".repeat(100) }];
+    expect(allocateQuestionCounts(chunks, 8)).toEqual([6, 2]);
+  });
+
+  it("gives every chunk one question and still adds up to the total", () => {
+    const chunks = [{ text: "a".repeat(1000) }, { text: "a" }];
+    expect(allocateQuestionCounts(chunks, 3)).toEqual([2, 1]);
+  });
+
+  it.each([1, 5, 7, 13, 40])("adds up to a total of %i", (total) => {
+    const chunks = [1200, 90, 4000, 10, 700, 2500, 300].map((length) => ({
+      text: "a".repeat(length),
+    }));
+    const counts = allocateQuestionCounts(chunks, total);
+    expect(counts.reduce((sum, count) => sum + count, 0)).toBe(total);
+  });
+
+  it("spreads fewer questions than chunks across the range", () => {
+    const chunks = Array.from({ length: 6 }, () => ({ text: "a".repeat(100) }));
+    expect(allocateQuestionCounts(chunks, 2)).toEqual([0, 1, 0, 0, 1, 0]);
+  });
+});
@@ -0,0 +1,22 @@
+import { findBestPhrase, normalizeForSearch } from "../utils/textMatch";
+
+// Returns the page whose text shares the longest run of words with the
+// question's context, or null when no page contains any of it.
+export const findContextPage = (pages, context) => {
+  let best = null;
+  pages.forEach((page) => {
+    const match = findBestPhrase(normalizeForSearch(page.text), context);
+    if (match && (!best || match.words > best.words)) {
+      best = { pageNumber: page.pageNumber, words: match.words };
+    }
+  });
+  return best ? best.pageNumber : null;
+};
+
+// The quoted context is a better witness than the page number the model
+// reports, so the model's citation is only kept when the quote is not found.
+export const attachSourcePages = (questions, pages) =>
+  questions.map((question) => ({
+    ...question,
+    page: findContextPage(pages, question.context) ?? question.page,
+  }));
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { attachSourcePages, findContextPage } from "./citations";
+
+const pages = [
+  { pageNumber: 3, text: "Cells are the basic unit of life in all organisms." },
+  {
+    pageNumber: 4,
+    text: "The nucleus controls the activities of the cell and holds DNA.",
+  },
+];
+
+describe("findContextPage", () => {
+  it("finds the page quoted by the context despite case and punctuation", () => {
+    expect(
+      findContextPage(pages, "The Nucleus controls the activities, of the cell")
+    ).toBe(4);
+  });
+
+  it("finds a page from part of a loosely quoted context", () => {
+    expect(
+      findContextPage(pages, "As stated, cells are the basic unit of all life")
+    ).toBe(3);
+  });
+
+  it("returns null when no page contains the quote", () => {
+    expect(findContextPage(pages, "Mitochondria make energy for us")).toBeNull();
+  });
+});
+
+describe("attachSourcePages", () => {
+  it("prefers the quoted page and keeps the model's page otherwise", () => {
+    expect(
+      attachSourcePages(
+        [
+          { context: "It controls the activities of the cell", page: 3 },
+          { context: "Something else entirely here", page: 4 },
+        ],
+        pages
+      ).map((question) => question.page)
+    ).toEqual([4, 4]);
+  });
+});
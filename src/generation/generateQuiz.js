@@ -0,0 +1,213 @@
+import { generateText, streamText } from "../llm/providers";
+import { buildQuestionPrompt } from "../llm/questionPrompt";
+import { parseQuestionsResponse } from "../llm/parseQuestions";
+import { createArrayItemParser } from "../llm/streamingJson";
+import {
+  chunkPages,
+  allocateQuestionCounts,
+  formatChunkLabel,
+} from "./chunking";
+import { mergeChunkQuestions, dedupeQuestions } from "./mergeQuestions";
+import { validateQuestions } from "./validateQuestions";
+import { attachSourcePages } from "./citations";
+
+export const MAX_TOP_UP_ATTEMPTS = 2;
+
+const requestQuestions = async ({
+  chunk,
+  count,
+  settings,
+  providerConfig,
+  avoidQuestions,
+  signal,
+  onQuestion,
+}) => {
+  signal?.throwIfAborted();
+  const prompt = buildQuestionPrompt({
+    text: chunk.text,
+    pageLabel: formatChunkLabel(chunk),
+    count,
+    difficulty: settings.difficulty,
+    questionType: settings.questionType,
+    languagePreference: settings.languagePreference,
+    avoidQuestions,
+  });
+  const chunkSettings = {
+    ...settings,
+    pageNumbers: chunk.pages.map((page) => page.pageNumber),
+  };
+
+  // While streaming, each question is validated as soon as its object is
+  // complete. The full response is still parsed at the end, which is what
+  // the caller gets back.
+  let generatedText;
+  if (onQuestion) {
+    const parser = createArrayItemParser();
+    generatedText = await streamText(providerConfig, prompt, {
+      signal,
+      onText: (text) =>
+        parser.push(text).forEach((item) => {
+          const { valid } = validateQuestions([item], chunkSettings);
+          attachSourcePages(valid, chunk.pages).forEach(onQuestion);
+        }),
+    });
+  } else {
+    generatedText = await generateText(providerConfig, prompt, { signal });
+  }
+
+  const { valid, rejected } = validateQuestions(
+    parseQuestionsResponse(generatedText),
+    chunkSettings
+  );
+  return { valid: attachSourcePages(valid, chunk.pages), rejected };
+};
+
+export const generateQuiz = async ({
+  pages,
+  settings,
+  providerConfig,
+  onProgress = () => {},
+  onQuestionsUpdate,
+  signal,
+}) => {
+  const chunks = chunkPages(pages);
+  if (!chunks.length) {
+    return { questions: [], warning: "", rejectedCount: 0 };
+  }
+
+  const counts = allocateQuestionCounts(chunks, settings.qCount);
+  const chunkResults = [];
+  let rejectedCount = 0;
+
+  // With `onQuestionsUpdate`, responses are streamed and every new question
+  // is reported as it arrives, up to the requested count. The merged set
+  // returned at the end replaces this preview.
+  const streamed = [];
+  const onQuestion =
+    onQuestionsUpdate &&
+    ((question) => {
+      if (streamed.length >= settings.qCount) return;
+      if (!dedupeQuestions([question], streamed).length) return;
+      streamed.push(question);
+      onQuestionsUpdate([...streamed]);
+    });
+
+  for (let i = 0; i < chunks.length; i++) {
+    if (!counts[i]) {
+      chunkResults.push([]);
+      continue;
+    }
+    onProgress(
+      chunks.length > 1
+        ? `Generating questions for pages ${formatChunkLabel(chunks[i])} (part ${i + 1} of ${chunks.length})...`
+        : "AI is generating questions..."
+    );
+    const { valid, rejected } = await requestQuestions({
+      chunk: chunks[i],
+      count: counts[i],
+      settings,
+      providerConfig,
+      avoidQuestions: [],
+      signal,
+      onQuestion,
+    });
+    chunkResults.push(valid);
+    rejectedCount += rejected.length;
+  }
+
+  if (chunks.length > 1) {
+    onProgress("Merging and de-duplicating questions...");
+  }
+
+  let questions = mergeChunkQuestions(chunkResults, settings.qCount);
+
+  // Ask the chunks that fell furthest short of their allocation for the
+  // missing questions, keeping everything already received. Items dropped by
+  // validation count towards the shortfall, so they are re-requested here.
+  const topUpOrder = chunks
+    .map((chunk, index) => ({
+      chunk,
+      shortfall: counts[index] - chunkResults[index].length,
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall);
+
+  // A failed follow-up ends the top-up rather than losing the questions
+  // already received; only a cancellation is passed on.
+  let topUpError = null;
+  for (
+    let attempt = 0;
+    attempt < MAX_TOP_UP_ATTEMPTS && questions.length < settings.qCount;
+    attempt++
+  ) {
+    const missing = settings.qCount - questions.length;
+    const { chunk } = topUpOrder[attempt % topUpOrder.length];
+    onProgress(
+      `Received ${questions.length} of ${settings.qCount} questions. Requesting ${missing} more (attempt ${attempt + 1} of ${MAX_TOP_UP_ATTEMPTS})...`
+    );
+
+    let result;
+    try {
+      result = await requestQuestions({
+        chunk,
+        count: missing,
+        settings,
+        providerConfig,
+        avoidQuestions: questions,
+        signal,
+        onQuestion,
+      });
+    } catch (err) {
+      if (err?.name === "AbortError" || !questions.length) throw err;
+      console.warn("Follow-up question request failed:", err);
+      topUpError = err;
+      break;
+    }
+    rejectedCount += result.rejected.length;
+    questions = [
+      ...questions,
+      ...dedupeQuestions(result.valid, questions).slice(0, missing),
+    ];
+  }
+
+  let warning = "";
+  if (questions.length > 0 && questions.length < settings.qCount) {
+    warning = topUpError
+      ? `The model only returned ${questions.length} of the ${settings.qCount} requested questions, and a follow-up request failed: ${topUpError.message} Showing the partial set; generate again for more.`
+      : `The model only returned ${questions.length} of the ${settings.qCount} requested questions after ${MAX_TOP_UP_ATTEMPTS} follow-up requests. Showing the partial set; try expanding the page range for more.`;
+  }
+
+  return { questions, warning, rejectedCount };
+};
+
+// Asks for one new question from a random part of the source pages, retrying
+// when the model repeats a question that is already in the set.
+export const generateReplacementQuestion = async ({
+  pages,
+  settings,
+  providerConfig,
+  avoidQuestions,
+  signal,
+}) => {
+  const chunks = chunkPages(pages);
+  if (!chunks.length) {
+    throw new Error("The source pages for this quiz have no readable text.");
+  }
+
+  for (let attempt = 0; attempt <= MAX_TOP_UP_ATTEMPTS; attempt++) {
+    const chunk = chunks[Math.floor(Math.random() * chunks.length)];
+    const { valid } = await requestQuestions({
+      chunk,
+      count: 1,
+      settings,
+      providerConfig,
+      avoidQuestions,
+      signal,
+    });
+    const [replacement] = dedupeQuestions(valid, avoidQuestions);
+    if (replacement) return replacement;
+  }
+
+  throw new Error(
+    "The model could not suggest a new question for these pages. Try again or edit the question by hand."
+  );
+};
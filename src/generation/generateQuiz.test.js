@@ -0,0 +1,175 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { generateQuiz, generateReplacementQuestion } from "./generateQuiz";
+import { generateText } from "../llm/providers";
+
+vi.mock("../llm/providers", () => ({
+  generateText: vi.fn(),
+  streamText: vi.fn(),
+}));
+
+const pages = [
+  { pageNumber: 1, text: "Cells are the basic unit of life." },
+  { pageNumber: 2, text: "The nucleus controls the cell." },
+];
+
+const settings = {
+  qCount: 4,
+  difficulty: "Easy",
+  questionType: "Short Answer",
+  languagePreference: "English",
+};
+
+const reply = (...questions) =>
+  JSON.stringify(
+    questions.map((question) => ({
+      question,
+      answer: "An answer",
+      type: "Short Answer",
+      context: "",
+    }))
+  );
+
+const run = () =>
+  generateQuiz({ pages, settings, providerConfig: { providerId: "openai" } });
+
+beforeEach(() => {
+  generateText.mockReset();
+  vi.restoreAllMocks();
+});
+
+describe("generateQuiz", () => {
+  it("asks only for the missing questions and skips repeats", async () => {
+    generateText
+      .mockResolvedValueOnce(reply("What is a cell?", "What is life made of?"))
+      .mockResolvedValueOnce(reply("what is a cell", "What does the nucleus do?"))
+      .mockResolvedValueOnce(reply("Where is the nucleus?"));
+
+    const { questions, warning } = await run();
+
+    expect(questions.map((question) => question.question)).toEqual([
+      "What is a cell?",
+      "What is life made of?",
+      "What does the nucleus do?",
+      "Where is the nucleus?",
+    ]);
+    expect(warning).toBe("");
+    const followUpPrompt = generateText.mock.calls[1][1];
+    expect(followUpPrompt).toContain("Generate 2 Easy difficulty questions.");
+    expect(followUpPrompt).toContain("What is a cell?");
+  });
+
+  it("keeps a partial set when the follow-ups fall short", async () => {
+    generateText
+      .mockResolvedValueOnce(reply("What is a cell?"))
+      .mockResolvedValue(reply("What is a cell?"));
+
+    const { questions, warning } = await run();
+
+    expect(questions).toHaveLength(1);
+    expect(generateText).toHaveBeenCalledTimes(3);
+    expect(warning).toBe(
+      "The model only returned 1 of the 4 requested questions after 2 follow-up requests. Showing the partial set; try expanding the page range for more."
+    );
+  });
+
+  it("keeps the questions received when a follow-up request fails", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    generateText
+      .mockResolvedValueOnce(reply("What is a cell?", "What is life made of?"))
+      .mockRejectedValueOnce(new Error("OpenAI-compatible 429: Rate limit reached."));
+
+    const { questions, warning } = await run();
+
+    expect(questions).toHaveLength(2);
+    expect(generateText).toHaveBeenCalledTimes(2);
+    expect(warning).toBe(
+      "The model only returned 2 of the 4 requested questions, and a follow-up request failed: OpenAI-compatible 429: Rate limit reached. Showing the partial set; generate again for more."
+    );
+  });
+
+  it("passes on a cancellation during a follow-up", async () => {
+    generateText
+      .mockResolvedValueOnce(reply("What is a cell?"))
+      .mockRejectedValueOnce(new DOMException("Aborted", "AbortError"));
+
+    await expect(run()).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  it("passes on a failure when nothing was received", async () => {
+    generateText.mockRejectedValue(new Error("Network down"));
+
+    await expect(run()).rejects.toThrow("Network down");
+  });
+
+  it("makes no request once cancelled", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      generateQuiz({
+        pages,
+        settings,
+        providerConfig: { providerId: "openai" },
+        signal: controller.signal,
+      })
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(generateText).not.toHaveBeenCalled();
+  });
+
+  it("hands the cancel signal to the model request", async () => {
+    const controller = new AbortController();
+    generateText.mockResolvedValue(reply("Q1?", "Q2?", "Q3?", "Q4?"));
+
+    await generateQuiz({
+      pages,
+      settings,
+      providerConfig: { providerId: "openai" },
+      signal: controller.signal,
+    });
+
+    expect(generateText.mock.calls[0][2]).toEqual({
+      signal: controller.signal,
+    });
+  });
+});
+
+describe("generateReplacementQuestion", () => {
+  const replace = (avoidQuestions) =>
+    generateReplacementQuestion({
+      pages,
+      settings: { ...settings, qCount: 1 },
+      providerConfig: { providerId: "openai" },
+      avoidQuestions,
+    });
+
+  it("retries until the model suggests a question not in the set", async () => {
+    generateText
+      .mockResolvedValueOnce(reply("What is a cell?"))
+      .mockResolvedValueOnce(reply("Where is the nucleus?"));
+
+    const replacement = await replace([{ question: "What is a cell?" }]);
+
+    expect(replacement.question).toBe("Where is the nucleus?");
+    expect(generateText.mock.calls[0][1]).toContain("What is a cell?");
+  });
+
+  it("gives up after the follow-up attempts", async () => {
+    generateText.mockResolvedValue(reply("What is a cell?"));
+
+    await expect(replace([{ question: "What is a cell?" }])).rejects.toThrow(
+      "The model could not suggest a new question for these pages."
+    );
+    expect(generateText).toHaveBeenCalledTimes(3);
+  });
+
+  it("rejects a quiz without source pages", async () => {
+    await expect(
+      generateReplacementQuestion({
+        pages: [],
+        settings,
+        providerConfig: { providerId: "openai" },
+        avoidQuestions: [],
+      })
+    ).rejects.toThrow("The source pages for this quiz have no readable text.");
+  });
+});
@@ -0,0 +1,64 @@
+const SIMILARITY_THRESHOLD = 0.8;
+
+const normalizeText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const toWordSet = (text) => new Set(normalizeText(text).split(" "));
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+export const isDuplicateQuestion = (candidate, existing) =>
+  normalizeText(candidate.question) === normalizeText(existing.question) ||
+  jaccard(toWordSet(candidate.question), toWordSet(existing.question)) >=
+    SIMILARITY_THRESHOLD;
+
+export const dedupeQuestions = (questions, existing = []) => {
+  const kept = [];
+  questions.forEach((question) => {
+    const seen = [...existing, ...kept];
+    if (!seen.some((other) => isDuplicateQuestion(question, other))) {
+      kept.push(question);
+    }
+  });
+  return kept;
+};
+
+// Merges per-chunk results into a single list of at most `total` questions.
+// When there are more questions than needed, picks round-robin across chunks
+// so every part of the range stays represented, then restores page order.
+export const mergeChunkQuestions = (chunkResults, total) => {
+  const deduped = [];
+  chunkResults.forEach((questions) => {
+    deduped.push(dedupeQuestions(questions, deduped.flat()));
+  });
+
+  const flattened = deduped.flat();
+  if (flattened.length <= total) {
+    return flattened;
+  }
+
+  const picked = new Set();
+  const cursors = deduped.map(() => 0);
+  while (picked.size < total) {
+    deduped.forEach((questions, chunkIndex) => {
+      if (picked.size >= total || cursors[chunkIndex] >= questions.length) {
+        return;
+      }
+      picked.add(questions[cursors[chunkIndex]]);
+      cursors[chunkIndex] += 1;
+    });
+  }
+
+  return flattened.filter((question) => picked.has(question));
+};
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import {
+  dedupeQuestions,
+  isDuplicateQuestion,
+  mergeChunkQuestions,
+} from "./mergeQuestions";
+
+const q = (question, page) => ({ question, page });
+
+describe("isDuplicateQuestion", () => {
+  it("ignores case and punctuation", () => {
+    expect(
+      isDuplicateQuestion(q("What is photosynthesis?"), q("what is Photosynthesis"))
+    ).toBe(true);
+  });
+
+  it("treats a near rewording as a duplicate", () => {
+    expect(
+      isDuplicateQuestion(
+        q("Who wrote the novel Godan in the year 1936"),
+        q("Who wrote the novel Godan in 1936")
+      )
+    ).toBe(true);
+  });
+
+  it("keeps different questions apart", () => {
+    expect(
+      isDuplicateQuestion(q("Who wrote Godan?"), q("When was Godan published?"))
+    ).toBe(false);
+  });
+});
+
+describe("dedupeQuestions", () => {
+  it("drops repeats within the list and of existing questions", () => {
+    const kept = dedupeQuestions(
+      [q("One?"), q("one"), q("Two?"), q("Three?")],
+      [q("Three")]
+    );
+    expect(kept.map((item) => item.question)).toEqual(["One?", "Two?"]);
+  });
+});
+
+describe("mergeChunkQuestions", () => {
+  it("picks round-robin across chunks when there are too many", () => {
+    const merged = mergeChunkQuestions(
+      [
+        [q("A1?", 1), q("A2?", 1), q("A3?", 2)],
+        [q("B1?", 5), q("B2?", 6)],
+      ],
+      3
+    );
+    expect(merged.map((item) => item.question)).toEqual(["A1?", "A2?", "B1?"]);
+  });
+
+  it("removes duplicates across chunks", () => {
+    const merged = mergeChunkQuestions([[q("Same?")], [q("same")]], 5);
+    expect(merged).toHaveLength(1);
+  });
+});
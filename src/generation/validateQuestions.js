@@ -0,0 +1,204 @@
+import { createId } from "../utils/createId";
+import {
+  detectLanguage,
+  getLanguage,
+  getPreferenceLanguages,
+  isBilingualPreference,
+  OTHER_LANGUAGE,
+} from "../languages/registry";
+
+export const QUESTION_TYPE_MCQ = "Multiple Choice";
+export const QUESTION_TYPE_SHORT = "Short Answer";
+
+const OPTION_LABEL = /^\s*(?:option\s*)?\(?([a-h])[).:\-\s]\s*/i;
+
+const cleanString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+  return typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+};
+
+const foldForMatch = (value) =>
+  cleanString(value).toLowerCase().replace(/[.。।]+$/, "").trim();
+
+const stripOptionLabel = (value) => value.replace(OPTION_LABEL, "").trim();
+
+const normalizeLanguage = (value, fallbackText, candidates) => {
+  if (foldForMatch(value) === OTHER_LANGUAGE.toLowerCase()) {
+    return OTHER_LANGUAGE;
+  }
+  return getLanguage(value)?.id || detectLanguage(fallbackText, candidates);
+};
+
+const coerceType = (value, options) => {
+  const folded = foldForMatch(value);
+  if (/multiple|mcq|choice|objective/.test(folded)) return QUESTION_TYPE_MCQ;
+  if (/short|long|descriptive|subjective|answer/.test(folded)) {
+    return QUESTION_TYPE_SHORT;
+  }
+  return options.length >= 2 ? QUESTION_TYPE_MCQ : QUESTION_TYPE_SHORT;
+};
+
+const matchAnswerToOption = (answer, options) => {
+  const exact = options.find((option) => option === answer);
+  if (exact) return exact;
+
+  const folded = foldForMatch(answer);
+  const caseInsensitive = options.find(
+    (option) => foldForMatch(option) === folded
+  );
+  if (caseInsensitive) return caseInsensitive;
+
+  const unlabeled = foldForMatch(stripOptionLabel(answer));
+  const byText = options.find(
+    (option) => foldForMatch(stripOptionLabel(option)) === unlabeled
+  );
+  if (byText) return byText;
+
+  const letter = answer.match(/^\s*(?:option\s*)?\(?([a-h])\)?\s*[.:)]?\s*$/i);
+  if (letter) {
+    return options[letter[1].toLowerCase().charCodeAt(0) - 97];
+  }
+
+  return undefined;
+};
+
+const normalizePage = (value, pageNumbers) => {
+  const page = Number.parseInt(String(value ?? "").replace(/^\D+/, ""), 10);
+  if (!Number.isInteger(page) || page < 1) return null;
+  return !pageNumbers || pageNumbers.includes(page) ? page : null;
+};
+
+// Translations are kept only when there is one per option, and are filtered
+// alongside them so each stays at the same index as its option.
+const normalizeOptions = (options, translations) => {
+  if (!Array.isArray(options)) return { options: [], translations: null };
+  const hasTranslations =
+    Array.isArray(translations) && translations.length === options.length;
+  const seen = new Set();
+  const kept = options
+    .map((option, index) => ({
+      option: cleanString(option),
+      translation: hasTranslations ? cleanString(translations[index]) : "",
+    }))
+    .filter(({ option }) => {
+      const key = option.toLowerCase();
+      if (!option || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  return {
+    options: kept.map(({ option }) => option),
+    translations:
+      hasTranslations && kept.every(({ translation }) => translation)
+        ? kept.map(({ translation }) => translation)
+        : null,
+  };
+};
+
+// Returns `{ question }` with a normalized copy of a recoverable item, or
+// `{ reason }` explaining why it cannot be used.
+export const validateQuestion = (
+  raw,
+  { languagePreference, questionType, pageNumbers }
+) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { reason: "Item is not a question object." };
+  }
+
+  const isBilingual = isBilingualPreference(languagePreference);
+  const question = cleanString(raw.question);
+  let answer = cleanString(raw.answer);
+  let { options, translations: optionsTranslation } = normalizeOptions(
+    raw.options,
+    isBilingual ? raw.optionsTranslation : null
+  );
+  let type = coerceType(raw.type, options);
+
+  if (!question) {
+    return { reason: "Question text is missing." };
+  }
+  if (!answer) {
+    return { reason: "Answer is missing." };
+  }
+
+  if (type === QUESTION_TYPE_MCQ && options.length < 2) {
+    type = QUESTION_TYPE_SHORT;
+  }
+
+  if (type === QUESTION_TYPE_MCQ) {
+    const matchedOption = matchAnswerToOption(answer, options);
+    if (!matchedOption) {
+      return { reason: "Answer does not match any of the options." };
+    }
+    answer = matchedOption;
+  } else {
+    options = [];
+    optionsTranslation = null;
+  }
+
+  if (questionType !== "Mixed" && type !== questionType) {
+    return { reason: `Expected a ${questionType} question.` };
+  }
+
+  const languages = getPreferenceLanguages(languagePreference);
+  const questionTranslation = isBilingual
+    ? cleanString(raw.questionTranslation)
+    : "";
+
+  if (isBilingual && !questionTranslation) {
+    return { reason: "Translated question is missing." };
+  }
+
+  // Options, answer and context are translated where the model provided
+  // them; a missing piece falls back to the primary language rather than
+  // losing the question. An MCQ answer takes its option's translation.
+  let answerTranslation = "";
+  if (isBilingual) {
+    answerTranslation = optionsTranslation
+      ? optionsTranslation[options.indexOf(answer)]
+      : cleanString(raw.answerTranslation);
+  }
+
+  return {
+    question: {
+      ...raw,
+      id: cleanString(raw.id) || createId(),
+      question,
+      questionTranslation: questionTranslation || null,
+      translationLanguage: questionTranslation
+        ? normalizeLanguage(
+            raw.translationLanguage,
+            questionTranslation,
+            languages
+          )
+        : null,
+      options,
+      optionsTranslation,
+      answer,
+      answerTranslation: answerTranslation || null,
+      context: cleanString(raw.context),
+      contextTranslation:
+        (isBilingual && cleanString(raw.contextTranslation)) || null,
+      page: normalizePage(raw.page, pageNumbers),
+      type,
+      language: normalizeLanguage(raw.language, question, languages),
+    },
+  };
+};
+
+export const validateQuestions = (items, settings) => {
+  const valid = [];
+  const rejected = [];
+
+  items.forEach((item) => {
+    const result = validateQuestion(item, settings);
+    if (result.question) {
+      valid.push(result.question);
+    } else {
+      rejected.push({ item, reason: result.reason });
+    }
+  });
+
+  return { valid, rejected };
+};
@@ -0,0 +1,164 @@
+import { describe, expect, it } from "vitest";
+import {
+  QUESTION_TYPE_MCQ,
+  QUESTION_TYPE_SHORT,
+  validateQuestion,
+  validateQuestions,
+} from "./validateQuestions";
+
+const settings = {
+  languagePreference: "English",
+  questionType: "Mixed",
+  pageNumbers: [3, 4],
+};
+
+const mcq = (overrides) => ({
+  question: "What is the capital of France?",
+  type: "Multiple Choice",
+  options: ["A) Paris", "B) Lyon", "C) Nice"],
+  answer: "A) Paris",
+  context: "Paris is the capital.",
+  page: 3,
+  ...overrides,
+});
+
+describe("validateQuestion", () => {
+  it("normalizes whitespace and keeps a matching answer", () => {
+    const { question } = validateQuestion(
+      mcq({ question: "  What is\n the capital  of France? " }),
+      settings
+    );
+    expect(question.question).toBe("What is the capital of France?");
+    expect(question.answer).toBe("A) Paris");
+    expect(question.type).toBe(QUESTION_TYPE_MCQ);
+    expect(question.language).toBe("English");
+    expect(question.id).toBeTruthy();
+  });
+
+  it.each([["a"], ["(A)"], ["Paris"], ["paris."]])(
+    "matches the answer %j to its option",
+    (answer) => {
+      const { question } = validateQuestion(mcq({ answer }), settings);
+      expect(question.answer).toBe("A) Paris");
+    }
+  );
+
+  it("rejects an answer that is not one of the options", () => {
+    expect(validateQuestion(mcq({ answer: "Marseille" }), settings)).toEqual({
+      reason: "Answer does not match any of the options.",
+    });
+  });
+
+  it("drops blank and repeated options", () => {
+    const { question } = validateQuestion(
+      mcq({ options: ["Paris", "", "paris", "Lyon"], answer: "Paris" }),
+      settings
+    );
+    expect(question.options).toEqual(["Paris", "Lyon"]);
+  });
+
+  it("turns a multiple choice question without options into a short answer", () => {
+    const { question } = validateQuestion(
+      mcq({ options: ["Paris"], answer: "Paris" }),
+      settings
+    );
+    expect(question.type).toBe(QUESTION_TYPE_SHORT);
+    expect(question.options).toEqual([]);
+  });
+
+  it("rejects questions of the wrong type", () => {
+    expect(
+      validateQuestion(mcq(), { ...settings, questionType: QUESTION_TYPE_SHORT })
+    ).toEqual({ reason: "Expected a Short Answer question." });
+  });
+
+  it("only keeps pages that were part of the source", () => {
+    expect(validateQuestion(mcq({ page: "p. 4" }), settings).question.page).toBe(
+      4
+    );
+    expect(validateQuestion(mcq({ page: 9 }), settings).question.page).toBe(
+      null
+    );
+  });
+
+  it("labels the language by script when the model omits it", () => {
+    const { question } = validateQuestion(
+      {
+        question: "भारत की राजधानी क्या है?",
+        answer: "नई दिल्ली",
+        type: "Short Answer",
+      },
+      { ...settings, languagePreference: "Hindi" }
+    );
+    expect(question.language).toBe("Hindi");
+  });
+});
+
+describe("validateQuestions", () => {
+  it("separates usable questions from rejected items with reasons", () => {
+    const { valid, rejected } = validateQuestions(
+      [mcq(), "not a question", { question: "No answer?" }],
+      settings
+    );
+    expect(valid).toHaveLength(1);
+    expect(rejected.map(({ reason }) => reason)).toEqual([
+      "Item is not a question object.",
+      "Answer is missing.",
+    ]);
+  });
+});
+
+describe("validateQuestion in bilingual mode", () => {
+  const bilingual = { ...settings, languagePreference: "Hindi+English" };
+  const raw = {
+    question: "भारत की राजधानी क्या है?",
+    questionTranslation: "What is the capital of India?",
+    type: "Multiple Choice",
+    options: ["नई दिल्ली", "मुंबई", "नई दिल्ली"],
+    optionsTranslation: ["New Delhi", "Mumbai", "New Delhi again"],
+    answer: "नई दिल्ली",
+    answerTranslation: "Delhi",
+    context: "नई दिल्ली भारत की राजधानी है।",
+    contextTranslation: "New Delhi is the capital of India.",
+  };
+
+  it("keeps translations aligned with the options that survive", () => {
+    const { question } = validateQuestion(raw, bilingual);
+    expect(question).toMatchObject({
+      options: ["नई दिल्ली", "मुंबई"],
+      optionsTranslation: ["New Delhi", "Mumbai"],
+      answerTranslation: "New Delhi",
+      contextTranslation: "New Delhi is the capital of India.",
+      language: "Hindi",
+      translationLanguage: "English",
+    });
+  });
+
+  it("drops option translations unless every option has one", () => {
+    const { question } = validateQuestion(
+      { ...raw, optionsTranslation: ["New Delhi", "", "x"] },
+      bilingual
+    );
+    expect(question.optionsTranslation).toBeNull();
+    expect(question.answerTranslation).toBe("Delhi");
+  });
+
+  it("requires a translated question", () => {
+    expect(
+      validateQuestion({ ...raw, questionTranslation: " " }, bilingual)
+    ).toEqual({ reason: "Translated question is missing." });
+  });
+
+  it("ignores translations outside bilingual mode", () => {
+    const { question } = validateQuestion(raw, {
+      ...settings,
+      languagePreference: "Hindi",
+    });
+    expect(question).toMatchObject({
+      questionTranslation: null,
+      optionsTranslation: null,
+      answerTranslation: null,
+      contextTranslation: null,
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { hashArrayBuffer } from "../utils/hashFile";
+import { elementsByName, firstElementByName, parseMarkup } from "./markup";
+import { createTextSource, splitByLength, toUnits } from "./sections";
+import { openZip } from "./zipReader";
+
+const DOCUMENT_PATH = "word/document.xml";
+const STYLES_PATH = "word/styles.xml";
+
+const getAttribute = (element, name) =>
+  element?.getAttribute(`w:${name}`) ?? element?.getAttribute(name) ?? null;
+
+const getChild = (element, name) =>
+  [...element.children].find((child) => child.localName === name) || null;
+
+const getHeadingLevel = (styleName, outlineLevel) => {
+  if (/^title$/i.test(styleName || "")) return 0;
+  const match = /^heading\s*(\d)$/i.exec(styleName || "");
+  if (match) return Number(match[1]);
+  return outlineLevel === null ? null : Number(outlineLevel) + 1;
+};
+
+// Maps paragraph style ids to heading levels. Localized Word versions use ids
+// like "berschrift1", so the style's English name and outline level are used
+// rather than the id.
+const readHeadingStyles = async (zip) => {
+  const levels = new Map();
+  if (!zip.has(STYLES_PATH)) return levels;
+  const styles = parseMarkup(await zip.readText(STYLES_PATH), "application/xml");
+  elementsByName(styles, "style").forEach((style) => {
+    if (getAttribute(style, "type") !== "paragraph") return;
+    const name = getAttribute(firstElementByName(style, "name"), "val");
+    const outline = getAttribute(firstElementByName(style, "outlineLvl"), "val");
+    const level = getHeadingLevel(name, outline);
+    if (level !== null) levels.set(getAttribute(style, "styleId"), level);
+  });
+  return levels;
+};
+
+const getRunText = (element) => {
+  switch (element.localName) {
+    case "t":
+      return element.textContent;
+    case "tab":
+      return "\t";
+    case "br":
+    case "cr":
+      return "\n";
+    case "delText":
+    case "instrText":
+      return "";
+    default:
+      return [...element.children].map(getRunText).join("");
+  }
+};
+
+const getParagraphLevel = (paragraph, headingStyles) => {
+  const properties = getChild(paragraph, "pPr");
+  if (!properties) return null;
+  const styleId = getAttribute(getChild(properties, "pStyle"), "val");
+  if (headingStyles.has(styleId)) return headingStyles.get(styleId);
+  const outline = getAttribute(getChild(properties, "outlineLvl"), "val");
+  return getHeadingLevel(styleId, outline);
+};
+
+// Flattens the body into paragraphs, keeping table rows on one line each.
+const readBlocks = (element, headingStyles) =>
+  [...element.children].flatMap((child) => {
+    if (child.localName === "p") {
+      return [
+        {
+          text: getRunText(child).trim(),
+          level: getParagraphLevel(child, headingStyles),
+        },
+      ];
+    }
+    if (child.localName === "tbl") {
+      return elementsByName(child, "tr").map((row) => ({
+        text: elementsByName(row, "tc")
+          .map((cell) => getRunText(cell).replace(/\s+/g, " ").trim())
+          .join(" | "),
+        level: null,
+      }));
+    }
+    if (child.localName === "sdt" || child.localName === "sdtContent") {
+      return readBlocks(child, headingStyles);
+    }
+    return [];
+  });
+
+// One section per top-level heading. Documents without headings are cut
+// into page-sized sections instead.
+const splitAtHeadings = (blocks) => {
+  const levels = blocks
+    .map((block) => block.level)
+    .filter((level) => level !== null && level > 0);
+  if (!levels.length) {
+    const text = blocks.map((block) => block.text).join("\n\n");
+    return splitByLength(text).map((sectionText) => ({ text: sectionText }));
+  }
+
+  const splitLevel = Math.min(...levels);
+  const sections = [{ title: "", lines: [] }];
+  blocks.forEach((block) => {
+    if (!block.text) return;
+    if (block.level === splitLevel) {
+      sections.push({ title: block.text, lines: [] });
+    }
+    sections[sections.length - 1].lines.push(block.text);
+  });
+  return sections.map((section) => ({
+    title: section.title,
+    text: section.lines.join("\n\n"),
+  }));
+};
+
+export const loadDocxSource = async ([file]) => {
+  const buffer = await file.arrayBuffer();
+  const fileHash = await hashArrayBuffer(buffer);
+  const zip = openZip(buffer);
+  if (!zip.has(DOCUMENT_PATH)) {
+    throw new Error(`${file.name} is not a Word document.`);
+  }
+
+  const headingStyles = await readHeadingStyles(zip);
+  const doc = parseMarkup(await zip.readText(DOCUMENT_PATH), "application/xml");
+  const body = firstElementByName(doc, "body");
+  const blocks = body ? readBlocks(body, headingStyles) : [];
+
+  return createTextSource({
+    kind: "docx",
+    name: file.name,
+    fileHash,
+    unitLabel: "section",
+    units: toUnits(splitAtHeadings(blocks), "Section"),
+  });
+};
@@ -0,0 +1,146 @@
+import { hashArrayBuffer } from "../utils/hashFile";
+import {
+  elementsByName,
+  firstElementByName,
+  htmlToText,
+  parseMarkup,
+  parseXhtml,
+} from "./markup";
+import { createTextSource, toUnits } from "./sections";
+import { openZip } from "./zipReader";
+
+const CONTAINER_PATH = "META-INF/container.xml";
+const HTML_TYPES = new Set(["application/xhtml+xml", "text/html"]);
+
+const getDirectory = (path) => path.slice(0, path.lastIndexOf("/") + 1);
+
+// Some EPUB tools write a bare "%" in hrefs; those are used as written.
+const decodePath = (path) => {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+};
+
+// Resolves an href from a package document against the file it appears in,
+// the same way a browser would resolve a relative link.
+const resolvePath = (fromPath, href) => {
+  const target = decodePath(href.split("#")[0]);
+  const segments = `${getDirectory(fromPath)}${target}`.split("/");
+  const resolved = [];
+  segments.forEach((segment) => {
+    if (segment === "..") resolved.pop();
+    else if (segment && segment !== ".") resolved.push(segment);
+  });
+  return resolved.join("/");
+};
+
+const readPackagePath = async (zip) => {
+  if (!zip.has(CONTAINER_PATH)) {
+    throw new Error("This EPUB is missing its container file.");
+  }
+  const container = parseMarkup(
+    await zip.readText(CONTAINER_PATH),
+    "application/xml"
+  );
+  const path = firstElementByName(container, "rootfile")?.getAttribute(
+    "full-path"
+  );
+  if (!path || !zip.has(path)) {
+    throw new Error("This EPUB does not say where its contents are.");
+  }
+  return path;
+};
+
+// Chapter titles from the EPUB 3 navigation document, keyed by file path.
+const readNavTitles = async (zip, navPath) => {
+  const nav = parseXhtml(await zip.readText(navPath));
+  const titles = new Map();
+  elementsByName(nav, "a").forEach((link) => {
+    const href = link.getAttribute("href");
+    const label = link.textContent.replace(/\s+/g, " ").trim();
+    const path = href && resolvePath(navPath, href);
+    if (label && path && !titles.has(path)) titles.set(path, label);
+  });
+  return titles;
+};
+
+// The same from an EPUB 2 NCX table of contents.
+const readNcxTitles = async (zip, ncxPath) => {
+  const ncx = parseMarkup(await zip.readText(ncxPath), "application/xml");
+  const titles = new Map();
+  elementsByName(ncx, "navPoint").forEach((point) => {
+    const src = firstElementByName(point, "content")?.getAttribute("src");
+    const label = firstElementByName(point, "text")?.textContent.trim();
+    const path = src && resolvePath(ncxPath, src);
+    if (label && path && !titles.has(path)) titles.set(path, label);
+  });
+  return titles;
+};
+
+const readTocTitles = async (zip, manifest, spine) => {
+  try {
+    const nav = [...manifest.values()].find((item) =>
+      item.properties.split(/\s+/).includes("nav")
+    );
+    if (nav && zip.has(nav.path)) return await readNavTitles(zip, nav.path);
+    const ncx = manifest.get(spine.getAttribute("toc"));
+    if (ncx && zip.has(ncx.path)) return await readNcxTitles(zip, ncx.path);
+  } catch (err) {
+    console.warn("Could not read the EPUB table of contents:", err);
+  }
+  return new Map();
+};
+
+const getChapterHeading = (doc) =>
+  ["h1", "h2", "h3", "title"]
+    .map((name) => firstElementByName(doc, name)?.textContent.trim())
+    .find(Boolean) || "";
+
+// One section per document in the reading order (the spine), titled from the
+// table of contents where it names the chapter.
+export const loadEpubSource = async ([file]) => {
+  const buffer = await file.arrayBuffer();
+  const fileHash = await hashArrayBuffer(buffer);
+  const zip = openZip(buffer);
+  const opfPath = await readPackagePath(zip);
+  const opf = parseMarkup(await zip.readText(opfPath), "application/xml");
+
+  const manifest = new Map(
+    elementsByName(opf, "item").map((item) => [
+      item.getAttribute("id"),
+      {
+        path: resolvePath(opfPath, item.getAttribute("href") || ""),
+        mediaType: item.getAttribute("media-type") || "",
+        properties: item.getAttribute("properties") || "",
+      },
+    ])
+  );
+  const spine = firstElementByName(opf, "spine");
+  if (!spine) throw new Error("This EPUB has no reading order.");
+  const titles = await readTocTitles(zip, manifest, spine);
+
+  const sections = [];
+  for (const itemRef of elementsByName(spine, "itemref")) {
+    const item = manifest.get(itemRef.getAttribute("idref"));
+    if (!item || !HTML_TYPES.has(item.mediaType) || !zip.has(item.path)) {
+      continue;
+    }
+    if (item.properties.split(/\s+/).includes("nav")) continue;
+    const doc = parseXhtml(await zip.readText(item.path));
+    const body = firstElementByName(doc, "body") || doc.documentElement;
+    sections.push({
+      title: titles.get(item.path) || getChapterHeading(doc),
+      text: htmlToText(body),
+    });
+  }
+
+  return createTextSource({
+    kind: "epub",
+    name: file.name,
+    fileHash,
+    unitLabel: "chapter",
+    units: toUnits(sections, "Chapter"),
+  });
+};
@@ -0,0 +1,54 @@
+import { hashArrayBuffer } from "../utils/hashFile";
+
+const MAX_IMAGE_SIDE = 3000;
+
+// Phone photos can be far larger than OCR needs; they are scaled down to keep
+// recognition fast without losing legibility.
+const renderImageToCanvas = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(
+    1,
+    MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height)
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  if (!context) {
+    throw new Error("Canvas rendering is not available in this browser.");
+  }
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas;
+};
+
+// Each image is one page, in file name order (page-2.jpg before page-10.jpg),
+// read with OCR.
+export const loadImageSource = async (files) => {
+  const images = [...files].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { numeric: true })
+  );
+  const hashes = await Promise.all(
+    images.map(async (image) => hashArrayBuffer(await image.arrayBuffer()))
+  );
+  const fileHash = await hashArrayBuffer(
+    new TextEncoder().encode(hashes.join(":"))
+  );
+
+  return {
+    kind: "image",
+    name:
+      images.length === 1
+        ? images[0].name
+        : `${images[0].name} and ${images.length - 1} more`,
+    fileHash,
+    unitLabel: "page",
+    pageCount: images.length,
+    units: images.map((image) => ({ title: image.name, file: image })),
+    pdf: null,
+    supportsOcr: true,
+    readTextLayer: async () => "",
+    renderPage: async (pageNumber) =>
+      renderImageToCanvas(images[pageNumber - 1]),
+  };
+};
@@ -0,0 +1,98 @@
+import { loadDocxSource } from "./docx";
+import { loadEpubSource } from "./epub";
+import { loadImageSource } from "./images";
+import { loadPdfSource } from "./pdf";
+import { loadTextSource } from "./plainText";
+
+// Every adapter turns an upload into a source: `pageCount` numbered units
+// (PDF pages, EPUB chapters, document sections or photos) that the page
+// picker selects from, a `unitLabel` naming them, and `readTextLayer` /
+// `renderPage` for reading a unit's text or rendering it for OCR.
+export const INPUT_ADAPTERS = [
+  {
+    id: "pdf",
+    label: "PDF",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"],
+    load: loadPdfSource,
+  },
+  {
+    id: "epub",
+    label: "EPUB",
+    extensions: [".epub"],
+    mimeTypes: ["application/epub+zip"],
+    load: loadEpubSource,
+  },
+  {
+    id: "docx",
+    label: "Word",
+    extensions: [".docx"],
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    load: loadDocxSource,
+  },
+  {
+    id: "text",
+    label: "Text",
+    extensions: [".txt", ".md"],
+    mimeTypes: ["text/plain", "text/markdown"],
+    load: loadTextSource,
+  },
+  {
+    id: "image",
+    label: "Images",
+    extensions: [".png", ".jpg", ".jpeg", ".webp", ".bmp", ".gif"],
+    mimeTypes: [
+      "image/png",
+      "image/jpeg",
+      "image/webp",
+      "image/bmp",
+      "image/gif",
+    ],
+    allowsMultiple: true,
+    load: loadImageSource,
+  },
+];
+
+export const ACCEPTED_FILE_TYPES = INPUT_ADAPTERS.flatMap((adapter) => [
+  ...adapter.extensions,
+  ...adapter.mimeTypes,
+]).join(",");
+
+// Browsers often report an empty or generic type for EPUB and Markdown
+// files, so the extension decides when the type doesn't.
+export const findInputAdapter = (file) => {
+  const name = file.name.toLowerCase();
+  return (
+    INPUT_ADAPTERS.find((adapter) => adapter.mimeTypes.includes(file.type)) ||
+    INPUT_ADAPTERS.find((adapter) =>
+      adapter.extensions.some((extension) => name.endsWith(extension))
+    ) ||
+    null
+  );
+};
+
+export const loadInputSource = async (files) => {
+  const adapters = files.map(findInputAdapter);
+  if (!files.length || adapters.some((adapter) => !adapter)) {
+    throw new Error(
+      "Unsupported file type. Upload a PDF, EPUB, Word (.docx) or text file, or photos of pages."
+    );
+  }
+  const [adapter] = adapters;
+  if (
+    files.length > 1 &&
+    !adapters.every(
+      (candidate) => candidate === adapter && candidate.allowsMultiple
+    )
+  ) {
+    throw new Error(
+      "Upload one book at a time. Several files can only be combined when they are all photos of pages."
+    );
+  }
+  return adapter.load(files);
+};
+
+export const formatUnitCount = (count, unitLabel) =>
+  `${count} ${unitLabel}${count === 1 ? "" : "s"}`;
@@ -0,0 +1,86 @@
+const BLOCK_ELEMENTS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "dd",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "footer",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "li",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "td",
+  "th",
+  "tr",
+  "ul",
+]);
+const SKIPPED_ELEMENTS = new Set(["head", "script", "style", "svg", "math"]);
+
+export const parseMarkup = (text, type) => {
+  const doc = new DOMParser().parseFromString(text, type);
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("The file contains malformed XML.");
+  }
+  return doc;
+};
+
+// XHTML from e-books is usually well formed, but not always; the HTML parser
+// accepts anything.
+export const parseXhtml = (text) => {
+  try {
+    return parseMarkup(text, "application/xhtml+xml");
+  } catch {
+    return new DOMParser().parseFromString(text, "text/html");
+  }
+};
+
+// Plain text of an HTML subtree with a blank line between block elements, so
+// paragraphs survive the conversion.
+export const htmlToText = (root) => {
+  const parts = [];
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      parts.push(node.nodeValue.replace(/\s+/g, " "));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.localName.toLowerCase();
+    if (SKIPPED_ELEMENTS.has(tag)) return;
+    if (tag === "br") {
+      parts.push("\n");
+      return;
+    }
+    const isBlock = BLOCK_ELEMENTS.has(tag);
+    if (isBlock) parts.push("\n\n");
+    node.childNodes.forEach(walk);
+    if (isBlock) parts.push("\n\n");
+  };
+  walk(root);
+  return parts
+    .join("")
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+export const firstElementByName = (root, name) =>
+  root.getElementsByTagNameNS("*", name)[0] || null;
+
+export const elementsByName = (root, name) => [
+  ...root.getElementsByTagNameNS("*", name),
+];
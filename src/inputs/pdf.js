@@ -0,0 +1,42 @@
+import * as pdfjsLib from "pdfjs-dist";
+import { loadPdfDocument } from "../pdf/documentCache";
+import { extractPageText } from "../pdf/layout";
+import { renderPageToCanvas } from "../pdf/renderPage";
+import { getRenderScale } from "../ocr/settings";
+
+export const loadPdfSource = async ([file]) => {
+  if (!pdfjsLib?.getDocument) {
+    throw new Error(
+      "PDF engine failed to initialize. Please refresh and try again."
+    );
+  }
+
+  let loaded;
+  try {
+    loaded = await loadPdfDocument(file);
+  } catch (err) {
+    console.error(err);
+    throw new Error(
+      "Failed to read PDF. It might be password protected or corrupted."
+    );
+  }
+
+  const { pdf, fileHash } = loaded;
+  return {
+    kind: "pdf",
+    name: file.name,
+    fileHash,
+    unitLabel: "page",
+    pageCount: pdf.numPages,
+    units: null,
+    pdf,
+    supportsOcr: true,
+    readTextLayer: async (pageNumber) =>
+      extractPageText(await pdf.getPage(pageNumber)),
+    renderPage: async (pageNumber, ocrSettings) =>
+      renderPageToCanvas(
+        await pdf.getPage(pageNumber),
+        getRenderScale(ocrSettings)
+      ),
+  };
+};
@@ -0,0 +1,38 @@
+import { hashArrayBuffer } from "../utils/hashFile";
+import { createTextSource, splitByLength, toUnits } from "./sections";
+
+const MARKDOWN_HEADING = /^#{1,2}\s+(.+)$/gm;
+
+// Markdown-style notes are split at their top-level headings; anything else
+// is cut into sections of about a page each.
+const splitNotes = (text) => {
+  const headings = [...text.matchAll(MARKDOWN_HEADING)];
+  if (!headings.length) {
+    return splitByLength(text).map((sectionText) => ({ text: sectionText }));
+  }
+  const sections = [];
+  const preamble = text.slice(0, headings[0].index).trim();
+  if (preamble) sections.push({ text: preamble });
+  headings.forEach((heading, index) => {
+    const end = headings[index + 1]?.index ?? text.length;
+    sections.push({
+      title: heading[1].trim(),
+      text: text.slice(heading.index, end),
+    });
+  });
+  return sections;
+};
+
+export const loadTextSource = async ([file]) => {
+  const buffer = await file.arrayBuffer();
+  const text = new TextDecoder()
+    .decode(buffer)
+    .replace(/\r\n?/g, "\n");
+  return createTextSource({
+    kind: "text",
+    name: file.name,
+    fileHash: await hashArrayBuffer(buffer),
+    unitLabel: "section",
+    units: toUnits(splitNotes(text), "Section"),
+  });
+};
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { loadTextSource } from "./plainText";
+
+const load = (text, name = "notes.md") => loadTextSource([new File([text], name)]);
+
+describe("loadTextSource", () => {
+  it("splits Markdown notes at their headings", async () => {
+    const source = await load(
+      "Course notes\r\n\r\n# Cells\r\nCells are small.\r\n\r\n## Tissues\r\nGroups of cells."
+    );
+
+    expect(source).toMatchObject({
+      kind: "text",
+      name: "notes.md",
+      unitLabel: "section",
+      pageCount: 3,
+      supportsOcr: false,
+    });
+    expect(source.units.map((unit) => unit.title)).toEqual([
+      "Course notes",
+      "Cells",
+      "Tissues",
+    ]);
+    expect(await source.readTextLayer(2)).toBe("# Cells\nCells are small.");
+    expect(source.fileHash).toMatch(/^[0-9a-f]+$/);
+  });
+
+  it("rejects a file without text", async () => {
+    await expect(load("  \n\n ", "empty.txt")).rejects.toThrow(
+      "No readable text was found in empty.txt."
+    );
+  });
+});
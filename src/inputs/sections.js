@@ -0,0 +1,63 @@
+export const SECTION_CHARS = 4000;
+const MAX_TITLE_LENGTH = 60;
+
+export const toSectionTitle = (text, fallback) => {
+  const firstLine = text
+    .split("\n")
+    .map((line) => line.trim())
+    .find(Boolean);
+  if (!firstLine) return fallback;
+  return firstLine.length > MAX_TITLE_LENGTH
+    ? `${firstLine.slice(0, MAX_TITLE_LENGTH - 1)}…`
+    : firstLine;
+};
+
+// Cuts text without headings into page-sized sections at paragraph breaks,
+// so a long handout can still be picked a part at a time.
+export const splitByLength = (text, maxChars = SECTION_CHARS) => {
+  const sections = [];
+  let current = "";
+  text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .forEach((paragraph) => {
+      if (current && current.length + paragraph.length + 2 > maxChars) {
+        sections.push(current);
+        current = "";
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    });
+  if (current) sections.push(current);
+  return sections;
+};
+
+export const toUnits = (sections, fallbackTitle) =>
+  sections
+    .filter((section) => section.text.trim())
+    .map((section, index) => ({
+      title:
+        section.title ||
+        toSectionTitle(section.text, `${fallbackTitle} ${index + 1}`),
+      text: section.text.trim(),
+    }));
+
+// Sources whose text is known up front. Nothing to OCR or cache; a "page" is
+// one section.
+export const createTextSource = ({ kind, name, fileHash, unitLabel, units }) => {
+  if (!units.length) {
+    throw new Error(`No readable text was found in ${name}.`);
+  }
+  return {
+    kind,
+    name,
+    fileHash,
+    unitLabel,
+    pageCount: units.length,
+    units,
+    pdf: null,
+    supportsOcr: false,
+    readTextLayer: async (pageNumber) => units[pageNumber - 1]?.text || "",
+    renderPage: null,
+  };
+};
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { splitByLength, toSectionTitle, toUnits } from "./sections";
+
+describe("splitByLength", () => {
+  it("cuts at paragraph breaks once a section is full", () => {
+    const paragraphs = ["a".repeat(40), "b".repeat(40), "c".repeat(40)];
+    expect(splitByLength(paragraphs.join("\n\n"), 90)).toEqual([
+      `${paragraphs[0]}\n\n${paragraphs[1]}`,
+      paragraphs[2],
+    ]);
+  });
+
+  it("keeps a paragraph longer than the limit whole", () => {
+    expect(splitByLength("x".repeat(50), 10)).toEqual(["x".repeat(50)]);
+  });
+});
+
+describe("toSectionTitle", () => {
+  it("uses the first non-empty line, shortened", () => {
+    expect(toSectionTitle("\n  Photosynthesis  \nbody", "Section 1")).toBe(
+      "Photosynthesis"
+    );
+    expect(toSectionTitle("y".repeat(80), "Section 1")).toBe(`${"y".repeat(59)}…`);
+    expect(toSectionTitle("   ", "Section 1")).toBe("Section 1");
+  });
+});
+
+describe("toUnits", () => {
+  it("drops empty sections and titles the rest", () => {
+    expect(
+      toUnits([{ text: " " }, { title: "Intro", text: " Hello " }, { text: "Body" }], "Part")
+    ).toEqual([
+      { title: "Intro", text: "Hello" },
+      { title: "Body", text: "Body" },
+    ]);
+  });
+});
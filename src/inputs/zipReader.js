@@ -0,0 +1,95 @@
+// Minimal ZIP reader for EPUB and DOCX uploads. Handles stored and deflated
+// entries through the browser's DecompressionStream; ZIP64 archives and
+// encrypted entries are not supported.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const findEndOfCentralDirectory = (view) => {
+  const stop = Math.max(0, view.byteLength - 22 - MAX_COMMENT_LENGTH);
+  for (let offset = view.byteLength - 22; offset >= stop; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error("This file is not a valid ZIP archive.");
+};
+
+const readEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (offset === 0xffffffff) {
+    throw new Error("ZIP64 archives are not supported.");
+  }
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("The ZIP archive's file list is damaged.");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(
+      bytes.subarray(offset + 46, offset + 46 + nameLength)
+    );
+    entries.set(name, {
+      name,
+      encrypted: Boolean(view.getUint16(offset + 8, true) & 1),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return { view, entries };
+};
+
+const inflateRaw = async (data) => {
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Returns a reader over the archive's entries. Names are the full paths
+// stored in the archive, e.g. "word/document.xml".
+export const openZip = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const { view, entries } = readEntries(bytes);
+
+  const readBytes = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`"${name}" is missing from the archive.`);
+    if (entry.encrypted) {
+      throw new Error(`"${name}" is encrypted and cannot be read.`);
+    }
+    const header = entry.localHeaderOffset;
+    if (view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`"${name}" is damaged in the archive.`);
+    }
+    const start =
+      header +
+      30 +
+      view.getUint16(header + 26, true) +
+      view.getUint16(header + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+    if (entry.method === METHOD_STORED) return data;
+    if (entry.method === METHOD_DEFLATE) return inflateRaw(data);
+    throw new Error(`"${name}" uses an unsupported compression method.`);
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name),
+    readBytes,
+    readText: async (name) => new TextDecoder().decode(await readBytes(name)),
+  };
+};
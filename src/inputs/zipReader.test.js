@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { openZip } from "./zipReader";
+import { createZip } from "../exporters/zip";
+
+const deflateRaw = async (bytes) =>
+  new Uint8Array(
+    await new Response(
+      new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"))
+    ).arrayBuffer()
+  );
+
+// A single-entry archive using deflate, which createZip never writes.
+const createDeflatedZip = async (name, text) => {
+  const nameBytes = new TextEncoder().encode(name);
+  const data = await deflateRaw(new TextEncoder().encode(text));
+
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, data.length, true);
+  local.setUint16(26, nameBytes.length, true);
+
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint16(10, 8, true);
+  central.setUint32(20, data.length, true);
+  central.setUint16(28, nameBytes.length, true);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, 30 + nameBytes.length + data.length, true);
+
+  return new Blob([
+    local.buffer,
+    nameBytes,
+    data,
+    central.buffer,
+    nameBytes,
+    end.buffer,
+  ]).arrayBuffer();
+};
+
+describe("openZip", () => {
+  it("reads stored entries by their full path", async () => {
+    const zip = openZip(
+      await createZip([
+        { name: "mimetype", content: "application/epub+zip" },
+        { name: "OEBPS/अध्याय.xhtml", content: "<p>नमस्ते</p>" },
+      ]).arrayBuffer()
+    );
+
+    expect(zip.names).toEqual(["mimetype", "OEBPS/अध्याय.xhtml"]);
+    expect(zip.has("mimetype")).toBe(true);
+    expect(await zip.readText("OEBPS/अध्याय.xhtml")).toBe("<p>नमस्ते</p>");
+  });
+
+  it("inflates deflated entries", async () => {
+    const text = "word ".repeat(200);
+    const zip = openZip(await createDeflatedZip("word/document.xml", text));
+    expect(await zip.readText("word/document.xml")).toBe(text);
+  });
+
+  it("reports missing entries", async () => {
+    const zip = openZip(await createZip([]).arrayBuffer());
+    await expect(zip.readText("content.opf")).rejects.toThrow(
+      '"content.opf" is missing from the archive.'
+    );
+  });
+
+  it("rejects files that are not ZIP archives", () => {
+    expect(() => openZip(new TextEncoder().encode("x".repeat(100)).buffer)).toThrow(
+      "This file is not a valid ZIP archive."
+    );
+  });
+});
@@ -0,0 +1,155 @@
+// Languages questions can be written in. `ocrCode` is the Tesseract
+// traineddata name, `htmlCode` the BCP 47 tag used in exports, and `script`
+// matches text written in the language's script so untagged questions can
+// still be labelled.
+export const LANGUAGES = [
+  {
+    id: "English",
+    nativeName: "English",
+    scriptName: "Latin",
+    script: /[A-Za-z]/,
+    ocrCode: "eng",
+    htmlCode: "en",
+    rtl: false,
+    promptNotes: "Use clear, natural English suitable for students.",
+  },
+  {
+    id: "Hindi",
+    nativeName: "हिन्दी",
+    scriptName: "Devanagari",
+    script: /[\u0900-\u097F]/,
+    ocrCode: "hin",
+    htmlCode: "hi",
+    rtl: false,
+    promptNotes:
+      "Write in Devanagari script using the vocabulary of Hindi-medium textbooks.",
+  },
+  {
+    id: "Marathi",
+    nativeName: "मराठी",
+    scriptName: "Devanagari",
+    script: /[\u0900-\u097F]/,
+    ocrCode: "mar",
+    htmlCode: "mr",
+    rtl: false,
+    promptNotes:
+      "Write in Devanagari script using Marathi words and grammar; do not substitute Hindi forms.",
+  },
+  {
+    id: "Bengali",
+    nativeName: "বাংলা",
+    scriptName: "Bengali",
+    script: /[\u0980-\u09FF]/,
+    ocrCode: "ben",
+    htmlCode: "bn",
+    rtl: false,
+    promptNotes: "Write in Bengali script, never in romanized Bengali.",
+  },
+  {
+    id: "Tamil",
+    nativeName: "தமிழ்",
+    scriptName: "Tamil",
+    script: /[\u0B80-\u0BFF]/,
+    ocrCode: "tam",
+    htmlCode: "ta",
+    rtl: false,
+    promptNotes: "Write in Tamil script, never in romanized Tamil.",
+  },
+  {
+    id: "Urdu",
+    nativeName: "اردو",
+    scriptName: "Perso-Arabic",
+    script: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/,
+    ocrCode: "urd",
+    htmlCode: "ur",
+    rtl: true,
+    promptNotes:
+      "Write in Urdu using the Perso-Arabic (Nastaliq) script, never in Devanagari or romanized Urdu.",
+  },
+  {
+    id: "Gujarati",
+    nativeName: "ગુજરાતી",
+    scriptName: "Gujarati",
+    script: /[\u0A80-\u0AFF]/,
+    ocrCode: "guj",
+    htmlCode: "gu",
+    rtl: false,
+    promptNotes: "Write in Gujarati script, never in romanized Gujarati.",
+  },
+];
+
+export const OTHER_LANGUAGE = "Other";
+export const DEFAULT_LANGUAGE_PREFERENCE = "Hindi+English";
+
+// Quizzes saved before the registry stored one of these.
+const LEGACY_PREFERENCES = {
+  Bilingual: "Hindi+English",
+};
+
+export const getLanguage = (id) =>
+  LANGUAGES.find(
+    (language) =>
+      language.id.toLowerCase() === String(id ?? "").trim().toLowerCase()
+  ) || null;
+
+// A preference is one language id ("Tamil") or a bilingual pair
+// ("Urdu+English"), with the primary language first. Unknown values read as
+// single-language English, so nothing demands a translation it never asked for.
+export const parseLanguagePreference = (value) => {
+  const preference = LEGACY_PREFERENCES[value] || String(value || "");
+  const [primary, secondary] = preference.split("+").map(getLanguage);
+  if (!primary) return { primary: LANGUAGES[0], secondary: null };
+  return {
+    primary,
+    secondary: secondary && secondary.id !== primary.id ? secondary : null,
+  };
+};
+
+export const toLanguagePreference = (primaryId, secondaryId) =>
+  secondaryId && secondaryId !== primaryId
+    ? `${primaryId}+${secondaryId}`
+    : primaryId;
+
+export const normalizeLanguagePreference = (value) => {
+  const { primary, secondary } = parseLanguagePreference(value);
+  return toLanguagePreference(primary.id, secondary?.id);
+};
+
+export const isBilingualPreference = (value) =>
+  Boolean(parseLanguagePreference(value).secondary);
+
+export const getPreferenceLanguages = (value) => {
+  const { primary, secondary } = parseLanguagePreference(value);
+  return secondary ? [primary, secondary] : [primary];
+};
+
+export const getLanguagePreferenceLabel = (value) => {
+  const { primary, secondary } = parseLanguagePreference(value);
+  return secondary
+    ? `Bilingual (${primary.id} + ${secondary.id})`
+    : `${primary.id} only`;
+};
+
+// Tesseract loads every traineddata named in the code, so only the selected
+// languages are read.
+export const getOcrLanguageCode = (value) =>
+  getPreferenceLanguages(value)
+    .map((language) => language.ocrCode)
+    .join("+");
+
+// Names the language of `text` by its script. Non-Latin scripts win, since
+// English terms often appear in parentheses inside other languages. Scripts
+// shared by several languages (Hindi and Marathi both use Devanagari)
+// resolve to the first match in `candidates`, the quiz's own languages.
+export const detectLanguage = (text, candidates = LANGUAGES) => {
+  const languages = [...candidates, ...LANGUAGES];
+  const match =
+    languages.find(
+      (language) => language.scriptName !== "Latin" && language.script.test(text)
+    ) || languages.find((language) => language.script.test(text));
+  return match ? match.id : OTHER_LANGUAGE;
+};
+
+export const getLanguageCode = (id) => getLanguage(id)?.htmlCode || "und";
+
+export const getTextDirection = (id) => (getLanguage(id)?.rtl ? "rtl" : "ltr");
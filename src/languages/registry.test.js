@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  detectLanguage,
+  getLanguage,
+  getLanguageCode,
+  getLanguagePreferenceLabel,
+  getOcrLanguageCode,
+  getTextDirection,
+  isBilingualPreference,
+  normalizeLanguagePreference,
+  parseLanguagePreference,
+  toLanguagePreference,
+} from "./registry";
+
+const ids = ({ primary, secondary }) => [primary.id, secondary?.id ?? null];
+
+describe("parseLanguagePreference", () => {
+  it.each([
+    ["Tamil", ["Tamil", null]],
+    ["Urdu+English", ["Urdu", "English"]],
+    ["urdu+english", ["Urdu", "English"]],
+    ["Bilingual", ["Hindi", "English"]],
+    ["Hindi+Hindi", ["Hindi", null]],
+    ["Hindi+Klingon", ["Hindi", null]],
+    ["Klingon", ["English", null]],
+    [undefined, ["English", null]],
+  ])("reads %j", (value, expected) => {
+    expect(ids(parseLanguagePreference(value))).toEqual(expected);
+  });
+});
+
+describe("preference helpers", () => {
+  it("builds and normalizes preferences", () => {
+    expect(toLanguagePreference("Marathi", "English")).toBe("Marathi+English");
+    expect(toLanguagePreference("Marathi", "Marathi")).toBe("Marathi");
+    expect(toLanguagePreference("Marathi", "")).toBe("Marathi");
+    expect(normalizeLanguagePreference("Bilingual")).toBe("Hindi+English");
+    expect(normalizeLanguagePreference("bengali")).toBe("Bengali");
+  });
+
+  it("labels preferences and picks OCR languages", () => {
+    expect(isBilingualPreference("Gujarati+English")).toBe(true);
+    expect(isBilingualPreference("Gujarati")).toBe(false);
+    expect(getLanguagePreferenceLabel("Gujarati+English")).toBe(
+      "Bilingual (Gujarati + English)"
+    );
+    expect(getLanguagePreferenceLabel("Tamil")).toBe("Tamil only");
+    expect(getOcrLanguageCode("Urdu+English")).toBe("urd+eng");
+    expect(getOcrLanguageCode("Bengali")).toBe("ben");
+  });
+
+  it("maps languages to HTML codes and text direction", () => {
+    expect(getLanguage(" hindi ").id).toBe("Hindi");
+    expect(getLanguageCode("Marathi")).toBe("mr");
+    expect(getLanguageCode("Other")).toBe("und");
+    expect(getTextDirection("Urdu")).toBe("rtl");
+    expect(getTextDirection("Tamil")).toBe("ltr");
+  });
+});
+
+describe("detectLanguage", () => {
+  it.each([
+    ["What is a cell?", "English"],
+    ["कोशिका क्या है?", "Hindi"],
+    ["কোষ কী?", "Bengali"],
+    ["செல் என்றால் என்ன?", "Tamil"],
+    ["خلیہ کیا ہے؟", "Urdu"],
+    ["કોષ શું છે?", "Gujarati"],
+    ["123 ?", "Other"],
+  ])("detects %j as %s", (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+
+  it("prefers the non-Latin script in mixed text", () => {
+    expect(detectLanguage("प्रकाश संश्लेषण (Photosynthesis) क्या है?")).toBe(
+      "Hindi"
+    );
+  });
+
+  it("resolves a shared script to the quiz's own language", () => {
+    const text = "पेशी म्हणजे काय?";
+    expect(detectLanguage(text)).toBe("Hindi");
+    expect(
+      detectLanguage(text, [getLanguage("Marathi"), getLanguage("English")])
+    ).toBe("Marathi");
+  });
+});
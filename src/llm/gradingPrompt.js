@@ -0,0 +1,53 @@
+import { jsonrepair } from "jsonrepair";
+
+export const buildGradingPrompt = (question, studentAnswer) => `
+  You are grading a student's short answer to a study question.
+  Compare the student's answer with the reference answer and the source context. Judge meaning, not wording: accept paraphrases, answers written in another language, and minor spelling mistakes.
+
+  Rubric (score from 0 to 10):
+  - 10: complete and accurate, covers every key point of the reference answer.
+  - 6-9: mostly correct but misses a detail or is imprecise.
+  - 1-5: partially related but misses the main point.
+  - 0: wrong, off-topic or empty.
+
+  Reply strictly as a JSON object with this format:
+  {
+    "score": 0,
+    "feedback": "One or two sentences, addressed to the student, explaining what was right and what was missing. Write it in the language of the question."
+  }
+
+  QUESTION: ${question.question}
+  REFERENCE ANSWER: ${question.answer}${
+    question.answerTranslation
+      ? `\n  REFERENCE ANSWER (${question.translationLanguage || "translated"}): ${question.answerTranslation}`
+      : ""
+  }
+  SOURCE CONTEXT: ${question.context || "None"}
+  STUDENT ANSWER: ${studentAnswer}
+`;
+
+export const parseGradingResponse = (generatedText) => {
+  const cleanedText = generatedText
+    .replace(/```json/gi, "")
+    .replace(/```/g, "")
+    .trim();
+  const jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
+  const jsonPayload = jsonMatch ? jsonMatch[0] : cleanedText;
+
+  let result;
+  try {
+    result = JSON.parse(jsonrepair(jsonPayload));
+  } catch {
+    throw new Error("The grading response was not valid JSON. Please try again.");
+  }
+
+  const rawScore = Number(result?.score);
+  if (!Number.isFinite(rawScore)) {
+    throw new Error("The grading response did not include a score.");
+  }
+
+  return {
+    score: Math.min(10, Math.max(0, rawScore)) / 10,
+    feedback: String(result.feedback || "").trim(),
+  };
+};
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { parseGradingResponse } from "./gradingPrompt";
+
+describe("parseGradingResponse", () => {
+  it("reads a fenced JSON score out of ten", () => {
+    expect(
+      parseGradingResponse(
+        'Here you go:\n```json\n{"score": 7, "feedback": " Mostly right. "}\n```'
+      )
+    ).toEqual({ score: 0.7, feedback: "Mostly right." });
+  });
+
+  it("clamps scores outside 0-10", () => {
+    expect(parseGradingResponse('{"score": 14}').score).toBe(1);
+    expect(parseGradingResponse('{"score": -2}').score).toBe(0);
+  });
+
+  it("rejects a response without a score", () => {
+    expect(() => parseGradingResponse('{"feedback": "Good"}')).toThrow(
+      "The grading response did not include a score."
+    );
+  });
+});
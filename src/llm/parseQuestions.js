@@ -0,0 +1,33 @@
+import { jsonrepair } from "jsonrepair";
+
+export const parseQuestionsResponse = (generatedText) => {
+  const cleanedText = generatedText
+    .replace(/```json/gi, "")
+    .replace(/```/g, "")
+    .trim();
+
+  const jsonMatch = cleanedText.match(/\[[\s\S]*\]/);
+  const jsonPayload = jsonMatch ? jsonMatch[0] : cleanedText;
+
+  let parsedQuestions;
+
+  try {
+    parsedQuestions = JSON.parse(jsonPayload);
+  } catch {
+    try {
+      parsedQuestions = JSON.parse(jsonrepair(jsonPayload));
+    } catch {
+      throw new Error(
+        "The model response was not valid JSON, even after repair. Try a smaller page range or adjust your prompt."
+      );
+    }
+  }
+
+  if (!Array.isArray(parsedQuestions)) {
+    throw new Error(
+      "The model response format was invalid. Please try regenerating."
+    );
+  }
+
+  return parsedQuestions;
+};
@@ -0,0 +1,267 @@
+const firstValue = (...values) =>
+  values.map((value) => value?.trim()).find(Boolean) || "";
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+export const LLM_PROVIDERS = [
+  {
+    id: "gemini",
+    label: "Google Gemini",
+    acceptsApiKey: true,
+    requiresApiKey: true,
+    defaultModel: firstValue(
+      import.meta.env.VITE_GEMINI_MODEL,
+      import.meta.env.VITE_GEMINI_MODEL_NAME,
+      "gemini-2.0-flash"
+    ),
+    defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    defaultApiKey: firstValue(import.meta.env.VITE_GEMINI_API_KEY),
+    apiKeyEnv: "VITE_GEMINI_API_KEY",
+    streamFormat: "sse",
+    buildRequest: ({ prompt, model, apiKey, baseUrl, stream }) => ({
+      url: stream
+        ? `${baseUrl}/models/${model}:streamGenerateContent?alt=sse`
+        : `${baseUrl}/models/${model}:generateContent`,
+      init: {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-goog-api-key": apiKey,
+        },
+        body: JSON.stringify({
+          contents: [
+            {
+              role: "user",
+              parts: [{ text: prompt }],
+            },
+          ],
+          generationConfig: {
+            responseMimeType: "application/json",
+          },
+        }),
+      },
+    }),
+    extractText: (data) =>
+      data?.candidates?.[0]?.content?.parts?.[0]?.text || "",
+    // Each streamed event is a partial response with the same shape.
+    extractStreamText: (data) =>
+      data?.candidates?.[0]?.content?.parts?.[0]?.text || "",
+    extractError: (data) => data?.error?.message,
+  },
+  {
+    id: "openai",
+    label: "OpenAI-compatible",
+    // Local OpenAI-compatible servers such as llama.cpp run without a key;
+    // the Authorization header is only sent when one is set.
+    acceptsApiKey: true,
+    requiresApiKey: false,
+    defaultModel: firstValue(import.meta.env.VITE_OPENAI_MODEL, "gpt-4o-mini"),
+    defaultBaseUrl: firstValue(
+      import.meta.env.VITE_OPENAI_BASE_URL,
+      "https://api.openai.com/v1"
+    ),
+    defaultApiKey: firstValue(import.meta.env.VITE_OPENAI_API_KEY),
+    apiKeyEnv: "VITE_OPENAI_API_KEY",
+    streamFormat: "sse",
+    buildRequest: ({ prompt, model, apiKey, baseUrl, stream }) => ({
+      url: `${baseUrl}/chat/completions`,
+      init: {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          ...(stream ? { stream: true } : {}),
+        }),
+      },
+    }),
+    extractText: (data) => data?.choices?.[0]?.message?.content || "",
+    extractStreamText: (data) => data?.choices?.[0]?.delta?.content || "",
+    extractError: (data) =>
+      typeof data?.error === "string" ? data.error : data?.error?.message,
+  },
+  {
+    // Speaks the Ollama chat API. llama.cpp's server exposes an
+    // OpenAI-compatible endpoint instead, so use that provider with
+    // http://localhost:8080/v1 as the base URL.
+    id: "local",
+    label: "Local server (Ollama)",
+    acceptsApiKey: false,
+    requiresApiKey: false,
+    defaultModel: firstValue(import.meta.env.VITE_LOCAL_LLM_MODEL, "llama3.1"),
+    defaultBaseUrl: firstValue(
+      import.meta.env.VITE_LOCAL_LLM_URL,
+      "http://localhost:11434"
+    ),
+    defaultApiKey: "",
+    streamFormat: "ndjson",
+    buildRequest: ({ prompt, model, baseUrl, stream }) => ({
+      url: `${baseUrl}/api/chat`,
+      init: {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          format: "json",
+          stream: Boolean(stream),
+        }),
+      },
+    }),
+    extractText: (data) => data?.message?.content || "",
+    extractStreamText: (data) => data?.message?.content || "",
+    extractError: (data) => data?.error,
+  },
+];
+
+export const getProvider = (providerId) =>
+  LLM_PROVIDERS.find((provider) => provider.id === providerId) ||
+  LLM_PROVIDERS[0];
+
+export const getDefaultProviderConfig = (providerId) => {
+  const provider = getProvider(providerId);
+  return {
+    providerId: provider.id,
+    model: provider.defaultModel,
+    baseUrl: provider.defaultBaseUrl,
+    apiKey: provider.defaultApiKey,
+  };
+};
+
+export const getProviderConfigError = (config) => {
+  const provider = getProvider(config.providerId);
+  if (!config.model?.trim()) {
+    return `Enter a model name for ${provider.label}.`;
+  }
+  if (!config.baseUrl?.trim()) {
+    return `Enter the base URL of your ${provider.label} server.`;
+  }
+  if (provider.requiresApiKey && !config.apiKey?.trim()) {
+    return `${provider.label} API key is missing. Enter it in the settings card or add ${provider.apiKeyEnv} to your .env file.`;
+  }
+  return "";
+};
+
+const getUnexpectedResponseError = (provider, response, data) => {
+  const apiMessage =
+    provider.extractError(data) ||
+    `${provider.label} returned an unexpected response. Please verify your API key, base URL and model name.`;
+  return new Error(`${provider.label} ${response.status}: ${apiMessage}`);
+};
+
+const getEmptyResponseError = (provider) =>
+  new Error(
+    `${provider.label} returned an empty response. Try reducing the page range or switching to a different model.`
+  );
+
+const sendRequest = async (config, prompt, { signal, stream = false }) => {
+  const provider = getProvider(config.providerId);
+  const { url, init } = provider.buildRequest({
+    prompt,
+    model: config.model.trim(),
+    apiKey: config.apiKey?.trim() || "",
+    baseUrl: trimTrailingSlash(config.baseUrl.trim()),
+    stream,
+  });
+  const response = await fetch(url, { ...init, signal });
+  return { provider, response };
+};
+
+export const generateText = async (config, prompt, { signal } = {}) => {
+  const { provider, response } = await sendRequest(config, prompt, { signal });
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || !data) {
+    throw getUnexpectedResponseError(provider, response, data);
+  }
+
+  const generatedText = provider.extractText(data);
+
+  if (!generatedText) {
+    throw getEmptyResponseError(provider);
+  }
+
+  return generatedText;
+};
+
+// Calls `onEvent` with the JSON payload of each streamed event: `data:`
+// lines for server-sent events, or one object per line for newline-delimited
+// JSON.
+const readStreamEvents = async (body, format, onEvent) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    const payload =
+      format === "sse"
+        ? trimmed.startsWith("data:") && trimmed.slice(5).trim()
+        : trimmed;
+    if (!payload || payload === "[DONE]") return;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    onEvent(event);
+  };
+
+  // Closes the connection when `onEvent` throws on an error event.
+  let finished = false;
+  try {
+    let buffer = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    finished = true;
+    handleLine(buffer);
+  } finally {
+    if (!finished) {
+      reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+};
+
+// Like generateText, but asks for a streamed response and calls `onText`
+// with everything received so far each time a piece arrives.
+export const streamText = async (
+  config,
+  prompt,
+  { signal, onText = () => {} } = {}
+) => {
+  const { provider, response } = await sendRequest(config, prompt, {
+    signal,
+    stream: true,
+  });
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => null);
+    throw getUnexpectedResponseError(provider, response, data);
+  }
+
+  let generatedText = "";
+  await readStreamEvents(response.body, provider.streamFormat, (event) => {
+    const apiMessage = provider.extractError(event);
+    if (apiMessage) {
+      throw new Error(`${provider.label} ${response.status}: ${apiMessage}`);
+    }
+    const piece = provider.extractStreamText(event);
+    if (!piece) return;
+    generatedText += piece;
+    onText(generatedText);
+  });
+
+  if (!generatedText) {
+    throw getEmptyResponseError(provider);
+  }
+
+  return generatedText;
+};
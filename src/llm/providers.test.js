@@ -0,0 +1,142 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  getDefaultProviderConfig,
+  getProviderConfigError,
+  streamText,
+} from "./providers";
+
+const config = { ...getDefaultProviderConfig("openai"), apiKey: "test-key" };
+
+// A response body that delivers `chunks` one at a time and records whether
+// the reader cancelled it.
+const streamedResponse = (chunks) => {
+  const state = { cancelled: false };
+  const body = new ReadableStream({
+    pull(controller) {
+      if (chunks.length) {
+        controller.enqueue(new TextEncoder().encode(chunks.shift()));
+      } else {
+        controller.close();
+      }
+    },
+    cancel() {
+      state.cancelled = true;
+    },
+  });
+  return { response: new Response(body, { status: 200 }), state };
+};
+
+const sse = (event) => `data: ${JSON.stringify(event)}\n\n`;
+const delta = (content) => sse({ choices: [{ delta: { content } }] });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("getProviderConfigError", () => {
+  it("requires a model, a base URL and, for Gemini, an API key", () => {
+    const gemini = { ...getDefaultProviderConfig("gemini"), apiKey: "" };
+    expect(getProviderConfigError({ ...gemini, model: " " })).toBe(
+      "Enter a model name for Google Gemini."
+    );
+    expect(getProviderConfigError({ ...gemini, baseUrl: "" })).toBe(
+      "Enter the base URL of your Google Gemini server."
+    );
+    expect(getProviderConfigError(gemini)).toBe(
+      "Google Gemini API key is missing. Enter it in the settings card or add VITE_GEMINI_API_KEY to your .env file."
+    );
+    expect(getProviderConfigError({ ...gemini, apiKey: "key" })).toBe("");
+  });
+
+  it("lets OpenAI-compatible and Ollama servers run without a key", () => {
+    expect(
+      getProviderConfigError({
+        ...getDefaultProviderConfig("openai"),
+        baseUrl: "http://localhost:8080/v1",
+        apiKey: "",
+      })
+    ).toBe("");
+    expect(
+      getProviderConfigError({ ...getDefaultProviderConfig("local"), apiKey: "" })
+    ).toBe("");
+  });
+});
+
+describe("streamText", () => {
+  it("joins streamed pieces split across chunks", async () => {
+    const { response } = streamedResponse([
+      delta("[{"),
+      delta('"a": 1}]').slice(0, 10),
+      `${delta('"a": 1}]').slice(10)}data: [DONE]\n\n`,
+    ]);
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response));
+    const seen = [];
+
+    const text = await streamText(config, "prompt", {
+      onText: (textSoFar) => seen.push(textSoFar),
+    });
+
+    expect(text).toBe('[{"a": 1}]');
+    expect(seen).toEqual(["[{", '[{"a": 1}]']);
+    expect(fetch).toHaveBeenCalledWith(
+      "https://api.openai.com/v1/chat/completions",
+      expect.objectContaining({ method: "POST" })
+    );
+  });
+
+  it("cancels the response stream when an error event arrives", async () => {
+    const { response, state } = streamedResponse([
+      delta("[{"),
+      sse({ error: { message: "Rate limit reached" } }),
+      delta("never read"),
+    ]);
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response));
+
+    await expect(streamText(config, "prompt")).rejects.toThrow(
+      "OpenAI-compatible 200: Rate limit reached"
+    );
+    expect(state.cancelled).toBe(true);
+  });
+
+  it("rejects a stream without any text", async () => {
+    const { response } = streamedResponse(["data: [DONE]\n\n"]);
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response));
+
+    await expect(streamText(config, "prompt")).rejects.toThrow(
+      "OpenAI-compatible returned an empty response."
+    );
+  });
+
+  it("reads server-sent events, skipping comments and other fields", async () => {
+    const { response } = streamedResponse([
+      ": keep-alive\nevent: message\n",
+      `${delta("Hello")}${delta(", ").trimEnd()}`,
+      `\nretry: 100\n${delta("world").trimEnd()}`,
+    ]);
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response));
+
+    expect(await streamText(config, "prompt")).toBe("Hello, world");
+  });
+
+  it("reads newline-delimited JSON from Ollama", async () => {
+    const line = (content, done = false) =>
+      `${JSON.stringify({ message: { content }, done })}\n`;
+    const { response } = streamedResponse([
+      line("[{"),
+      `${line('"a": 1')}${line("}]").slice(0, 5)}`,
+      `${line("}]").slice(5)}${line("", true).trimEnd()}`,
+    ]);
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response));
+
+    expect(
+      await streamText(
+        { ...getDefaultProviderConfig("local"), apiKey: "" },
+        "prompt"
+      )
+    ).toBe('[{"a": 1}]');
+    expect(fetch).toHaveBeenCalledWith(
+      "http://localhost:11434/api/chat",
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  getLanguagePreferenceLabel,
+  getPreferenceLanguages,
+  OTHER_LANGUAGE,
+  parseLanguagePreference,
+} from "../languages/registry";
+
+const getSingleLanguageInstruction = (language) => `
+    Language preference: ${language.id} only.
+    - Every question, option, answer, and explanation must be written entirely in natural, student-friendly ${language.id}. ${language.promptNotes}
+    - When the source passage is in another language, translate the meaning into idiomatic ${language.id} while preserving the nuance and technical vocabulary. If a concept lacks a standard ${language.id} term, include the original term in parentheses.
+    - Always include a short quote from the original language in "context" followed by a ${language.id} explanation so the learner can trace the source.
+    - Never include sentences in other languages in the question, options, or answer fields when ${language.id} is requested.
+    - Set "questionTranslation", "optionsTranslation", "answerTranslation", and "contextTranslation" to null when ${language.id}-only.
+  `;
+
+const getBilingualInstruction = (primary, secondary) => `
+    Language preference: Bilingual (${primary.id} + ${secondary.id}).
+    - For every question you produce, provide two versions of the same question: one in ${primary.id} and one in ${secondary.id}. Both versions must convey the same meaning, level of detail, and tone.
+    - ${primary.id}: ${primary.promptNotes}
+    - ${secondary.id}: ${secondary.promptNotes}
+    - Use the "question" field for the version that best matches the original source snippet (${primary.id} when the source is in neither language), and ALWAYS include a faithful translation in the other language using the "questionTranslation" field. Ensure the translation is fluent, not word-for-word.
+    - Populate "translationLanguage" with the language used in "questionTranslation" ("${primary.id}" or "${secondary.id}").
+    - Write "options", "answer", and "context" in the language of the primary "question", and translate each of them into the language of "questionTranslation": "optionsTranslation" holds one translated option per entry of "options" in the same order, "answerTranslation" the translated answer, and "contextTranslation" the translated context. A learner reading only the translated fields must be able to answer the question.
+    - Every object MUST include both languages when bilingual mode is selected.
+  `;
+
+const getLanguageInstruction = (languagePreference) => {
+  const { primary, secondary } = parseLanguagePreference(languagePreference);
+  return secondary
+    ? getBilingualInstruction(primary, secondary)
+    : getSingleLanguageInstruction(primary);
+};
+
+const formatAvoidList = (questions) => {
+  if (!questions.length) return "";
+  return `
+  These questions were already generated for this text. Do NOT repeat them or ask about the same fact in different words; cover other details instead:
+  ${questions.map((question, index) => `${index + 1}. ${question.question}`).join("\n  ")}
+  `;
+};
+
+export const buildQuestionPrompt = ({
+  text,
+  pageLabel,
+  count,
+  difficulty,
+  questionType,
+  languagePreference,
+  avoidQuestions = [],
+}) => {
+  const languageIds = getPreferenceLanguages(languagePreference).map(
+    (language) => language.id
+  );
+  return `
+  Analyze the following text from a book (pages ${pageLabel}).
+  Detect the languages present (focus on ${languageIds.join(" and ")}, but allow others).
+  The user selected: ${getLanguagePreferenceLabel(languagePreference)}.
+  Generate ${count} ${difficulty} difficulty questions.
+  You MUST return exactly ${count} question objects (no more, no less) unless there is literally no textual detail available; if the text feels repetitive, focus on finer-grained concepts rather than reducing the count. If absolutely impossible, provide your best attempt but still include a note in the "context" field explaining why the detail was limited.
+  ${getLanguageInstruction(languagePreference)}
+  The questions should be of type: ${questionType}.
+  ${formatAvoidList(avoidQuestions)}
+
+  Return the output strictly as a JSON array of objects with this format:
+  [
+    {
+      "question": "Primary question text in the language indicated by 'language'",
+      "questionTranslation": "Translated question text in the complementary language (must be filled when bilingual is requested, otherwise null)",
+      "translationLanguage": "${languageIds.join(" | ")} | null",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "optionsTranslation": ["Translated option A", "Translated option B", "Translated option C", "Translated option D"],
+      "answer": "Correct answer text (match one of the options exactly for MCQs)",
+      "answerTranslation": "The answer in the language of 'questionTranslation' (the translated option for MCQs), or null",
+      "context": "A brief quote or concept from the text; include the original-language snippet plus a short explanation in the output language when translating",
+      "contextTranslation": "The context explanation in the language of 'questionTranslation', or null",
+      "type": "Multiple Choice | Short Answer",
+      "language": "${languageIds.join(" | ")} | ${OTHER_LANGUAGE}",
+      "page": 12
+    }
+  ]
+
+  Every page of the text starts with a "--- Page N ---" marker. Set "page" to the number N of the page the "context" was taken from.
+
+  If the text is too short or nonsensical, return an empty array.
+
+  TEXT CONTENT:
+  ${text}
+`;
+};
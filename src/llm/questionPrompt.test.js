@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { buildQuestionPrompt } from "./questionPrompt";
+
+const build = (languagePreference) =>
+  buildQuestionPrompt({
+    text: "Cells are the basic unit of life.",
+    pageLabel: "3-4",
+    count: 5,
+    difficulty: "Easy",
+    questionType: "Mixed",
+    languagePreference,
+  });
+
+describe("buildQuestionPrompt", () => {
+  it("asks for a single language with its writing notes", () => {
+    const prompt = build("Tamil");
+    expect(prompt).toContain("The user selected: Tamil only.");
+    expect(prompt).toContain("Language preference: Tamil only.");
+    expect(prompt).toContain("Write in Tamil script, never in romanized Tamil.");
+    expect(prompt).not.toContain("Bilingual (");
+  });
+
+  it("asks for both languages of a bilingual pair", () => {
+    const prompt = build("Urdu+English");
+    expect(prompt).toContain("Language preference: Bilingual (Urdu + English).");
+    expect(prompt).toContain("focus on Urdu and English");
+    expect(prompt).toContain('"translationLanguage": "Urdu | English | null"');
+    expect(prompt).toContain("Perso-Arabic (Nastaliq) script");
+  });
+});
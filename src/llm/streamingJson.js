@@ -0,0 +1,58 @@
+import { jsonrepair } from "jsonrepair";
+
+const parseItem = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    try {
+      return JSON.parse(jsonrepair(text));
+    } catch {
+      return null;
+    }
+  }
+};
+
+// Pulls complete objects out of a JSON array while it is still arriving.
+// `push` takes the whole text received so far and returns the items that
+// were completed since the last call; scanning resumes where it stopped, so
+// a long response is only read once. Items are the objects directly inside
+// the first array found, so a wrapper like `{"questions": [...]}` and text
+// before the array, such as a ```json fence, are skipped.
+export const createArrayItemParser = () => {
+  let position = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let itemDepth = null;
+  let itemStart = -1;
+
+  const push = (text) => {
+    const items = [];
+    for (; position < text.length; position++) {
+      const char = text[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') {
+        if (depth > 0) inString = true;
+      } else if (char === "[" || char === "{") {
+        if (char === "[" && itemDepth === null) itemDepth = depth + 1;
+        if (char === "{" && depth === itemDepth) itemStart = position;
+        depth += 1;
+      } else if (char === "]" || char === "}") {
+        depth = Math.max(0, depth - 1);
+        if (char === "}" && depth === itemDepth && itemStart >= 0) {
+          const item = parseItem(text.slice(itemStart, position + 1));
+          if (item) items.push(item);
+          itemStart = -1;
+        }
+      }
+    }
+    return items;
+  };
+
+  return { push };
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { createArrayItemParser } from "./streamingJson";
+
+// Feeds `text` to a parser in pieces of `size` characters, the way a
+// streamed response arrives, and collects every item it returns.
+const parseInPieces = (text, size) => {
+  const parser = createArrayItemParser();
+  const items = [];
+  for (let end = size; end < text.length + size; end += size) {
+    items.push(...parser.push(text.slice(0, end)));
+  }
+  return items;
+};
+
+const response = `\`\`\`json
+[
+  {"question": "Who wrote \\"Godan\\"?", "options": ["Premchand", "Tagore"], "answer": "Premchand"},
+  {"question": "Which bracket closes an array: ] or }?", "answer": "]"}
+]
+\`\`\``;
+
+describe("createArrayItemParser", () => {
+  it.each([1, 7, 1000])("returns each item once, in pieces of %i", (size) => {
+    expect(parseInPieces(response, size)).toEqual([
+      {
+        question: 'Who wrote "Godan"?',
+        options: ["Premchand", "Tagore"],
+        answer: "Premchand",
+      },
+      { question: "Which bracket closes an array: ] or }?", answer: "]" },
+    ]);
+  });
+
+  it("returns an item as soon as it is complete", () => {
+    const parser = createArrayItemParser();
+    expect(parser.push('[{"a": 1}, {"b"')).toEqual([{ a: 1 }]);
+    expect(parser.push('[{"a": 1}, {"b": 2}')).toEqual([{ b: 2 }]);
+    expect(parser.push('[{"a": 1}, {"b": 2}]')).toEqual([]);
+  });
+
+  it("reads the array inside a wrapper object", () => {
+    const parser = createArrayItemParser();
+    expect(
+      parser.push('{"questions": [{"q": "one"}, {"q": "two"}], "note": {"x": 1}}')
+    ).toEqual([{ q: "one" }, { q: "two" }]);
+  });
+
+  it("repairs items with trailing commas and skips unreadable ones", () => {
+    const parser = createArrayItemParser();
+    expect(parser.push('[{"a": 1,}, {"b": 2}]')).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+});
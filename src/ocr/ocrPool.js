@@ -0,0 +1,135 @@
+import Tesseract from "tesseract.js";
+
+const MAX_POOL_SIZE = 4;
+
+// Workers are expensive to start (each loads the language data), so they are
+// kept for the session and only rebuilt when the OCR language changes.
+let pool = null;
+
+export const getOcrPoolSize = () =>
+  Math.max(
+    1,
+    Math.min(MAX_POOL_SIZE, (globalThis.navigator?.hardwareConcurrency || 2) - 1)
+  );
+
+const createSlot = async (language) => {
+  const slot = { worker: null, onProgress: null };
+  slot.worker = await Tesseract.createWorker(language, 1, {
+    logger: (message) => {
+      if (message.status === "recognizing text") {
+        slot.onProgress?.(message.progress);
+      }
+    },
+  });
+  return slot;
+};
+
+const terminateSlots = (slots) =>
+  Promise.all(slots.map((slot) => slot.worker.terminate()));
+
+const createPool = async (language) => {
+  const results = await Promise.allSettled(
+    Array.from({ length: getOcrPoolSize() }, () => createSlot(language))
+  );
+  const slots = results
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value);
+  if (!slots.length) {
+    throw new Error(
+      "The OCR engine failed to start. Please check your connection and try again."
+    );
+  }
+  return slots;
+};
+
+const getPool = (language) => {
+  if (!pool || pool.language !== language) {
+    pool?.ready.then(terminateSlots).catch(() => {});
+    const ready = createPool(language);
+    pool = { language, ready };
+    ready.catch(() => {
+      if (pool?.ready === ready) pool = null;
+    });
+  }
+  return pool.ready;
+};
+
+export const terminateOcrPool = async () => {
+  const current = pool;
+  pool = null;
+  if (current) {
+    await current.ready.then(terminateSlots).catch(() => {});
+  }
+};
+
+// Tesseract never settles jobs on a terminated worker, so in-flight work is
+// raced against the abort signal instead. The listener is removed once the
+// job settles, so a long run does not pile them up on one signal.
+const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() =>
+    signal.removeEventListener("abort", onAbort)
+  );
+};
+
+// Recognizes pages concurrently, one page per worker at a time. `renderPage`
+// is called just before a page is recognized so only a few canvases exist at
+// once. Resolves to a Map of page number to `{ text, confidence }`, with
+// empty text when a page fails. `onPageResult` sees each page as it finishes,
+// so work done before a cancel is not lost.
+export const recognizePages = async ({
+  pageNumbers,
+  language,
+  renderPage,
+  onPageProgress = () => {},
+  onPageResult = () => {},
+  signal,
+}) => {
+  signal?.throwIfAborted();
+  const slots = await abortable(getPool(language), signal);
+  const queue = [...pageNumbers];
+  const results = new Map();
+
+  // Stop the workers' CPU work straight away; they are recreated on next use.
+  const stopWorkers = () => terminateOcrPool();
+  signal?.addEventListener("abort", stopWorkers, { once: true });
+
+  const runSlot = async (slot) => {
+    while (queue.length) {
+      signal?.throwIfAborted();
+      const pageNumber = queue.shift();
+      let canvas = null;
+      try {
+        canvas = await renderPage(pageNumber);
+        slot.onProgress = (progress) => onPageProgress(pageNumber, progress);
+        const { data } = await abortable(slot.worker.recognize(canvas), signal);
+        results.set(pageNumber, {
+          text: data?.text?.trim() || "",
+          confidence: Math.round(data?.confidence ?? 0),
+        });
+        onPageResult(pageNumber, results.get(pageNumber));
+      } catch (err) {
+        signal?.throwIfAborted();
+        console.error(`OCR failed on page ${pageNumber}:`, err);
+        results.set(pageNumber, { text: "", confidence: 0 });
+      } finally {
+        slot.onProgress = null;
+        canvas?.remove();
+      }
+      onPageProgress(pageNumber, 1);
+    }
+  };
+
+  try {
+    await Promise.all(slots.map(runSlot));
+  } finally {
+    signal?.removeEventListener("abort", stopWorkers);
+  }
+  return results;
+};
@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import Tesseract from "tesseract.js";
+import { recognizePages, terminateOcrPool } from "./ocrPool";
+
+vi.mock("tesseract.js", () => ({ default: { createWorker: vi.fn() } }));
+
+let workers;
+let running;
+let maxRunning;
+
+const createFakeWorker = async (language, _oem, { logger }) => {
+  const worker = {
+    language,
+    recognize: vi.fn(async (canvas) => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      logger({ status: "recognizing text", progress: 0.5 });
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running -= 1;
+      if (canvas.page === 3) throw new Error("Recognition failed");
+      return { data: { text: ` Page ${canvas.page} text \n`, confidence: 91.6 } };
+    }),
+    terminate: vi.fn(async () => {}),
+  };
+  workers.push(worker);
+  return worker;
+};
+
+const renderPage = async (page) => ({ page, remove: vi.fn() });
+
+beforeEach(() => {
+  workers = [];
+  running = 0;
+  maxRunning = 0;
+  vi.stubGlobal("navigator", { hardwareConcurrency: 3 });
+  Tesseract.createWorker.mockReset();
+  Tesseract.createWorker.mockImplementation(createFakeWorker);
+});
+
+afterEach(async () => {
+  await terminateOcrPool();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("recognizePages", () => {
+  it("recognizes pages concurrently with per-page progress", async () => {
+    const progress = [];
+    const finished = [];
+
+    const results = await recognizePages({
+      pageNumbers: [1, 2, 4, 5],
+      language: "eng",
+      renderPage,
+      onPageProgress: (page, value) => progress.push([page, value]),
+      onPageResult: (page) => finished.push(page),
+    });
+
+    expect(workers).toHaveLength(2);
+    expect(maxRunning).toBe(2);
+    expect(results.get(1)).toEqual({ text: "Page 1 text", confidence: 92 });
+    expect([...results.keys()].sort()).toEqual([1, 2, 4, 5]);
+    expect(finished.sort()).toEqual([1, 2, 4, 5]);
+    expect(progress).toContainEqual([4, 0.5]);
+    expect(progress).toContainEqual([4, 1]);
+  });
+
+  it("leaves a failed page empty and carries on", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const results = await recognizePages({
+      pageNumbers: [2, 3, 4],
+      language: "eng",
+      renderPage,
+    });
+
+    expect(results.get(3)).toEqual({ text: "", confidence: 0 });
+    expect(results.get(4).text).toBe("Page 4 text");
+  });
+
+  it("reuses the workers and rebuilds them for a new language", async () => {
+    await recognizePages({ pageNumbers: [1], language: "eng", renderPage });
+    await recognizePages({ pageNumbers: [2], language: "eng", renderPage });
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(2);
+
+    await recognizePages({ pageNumbers: [1], language: "hin+eng", renderPage });
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(4);
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(workers[2].language).toBe("hin+eng");
+  });
+
+  it("stops the workers and keeps finished pages when cancelled", async () => {
+    const controller = new AbortController();
+    const removeListener = vi.spyOn(controller.signal, "removeEventListener");
+    const finished = [];
+
+    const run = recognizePages({
+      pageNumbers: [1, 2, 4, 5, 6],
+      language: "eng",
+      renderPage,
+      onPageResult: (page) => {
+        finished.push(page);
+        controller.abort();
+      },
+      signal: controller.signal,
+    });
+
+    await expect(run).rejects.toMatchObject({ name: "AbortError" });
+    expect(finished).toEqual([1]);
+    expect(workers.every((worker) => worker.terminate.mock.calls.length)).toBe(
+      true
+    );
+    expect(removeListener).toHaveBeenCalledWith("abort", expect.any(Function));
+  });
+
+  it("fails clearly when no worker starts", async () => {
+    Tesseract.createWorker.mockRejectedValue(new Error("Network error"));
+
+    await expect(
+      recognizePages({ pageNumbers: [1], language: "eng", renderPage })
+    ).rejects.toThrow("The OCR engine failed to start.");
+  });
+});
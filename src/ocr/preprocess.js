@@ -0,0 +1,74 @@
+export const PREPROCESSING_MODES = {
+  none: "none",
+  grayscale: "grayscale",
+  threshold: "threshold",
+};
+
+const toGrayscale = (data) => {
+  const gray = new Uint8ClampedArray(data.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i * 4;
+    gray[i] =
+      0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+  }
+  return gray;
+};
+
+// Otsu's method: the cut-off that best separates ink from paper.
+const getOtsuThreshold = (gray) => {
+  const histogram = new Array(256).fill(0);
+  gray.forEach((value) => {
+    histogram[value] += 1;
+  });
+
+  const total = gray.length;
+  const weightedTotal = histogram.reduce(
+    (sum, count, value) => sum + value * count,
+    0
+  );
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  let bestThreshold = 127;
+  let bestVariance = 0;
+
+  for (let value = 0; value < 256; value++) {
+    backgroundWeight += histogram[value];
+    if (!backgroundWeight) continue;
+    const foregroundWeight = total - backgroundWeight;
+    if (!foregroundWeight) break;
+    backgroundSum += value * histogram[value];
+    const backgroundMean = backgroundSum / backgroundWeight;
+    const foregroundMean = (weightedTotal - backgroundSum) / foregroundWeight;
+    const variance =
+      backgroundWeight *
+      foregroundWeight *
+      (backgroundMean - foregroundMean) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = value;
+    }
+  }
+  return bestThreshold;
+};
+
+export const preprocessCanvas = (canvas, mode) => {
+  if (mode === PREPROCESSING_MODES.none) {
+    return canvas;
+  }
+
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  const image = context.getImageData(0, 0, canvas.width, canvas.height);
+  const gray = toGrayscale(image.data);
+  const threshold =
+    mode === PREPROCESSING_MODES.threshold ? getOtsuThreshold(gray) : null;
+
+  gray.forEach((value, i) => {
+    const level = threshold === null ? value : value > threshold ? 255 : 0;
+    const offset = i * 4;
+    image.data[offset] = level;
+    image.data[offset + 1] = level;
+    image.data[offset + 2] = level;
+  });
+  context.putImageData(image, 0, 0);
+  return canvas;
+};
@@ -0,0 +1,20 @@
+import { PREPROCESSING_MODES } from "./preprocess";
+
+const PDF_POINTS_PER_INCH = 72;
+
+export const DEFAULT_OCR_SETTINGS = {
+  dpi: 108,
+  preprocessing: PREPROCESSING_MODES.none,
+  forceAll: false,
+  forcePages: [],
+};
+
+export const getRenderScale = (settings) => settings.dpi / PDF_POINTS_PER_INCH;
+
+export const isOcrForced = (settings, pageNumber) =>
+  settings.forceAll || settings.forcePages.includes(pageNumber);
+
+// Identifies the inputs that change OCR output, so cached OCR text is only
+// reused when it would come out the same.
+export const getOcrSignature = (language, settings) =>
+  `${language}|${settings.dpi}|${settings.preprocessing}`;
@@ -0,0 +1,87 @@
+import { LANGUAGES } from "../languages/registry";
+
+const MIN_TEXT_CHARS = 30;
+const MAX_UNEXPECTED_RATIO = 0.1;
+const MIN_PLAUSIBLE_WORD_RATIO = 0.5;
+const MAX_BROKEN_DEVANAGARI_RATIO = 0.05;
+const MAX_GARBLED_MIXED_CASE_LENGTH = 5;
+
+// Latin and Greek letters, digits, whitespace, punctuation and maths and
+// currency signs, plus the script of every language in the registry.
+// Anything else (private-use glyphs, replacement characters, box drawing,
+// pictographs) points to a broken font encoding.
+const COMMON_CHAR =
+  /[\p{Script=Latin}\p{Script=Greek}\p{N}\p{P}\p{Sm}\p{Sc}\p{Sk}\s°©®™]/u;
+const DEVANAGARI_SIGN = /[\u093E-\u094D\u0962\u0963]/;
+const DEVANAGARI_BASE = /[\u093C\u0904-\u0939\u0958-\u0961\u0972-\u097F]/;
+const LATIN_WORD = /^[A-Za-z]{2,}$/;
+
+const isExpectedChar = (char) =>
+  COMMON_CHAR.test(char) ||
+  LANGUAGES.some((language) => language.script.test(char));
+
+const getUnexpectedRatio = (chars) =>
+  chars.filter((char) => !isExpectedChar(char)).length / chars.length;
+
+// Vowel signs and viramas must follow a consonant; legacy font encodings
+// extracted as Unicode leave many of them dangling.
+const getBrokenDevanagariRatio = (chars) => {
+  let signs = 0;
+  let broken = 0;
+  chars.forEach((char, index) => {
+    if (!DEVANAGARI_SIGN.test(char)) return;
+    signs += 1;
+    const previous = chars[index - 1] || "";
+    if (!DEVANAGARI_BASE.test(previous) && !DEVANAGARI_SIGN.test(previous)) {
+      broken += 1;
+    }
+  });
+  return signs ? broken / signs : 0;
+};
+
+// Hindi set in legacy fonts such as Kruti Dev comes out as Latin soup
+// ("fgUnh", "dk;Z"), so Latin words without vowels or with mixed case in the
+// middle are counted as implausible. Formulas (H2O) and acronyms (DNA) are
+// left out, and only short mixed-case words are suspect, since the soup's
+// words are short while names like "JavaScript" are not.
+const getPlausibleLatinWordRatio = (text) => {
+  const words = text
+    .split(/\s+/)
+    .map((word) => word.replace(/^[^\w]+|[^\w]+$/g, ""))
+    .filter(
+      (word) =>
+        word.length >= 2 &&
+        /[A-Za-z]/.test(word) &&
+        !/\d/.test(word) &&
+        word !== word.toUpperCase()
+    );
+  if (words.length < 5) return 1;
+  const plausible = words.filter(
+    (word) =>
+      LATIN_WORD.test(word) &&
+      /[aeiouy]/i.test(word) &&
+      !(
+        word.length <= MAX_GARBLED_MIXED_CASE_LENGTH && /[a-z][A-Z]/.test(word)
+      )
+  ).length;
+  return plausible / words.length;
+};
+
+// Decides whether a page's text layer can be used as is. Returns the reason
+// OCR is needed otherwise.
+export const assessTextLayer = (text) => {
+  const chars = Array.from((text || "").replace(/\s+/g, " ").trim());
+  if (chars.filter((char) => char !== " ").length < MIN_TEXT_CHARS) {
+    return { usable: false, reason: "no text layer" };
+  }
+  if (getUnexpectedRatio(chars) > MAX_UNEXPECTED_RATIO) {
+    return { usable: false, reason: "unreadable characters" };
+  }
+  if (getBrokenDevanagariRatio(chars) > MAX_BROKEN_DEVANAGARI_RATIO) {
+    return { usable: false, reason: "broken Hindi encoding" };
+  }
+  if (getPlausibleLatinWordRatio(text) < MIN_PLAUSIBLE_WORD_RATIO) {
+    return { usable: false, reason: "garbled text encoding" };
+  }
+  return { usable: true, reason: "" };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { assessTextLayer } from "./textQuality";
+
+describe("assessTextLayer", () => {
+  it.each([
+    ["English", "Photosynthesis is the process by which green plants make food."],
+    ["Hindi", "प्रकाश संश्लेषण वह प्रक्रिया है जिसके द्वारा हरे पौधे भोजन बनाते हैं।"],
+    ["Bengali", "সালোকসংশ্লেষণ হল সেই প্রক্রিয়া যার মাধ্যমে সবুজ উদ্ভিদ খাদ্য তৈরি করে।"],
+    ["Tamil", "ஒளிச்சேர்க்கை என்பது பச்சை தாவரங்கள் உணவு தயாரிக்கும் செயல்முறை ஆகும்."],
+    ["Urdu", "ضیائی تالیف وہ عمل ہے جس کے ذریعے سبز پودے اپنی خوراک بناتے ہیں۔"],
+  ])("accepts a clean %s text layer", (_, text) => {
+    expect(assessTextLayer(text)).toEqual({ usable: true, reason: "" });
+  });
+
+  it.each([
+    ["bullets and symbols", "• Boiling point: 100 °C at sea level\n• Area = l × w … for x < 5 and y > 2 | see note_1"],
+    ["Greek letters", "Angles α, β, γ and θ; π ≈ 3.14; λ = c/ν; Δx·Δp ≥ ħ/2; σ, μ, ω"],
+    ["formulas and acronyms", "HCl, H2O, CO2, NH3, CH4, DNA, ATP in cells"],
+    ["camelCase names", "Use JavaScript, TypeScript, PowerPoint, YouTube, WhatsApp and GitHub daily"],
+  ])("accepts %s", (_, text) => {
+    expect(assessTextLayer(text)).toEqual({ usable: true, reason: "" });
+  });
+
+  it("asks for OCR when there is hardly any text", () => {
+    expect(assessTextLayer("Page 12")).toEqual({
+      usable: false,
+      reason: "no text layer",
+    });
+  });
+
+  it("flags private-use and replacement characters", () => {
+    expect(assessTextLayer("� ".repeat(15)).reason).toBe(
+      "unreadable characters"
+    );
+  });
+
+  it("flags dangling Devanagari vowel signs", () => {
+    expect(assessTextLayer("ि ा ी ु ू े ै ो ौ ् ".repeat(4)).reason).toBe(
+      "broken Hindi encoding"
+    );
+  });
+
+  it("flags Hindi extracted from legacy fonts as Latin soup", () => {
+    expect(
+      assessTextLayer("fgUnh Hkk\"kk dk;Z esa gSa vkSj ;g fd;k x;k Fkk rFkk").reason
+    ).toBe("garbled text encoding");
+  });
+});
@@ -0,0 +1,30 @@
+import * as pdfjsLib from "pdfjs-dist";
+import { hashArrayBuffer } from "../utils/hashFile";
+
+const MAX_CACHED_DOCUMENTS = 3;
+
+// Parsed documents for this session, keyed by content hash and kept in
+// least-recently-used order, so going back to a book skips parsing it again.
+const documents = new Map();
+
+export const loadPdfDocument = async (file) => {
+  const data = await file.arrayBuffer();
+  // Hash before pdf.js takes ownership of the buffer.
+  const fileHash = await hashArrayBuffer(data);
+
+  let loading = documents.get(fileHash);
+  documents.delete(fileHash);
+  if (!loading) {
+    loading = pdfjsLib.getDocument({ data }).promise;
+    loading.catch(() => documents.delete(fileHash));
+  }
+  documents.set(fileHash, loading);
+
+  if (documents.size > MAX_CACHED_DOCUMENTS) {
+    const [oldestHash, oldest] = documents.entries().next().value;
+    documents.delete(oldestHash);
+    oldest.then((pdf) => pdf.destroy()).catch(() => {});
+  }
+
+  return { pdf: await loading, fileHash };
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from "vitest";
+import * as pdfjsLib from "pdfjs-dist";
+import { loadPdfDocument } from "./documentCache";
+
+vi.mock("pdfjs-dist", () => ({ getDocument: vi.fn() }));
+
+const fileWith = (text) => new Blob([text]);
+
+const fakeDocument = (name) => ({ name, destroy: vi.fn() });
+
+describe("loadPdfDocument", () => {
+  it("parses each book once and evicts the least recently used", async () => {
+    const parsed = {};
+    pdfjsLib.getDocument.mockImplementation(({ data }) => {
+      const name = new TextDecoder().decode(data);
+      parsed[name] = fakeDocument(name);
+      return { promise: Promise.resolve(parsed[name]) };
+    });
+
+    const first = await loadPdfDocument(fileWith("a"));
+    await loadPdfDocument(fileWith("b"));
+    await loadPdfDocument(fileWith("c"));
+    const again = await loadPdfDocument(fileWith("a"));
+
+    expect(again.pdf).toBe(first.pdf);
+    expect(again.fileHash).toBe(first.fileHash);
+    expect(pdfjsLib.getDocument).toHaveBeenCalledTimes(3);
+
+    // "b" is now the least recently used of the four.
+    await loadPdfDocument(fileWith("d"));
+    await Promise.resolve();
+    expect(parsed.b.destroy).toHaveBeenCalled();
+    expect(parsed.a.destroy).not.toHaveBeenCalled();
+  });
+
+  it("does not keep a document that failed to parse", async () => {
+    pdfjsLib.getDocument.mockReset();
+    pdfjsLib.getDocument
+      .mockImplementationOnce(() => ({
+        promise: Promise.reject(new Error("Invalid PDF")),
+      }))
+      .mockReturnValueOnce({ promise: Promise.resolve(fakeDocument("e")) });
+
+    await expect(loadPdfDocument(fileWith("e"))).rejects.toThrow("Invalid PDF");
+    const retry = await loadPdfDocument(fileWith("e"));
+
+    expect(retry.pdf.name).toBe("e");
+    expect(pdfjsLib.getDocument).toHaveBeenCalledTimes(2);
+  });
+});
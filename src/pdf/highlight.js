@@ -0,0 +1,37 @@
+import { Util } from "pdfjs-dist";
+import { findBestPhrase, normalizeForSearch } from "../utils/textMatch";
+
+// Joins the page's text items into one searchable string and returns the
+// items that overlap the best match for `context`.
+export const findHighlightedItems = (items, context) => {
+  let text = "";
+  const ranges = items.map((item) => {
+    const normalized = normalizeForSearch(item.str);
+    if (!normalized) return null;
+    if (text) text += " ";
+    const range = { start: text.length, end: text.length + normalized.length };
+    text += normalized;
+    return range;
+  });
+
+  const match = findBestPhrase(text, context);
+  if (!match) return [];
+  return items.filter(
+    (_, index) =>
+      ranges[index] &&
+      ranges[index].start < match.end &&
+      ranges[index].end > match.start
+  );
+};
+
+export const getHighlightRects = (items, context, viewport) =>
+  findHighlightedItems(items, context).map((item) => {
+    const [, , c, d, x, y] = Util.transform(viewport.transform, item.transform);
+    const height = Math.hypot(c, d);
+    return {
+      left: x,
+      top: y - height,
+      width: item.width * viewport.scale,
+      height,
+    };
+  });
@@ -0,0 +1,275 @@
+// Bumped whenever the extracted text format changes, so page text cached by
+// an older extractor is read again instead of reused.
+export const LAYOUT_VERSION = 1;
+
+const SAME_ROW_RATIO = 0.5;
+const WORD_GAP_RATIO = 0.1;
+const FRAGMENT_GAP_RATIO = 1.2;
+const SPANNING_WIDTH_RATIO = 0.6;
+const MIN_COLUMN_LINES = 4;
+const MIN_COLUMN_LINE_CHARS = 15;
+const PARAGRAPH_GAP_RATIO = 1.6;
+const HEADING_HEIGHT_RATIO = 0.2;
+const SENTENCE_END = /[.?!।॥:]["')\]”’]*$/;
+const LIST_ITEM = /^([•◦▪‣*–-]|\(?(\d+|[a-z])[.)])\s/i;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Rotated text (watermarks, margin notes) is skipped; it cannot be placed on
+// a line of the body text.
+const toBox = (item) => {
+  const [a, b, c, d, x, y] = item.transform;
+  if (Math.abs(b) > Math.abs(a) * 0.1 || Math.abs(c) > Math.abs(d) * 0.1) {
+    return null;
+  }
+  const height = item.height || Math.hypot(c, d);
+  return {
+    text: item.str,
+    x,
+    y,
+    right: x + (item.width || 0),
+    height,
+    hasEOL: Boolean(item.hasEOL),
+  };
+};
+
+const joinBoxes = (boxes) =>
+  boxes.reduce((text, box, index) => {
+    if (index === 0) return box.text;
+    const previous = boxes[index - 1];
+    const gap = box.x - previous.right;
+    const needsSpace =
+      gap > box.height * WORD_GAP_RATIO &&
+      !/\s$/.test(text) &&
+      !/^\s/.test(box.text);
+    return text + (needsSpace ? " " : "") + box.text;
+  }, "");
+
+// Bullets and symbols are often set in a different font size, so the line
+// takes its baseline and height from its longest run of text.
+const toFragment = (boxes) => {
+  const main = boxes.reduce((longest, box) =>
+    box.text.length > longest.text.length ? box : longest
+  );
+  return {
+    text: joinBoxes(boxes).replace(/\s+/g, " ").trim(),
+    x: boxes[0].x,
+    right: Math.max(...boxes.map((box) => box.right)),
+    y: main.y,
+    height: main.height,
+  };
+};
+
+// Groups boxes that share a baseline into rows, then splits each row where
+// there is a gap wider than a word space or where pdf.js marked an end of
+// line. Across a column gutter this yields one fragment per column.
+const buildFragments = (boxes) => {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+  sorted.forEach((box) => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - box.y) <= row.height * SAME_ROW_RATIO) {
+      row.boxes.push(box);
+    } else {
+      rows.push({ y: box.y, height: box.height || 1, boxes: [box] });
+    }
+  });
+
+  return rows.flatMap((row) => {
+    const rowBoxes = row.boxes.sort((a, b) => a.x - b.x);
+    const groups = [[rowBoxes[0]]];
+    rowBoxes.slice(1).forEach((box) => {
+      const group = groups[groups.length - 1];
+      const previous = group[group.length - 1];
+      const gap = box.x - previous.right;
+      if (previous.hasEOL || gap > row.height * FRAGMENT_GAP_RATIO) {
+        groups.push([box]);
+      } else {
+        group.push(box);
+      }
+    });
+    return groups.map(toFragment).filter((fragment) => fragment.text);
+  });
+};
+
+const fitsColumn = (fragment, [start, end], tolerance) =>
+  fragment.x >= start - tolerance && fragment.right <= end + tolerance;
+
+// Looks for vertical strips that no line of body text crosses. Full-width
+// fragments (titles, figure captions) and short ones (page numbers, labels)
+// are left out of the search so they don't hide the gutter. Tables, whose
+// cells are short, are read as a single column.
+const findColumns = (fragments) => {
+  const left = Math.min(...fragments.map((fragment) => fragment.x));
+  const right = Math.max(...fragments.map((fragment) => fragment.right));
+  const width = right - left;
+  const single = [[left, right]];
+  if (width <= 0 || fragments.length < MIN_COLUMN_LINES * 2) return single;
+
+  const narrow = fragments.filter(
+    (fragment) =>
+      fragment.right - fragment.x < width * SPANNING_WIDTH_RATIO &&
+      fragment.text.length >= MIN_COLUMN_LINE_CHARS
+  );
+  const coverage = new Uint16Array(Math.ceil(width) + 1);
+  narrow.forEach((fragment) => {
+    const start = Math.max(0, Math.floor(fragment.x - left));
+    const end = Math.min(coverage.length, Math.ceil(fragment.right - left));
+    for (let i = start; i < end; i++) coverage[i] += 1;
+  });
+
+  const minGutter = median(fragments.map((fragment) => fragment.height));
+  const allowedCrossings = Math.floor(narrow.length * 0.03);
+  const gutters = [];
+  let gutterStart = null;
+  for (let i = 0; i < coverage.length; i++) {
+    if (coverage[i] <= allowedCrossings) {
+      if (gutterStart === null) gutterStart = i;
+    } else if (gutterStart !== null) {
+      if (gutterStart > 0 && i - gutterStart >= minGutter) {
+        gutters.push([left + gutterStart, left + i]);
+      }
+      gutterStart = null;
+    }
+  }
+  if (!gutters.length) return single;
+
+  const edges = [left, ...gutters.flat(), right];
+  const columns = [];
+  for (let i = 0; i < edges.length; i += 2) {
+    columns.push([edges[i], edges[i + 1]]);
+  }
+
+  const tolerance = minGutter / 2;
+  const looksLikeText = columns.every((column) => {
+    const lines = narrow.filter((fragment) =>
+      fitsColumn(fragment, column, tolerance)
+    );
+    return lines.length >= MIN_COLUMN_LINES;
+  });
+  return looksLikeText ? columns : single;
+};
+
+// Reads column by column between full-width fragments, so a heading that
+// spans both columns still comes before the text under it.
+const orderFragments = (fragments, columns) => {
+  const tolerance = median(fragments.map((fragment) => fragment.height)) / 2;
+  const sorted = [...fragments].sort((a, b) => b.y - a.y || a.x - b.x);
+  const ordered = [];
+  let band = columns.map(() => []);
+  let bandIndex = 0;
+
+  const flush = () => {
+    band.forEach((lines, column) =>
+      lines.forEach((line) =>
+        ordered.push({
+          ...line,
+          band: bandIndex,
+          column,
+          group: `${bandIndex}:${column}`,
+        })
+      )
+    );
+    band = columns.map(() => []);
+    bandIndex += 1;
+  };
+
+  sorted.forEach((fragment) => {
+    const column = columns.findIndex((candidate) =>
+      fitsColumn(fragment, candidate, tolerance)
+    );
+    if (column >= 0) {
+      band[column].push(fragment);
+      return;
+    }
+    flush();
+    ordered.push({
+      ...fragment,
+      band: bandIndex,
+      column: null,
+      group: `${bandIndex}:span`,
+    });
+    bandIndex += 1;
+  });
+  flush();
+  return ordered;
+};
+
+// Fragments of one column that share a baseline (a table-of-contents entry
+// and its page number, say) are put back on one line.
+const mergeRows = (fragments) =>
+  fragments.reduce((lines, fragment) => {
+    const previous = lines[lines.length - 1];
+    if (
+      previous &&
+      previous.group === fragment.group &&
+      Math.abs(previous.y - fragment.y) <= previous.height * SAME_ROW_RATIO
+    ) {
+      lines[lines.length - 1] = {
+        ...previous,
+        text: `${previous.text} ${fragment.text}`,
+        right: fragment.right,
+      };
+    } else {
+      lines.push(fragment);
+    }
+    return lines;
+  }, []);
+
+const getLineSpacing = (lines) => {
+  const gaps = [];
+  lines.forEach((line, index) => {
+    const previous = lines[index - 1];
+    if (!previous || previous.group !== line.group) return;
+    const gap = previous.y - line.y;
+    if (gap > 0 && gap < line.height * 3) gaps.push(gap);
+  });
+  return median(gaps) || median(lines.map((line) => line.height)) * 1.2;
+};
+
+const startsParagraph = (line, previous, lineSpacing) => {
+  if (LIST_ITEM.test(line.text)) return true;
+  // Text running on from the foot of one column to the top of the next.
+  if (
+    previous.band === line.band &&
+    previous.column !== line.column &&
+    line.column !== null
+  ) {
+    return SENTENCE_END.test(previous.text);
+  }
+  const gap = previous.y - line.y;
+  if (gap <= 0 || gap > lineSpacing * PARAGRAPH_GAP_RATIO) return true;
+  return (
+    Math.abs(line.height - previous.height) >
+    previous.height * HEADING_HEIGHT_RATIO
+  );
+};
+
+// Rebuilds a page's text from item positions: one line per printed line and
+// a blank line between paragraphs, with multi-column pages in reading order.
+export const layoutTextItems = (items) => {
+  const boxes = items.map(toBox).filter((box) => box && box.text);
+  if (!boxes.length) return "";
+
+  const fragments = buildFragments(boxes);
+  if (!fragments.length) return "";
+  const lines = mergeRows(orderFragments(fragments, findColumns(fragments)));
+  const lineSpacing = getLineSpacing(lines);
+
+  return lines
+    .map((line, index) =>
+      index > 0 && startsParagraph(line, lines[index - 1], lineSpacing)
+        ? `\n${line.text}`
+        : line.text
+    )
+    .join("\n");
+};
+
+export const extractPageText = async (page) => {
+  const { items } = await page.getTextContent();
+  return layoutTextItems(items);
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { layoutTextItems } from "./layout";
+
+const item = (str, x, y, { size = 10, width = str.length * 5, hasEOL } = {}) => ({
+  str,
+  transform: [size, 0, 0, size, x, y],
+  width,
+  height: size,
+  hasEOL,
+});
+
+describe("layoutTextItems", () => {
+  it("puts text on one line per row and spaces words by their gaps", () => {
+    expect(
+      layoutTextItems([
+        item("Hello", 50, 700, { width: 25 }),
+        item("world", 78, 700, { width: 25 }),
+        item("again", 50, 688),
+      ])
+    ).toBe("Hello world\nagain");
+  });
+
+  it("separates paragraphs at larger vertical gaps", () => {
+    expect(
+      layoutTextItems([
+        item("First paragraph line one", 50, 700),
+        item("first paragraph line two.", 50, 688),
+        item("Second paragraph.", 50, 650),
+      ])
+    ).toBe("First paragraph line one\nfirst paragraph line two.\n\nSecond paragraph.");
+  });
+
+  it("skips rotated text such as watermarks", () => {
+    expect(
+      layoutTextItems([
+        item("Body text", 50, 700),
+        { str: "DRAFT", transform: [7, 7, -7, 7, 200, 400], width: 40 },
+      ])
+    ).toBe("Body text");
+  });
+
+  it("reads a two-column page column by column under a spanning title", () => {
+    const rows = [0, 1, 2, 3, 4];
+    const items = [
+      item("A Title Spanning Both Columns Of The Page Here", 50, 720, {
+        size: 14,
+        width: 450,
+      }),
+      ...rows.map((row) => item(`Left column line ${row}`, 50, 690 - row * 12, { width: 200 })),
+      ...rows.map((row) => item(`Right column line ${row}`, 300, 690 - row * 12, { width: 200 })),
+    ];
+    const lines = layoutTextItems(items).split("\n").filter(Boolean);
+
+    expect(lines).toEqual([
+      "A Title Spanning Both Columns Of The Page Here",
+      ...rows.map((row) => `Left column line ${row}`),
+      ...rows.map((row) => `Right column line ${row}`),
+    ]);
+  });
+
+  it("returns an empty string for a page without text", () => {
+    expect(layoutTextItems([])).toBe("");
+  });
+});
@@ -0,0 +1,157 @@
+const HEADING_SIZE_RATIO = 1.6;
+const HEADING_LINES_TO_CHECK = 5;
+const MAX_TITLE_LENGTH = 80;
+const CHAPTER_KEYWORD =
+  /^(chapter|unit|part|lesson|section|अध्याय|पाठ|इकाई|भाग)\s*[-:.]?\s*([\dIVXLC०-९]+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i;
+
+const resolveDestinationPage = async (pdf, dest) => {
+  const explicitDest =
+    typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+  if (!Array.isArray(explicitDest) || !explicitDest.length) return null;
+  const [target] = explicitDest;
+  if (Number.isInteger(target)) return target + 1;
+  return (await pdf.getPageIndex(target)) + 1;
+};
+
+const resolveOutlineItems = async (pdf, items, path) => {
+  const nodes = [];
+  for (const [index, item] of items.entries()) {
+    const id = `${path}${index}`;
+    const children = await resolveOutlineItems(pdf, item.items || [], `${id}.`);
+    let startPage = null;
+    try {
+      startPage = await resolveDestinationPage(pdf, item.dest);
+    } catch (err) {
+      console.warn(`Could not resolve outline entry "${item.title}":`, err);
+    }
+    startPage = startPage ?? children[0]?.startPage ?? null;
+    if (startPage === null) continue;
+    nodes.push({
+      id,
+      title: item.title.trim() || "Untitled",
+      startPage,
+      children,
+    });
+  }
+  return nodes;
+};
+
+// A section runs until the next sibling starts, or to the end of its parent.
+const assignEndPages = (nodes, parentEnd) =>
+  nodes.map((node, index) => {
+    const next = nodes[index + 1];
+    // Out-of-order or duplicate entries would otherwise end before they
+    // start; such an entry covers just its first page.
+    const endPage = Math.max(
+      node.startPage,
+      next ? Math.min(parentEnd, next.startPage - 1) : parentEnd
+    );
+    return {
+      ...node,
+      endPage,
+      children: assignEndPages(node.children, endPage),
+    };
+  });
+
+export const getOutlineChapters = async (pdf) => {
+  const outline = await pdf.getOutline();
+  if (!outline?.length) return [];
+  const nodes = await resolveOutlineItems(pdf, outline, "");
+  return assignEndPages(nodes, pdf.numPages);
+};
+
+const getItemHeight = (item) =>
+  item.height || Math.hypot(item.transform[2], item.transform[3]);
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const toHeadingTitle = (items) =>
+  items
+    .map((item) => item.str)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TITLE_LENGTH);
+
+const getLeadingLines = (items) =>
+  items.filter((item) => item.str.trim()).slice(0, HEADING_LINES_TO_CHECK);
+
+// Looks at the first lines of a page for a chapter keyword ("Chapter 3",
+// "अध्याय 2") or a line set much larger than the body text.
+const findPageHeading = (lines, bodyHeight) => {
+  const keywordIndex = lines.findIndex((item) =>
+    CHAPTER_KEYWORD.test(item.str.trim())
+  );
+  if (keywordIndex >= 0) {
+    // A running header carries the page number after the title.
+    const title = toHeadingTitle(lines.slice(keywordIndex, keywordIndex + 2));
+    const withoutPageNumber = title.replace(/\s+[\d०-९]+$/, "");
+    return CHAPTER_KEYWORD.test(withoutPageNumber) ? withoutPageNumber : title;
+  }
+
+  const large = lines.filter(
+    (item) => getItemHeight(item) >= bodyHeight * HEADING_SIZE_RATIO
+  );
+  const title = toHeadingTitle(large);
+  return title.length >= 3 ? title : null;
+};
+
+// Running headers repeat the chapter title on every page, with varying
+// case and punctuation ("Chapter 3 · Cells", "CHAPTER 3: Cells").
+const toTitleKey = (title) =>
+  title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+
+// Fallback for PDFs without bookmarks. It reads the text of every page, so
+// it only runs when asked for. Returns a flat list of chapters, or an empty
+// list when the headings found look too noisy to be chapters.
+export const detectHeadingChapters = async (
+  pdf,
+  { isCancelled = () => false } = {}
+) => {
+  const pages = [];
+  const heights = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    if (isCancelled()) return [];
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    items.forEach((item) => {
+      if (item.str.trim()) heights.push(getItemHeight(item));
+    });
+    pages.push({ pageNumber, lines: getLeadingLines(items) });
+  }
+
+  const bodyHeight = median(heights);
+  if (!bodyHeight) return [];
+
+  // A title repeated by the pages that follow it is a running header; the
+  // chapter starts where it first appears.
+  const starts = pages
+    .map(({ pageNumber, lines }) => ({
+      pageNumber,
+      title: findPageHeading(lines, bodyHeight),
+    }))
+    .filter((start) => start.title)
+    .filter(
+      (start, index, all) =>
+        index === 0 || toTitleKey(all[index - 1].title) !== toTitleKey(start.title)
+    );
+
+  if (!starts.length || starts.length > pdf.numPages / 2) return [];
+
+  return assignEndPages(
+    starts.map((start, index) => ({
+      id: `h${index}`,
+      title: start.title,
+      startPage: start.pageNumber,
+      children: [],
+    })),
+    pdf.numPages
+  );
+};
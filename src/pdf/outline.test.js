@@ -0,0 +1,149 @@
+import { describe, expect, it } from "vitest";
+import { detectHeadingChapters, getOutlineChapters } from "./outline";
+
+// Outline destinations point at page indexes directly, which pdf.js allows.
+const entry = (title, page, items = []) => ({
+  title,
+  dest: page === null ? null : [page - 1],
+  items,
+});
+
+const outlinePdf = (outline, numPages) => ({
+  numPages,
+  getOutline: async () => outline,
+  getDestination: async () => null,
+  getPageIndex: async () => 0,
+});
+
+const summarize = (nodes) =>
+  nodes.map(({ title, startPage, endPage, children }) => ({
+    title,
+    pages: [startPage, endPage],
+    ...(children.length ? { children: summarize(children) } : {}),
+  }));
+
+describe("getOutlineChapters", () => {
+  it("ends each section where the next one starts", async () => {
+    const chapters = await getOutlineChapters(
+      outlinePdf(
+        [
+          entry("One", 1, [entry("1.1", 2), entry("1.2", 5)]),
+          entry("Two", 9),
+        ],
+        20
+      )
+    );
+    expect(summarize(chapters)).toEqual([
+      {
+        title: "One",
+        pages: [1, 8],
+        children: [
+          { title: "1.1", pages: [2, 4] },
+          { title: "1.2", pages: [5, 8] },
+        ],
+      },
+      { title: "Two", pages: [9, 20] },
+    ]);
+  });
+
+  it("starts an entry without a destination at its first child", async () => {
+    const chapters = await getOutlineChapters(
+      outlinePdf([entry("Part", null, [entry("Intro", 3)])], 10)
+    );
+    expect(summarize(chapters)).toEqual([
+      { title: "Part", pages: [3, 10], children: [{ title: "Intro", pages: [3, 10] }] },
+    ]);
+  });
+
+  it("never ends an out-of-order entry before it starts", async () => {
+    const chapters = await getOutlineChapters(
+      outlinePdf([entry("Late", 8), entry("Early", 4), entry("Same", 4)], 12)
+    );
+    expect(summarize(chapters)).toEqual([
+      { title: "Late", pages: [8, 8] },
+      { title: "Early", pages: [4, 4] },
+      { title: "Same", pages: [4, 12] },
+    ]);
+  });
+
+  it("returns nothing for a PDF without bookmarks", async () => {
+    expect(await getOutlineChapters(outlinePdf(null, 5))).toEqual([]);
+  });
+});
+
+const textItem = (str, height) => ({ str, height, transform: [1, 0, 0, height] });
+
+const headingPdf = (pages) => ({
+  numPages: pages.length,
+  getPage: async (pageNumber) => ({
+    getTextContent: async () => ({ items: pages[pageNumber - 1] }),
+  }),
+});
+
+describe("detectHeadingChapters", () => {
+  const body = Array.from({ length: 6 }, () => textItem("body text", 10));
+
+  it("finds chapter keywords and large headings", async () => {
+    const chapters = await detectHeadingChapters(
+      headingPdf([
+        [textItem("Chapter 1", 10), textItem("Cells", 10), ...body],
+        body,
+        body,
+        [textItem("Plant Tissues", 24), ...body],
+        body,
+      ])
+    );
+    expect(summarize(chapters)).toEqual([
+      { title: "Chapter 1 Cells", pages: [1, 3] },
+      { title: "Plant Tissues", pages: [4, 5] },
+    ]);
+  });
+
+  it("treats a title repeated on the following pages as a running header", async () => {
+    const header = (title, pageNumber) => [
+      textItem(title, 10),
+      textItem(`${pageNumber}`, 10),
+      ...body,
+    ];
+    const chapters = await detectHeadingChapters(
+      headingPdf([
+        header("Chapter 3 · Cells", 41),
+        header("CHAPTER 3: Cells", 42),
+        body,
+        header("Chapter 3 - Cells", 44),
+        header("Chapter 4 · Tissues", 45),
+        header("Chapter 4 · Tissues", 46),
+      ])
+    );
+    expect(summarize(chapters)).toEqual([
+      { title: "Chapter 3 · Cells", pages: [1, 4] },
+      { title: "Chapter 4 · Tissues", pages: [5, 6] },
+    ]);
+  });
+
+  it("gives up when more than half the pages look like chapter starts", async () => {
+    expect(
+      await detectHeadingChapters(
+        headingPdf([
+          [textItem("First Title", 30), ...body],
+          [textItem("Second Title", 30), ...body],
+          body,
+        ])
+      )
+    ).toEqual([]);
+  });
+
+  it("stops reading pages once cancelled", async () => {
+    const pdf = headingPdf([body, body, body]);
+    let reads = 0;
+    const getPage = pdf.getPage;
+    pdf.getPage = (pageNumber) => {
+      reads += 1;
+      return getPage(pageNumber);
+    };
+    expect(
+      await detectHeadingChapters(pdf, { isCancelled: () => reads >= 1 })
+    ).toEqual([]);
+    expect(reads).toBe(1);
+  });
+});
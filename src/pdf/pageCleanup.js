@@ -0,0 +1,97 @@
+const EDGE_LINES = 2;
+const MIN_REPEATS = 3;
+const MIN_REPEAT_RATIO = 0.3;
+const PAGE_NUMBER_LINE =
+  /^(page|pg\.?|p\.|पृष्ठ)?\s*[-–—]?\s*[\d०-९]+\s*([-–—]|(of|\/)\s*[\d०-९]+)?$/i;
+const ROMAN_PAGE_NUMBER_LINE =
+  /^[-–—]?\s*(?=[ivxlc])c{0,3}(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})\s*[-–—]?$/i;
+
+const normalizeRunningLine = (line) =>
+  line
+    .toLowerCase()
+    .replace(/[\d०-९]+/g, "#")
+    .replace(/\s+/g, " ")
+    .replace(/^[#\s|•·-]+|[#\s|•·-]+$/g, "")
+    .trim();
+
+// Indexes of the first and last few non-empty lines, where running headers,
+// footers and page numbers sit.
+const getEdgeIndexes = (lines) => {
+  const filled = lines
+    .map((line, index) => (line.trim() ? index : -1))
+    .filter((index) => index >= 0);
+  return new Set([
+    ...filled.slice(0, EDGE_LINES),
+    ...filled.slice(-EDGE_LINES),
+  ]);
+};
+
+// Removes page numbers, and lines that open or close many pages of the range
+// with the same wording (digits ignored, so "Chapter 3 · 41" matches
+// "Chapter 3 · 42").
+export const stripRunningLines = (pages) => {
+  const split = pages.map((page) => {
+    const lines = (page.text || "").split("\n");
+    return { page, lines, edges: getEdgeIndexes(lines) };
+  });
+
+  const counts = new Map();
+  split.forEach(({ lines, edges }) => {
+    const keys = new Set(
+      [...edges].map((index) => normalizeRunningLine(lines[index]))
+    );
+    keys.forEach((key) => {
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  const minRepeats = Math.max(
+    MIN_REPEATS,
+    Math.ceil(pages.length * MIN_REPEAT_RATIO)
+  );
+
+  return split.map(({ page, lines, edges }) => {
+    const kept = lines.filter((line, index) => {
+      if (!edges.has(index)) return true;
+      const trimmed = line.trim();
+      if (
+        PAGE_NUMBER_LINE.test(trimmed) ||
+        ROMAN_PAGE_NUMBER_LINE.test(trimmed)
+      ) {
+        return false;
+      }
+      const key = normalizeRunningLine(trimmed);
+      return !key || (counts.get(key) || 0) < minRepeats;
+    });
+    return {
+      ...page,
+      text: kept.join("\n").replace(/\n{3,}/g, "\n\n").trim(),
+    };
+  });
+};
+
+// Turns line-per-line text into one line per paragraph, rejoining words that
+// were hyphenated across a line break.
+export const joinParagraphLines = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map((paragraph) =>
+      paragraph
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .reduce((joined, line) => {
+          if (!joined) return line;
+          if (/\p{L}-$/u.test(joined) && /^\p{Ll}/u.test(line)) {
+            return joined.slice(0, -1) + line;
+          }
+          return `${joined} ${line}`;
+        }, "")
+    )
+    .filter(Boolean)
+    .join("\n\n");
+
+export const cleanPageTexts = (pages) =>
+  stripRunningLines(pages).map((page) => ({
+    ...page,
+    text: joinParagraphLines(page.text),
+  }));
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import {
+  cleanPageTexts,
+  joinParagraphLines,
+  stripRunningLines,
+} from "./pageCleanup";
+
+const BODIES = [
+  "Cells are the basic unit of life.\nEvery organism is made of cells.",
+  "The nucleus controls the cell.\nIt holds the genetic material.",
+  "Mitochondria release energy.\nThey are found in most cells.",
+];
+
+const pageText = (pageNumber, body) =>
+  ["Science · Class 10", body, `Chapter 2 · ${40 + pageNumber}`, `${pageNumber}`].join(
+    "\n"
+  );
+
+describe("stripRunningLines", () => {
+  it("removes repeated headers, footers and page numbers", () => {
+    const pages = [1, 2, 3].map((pageNumber) => ({
+      pageNumber,
+      text: pageText(pageNumber, BODIES[pageNumber - 1]),
+    }));
+    expect(stripRunningLines(pages).map((page) => page.text)).toEqual(BODIES);
+  });
+
+  it("keeps edge lines that do not repeat across enough pages", () => {
+    const [page] = stripRunningLines([
+      { pageNumber: 1, text: "Introduction\nBody text.\nSummary" },
+    ]);
+    expect(page.text).toBe("Introduction\nBody text.\nSummary");
+  });
+
+  it("removes Roman and Hindi page numbers", () => {
+    const [roman, hindi] = stripRunningLines([
+      { pageNumber: 1, text: "Preface text.\n- xii -" },
+      { pageNumber: 2, text: "पाठ का सार।\nपृष्ठ १२" },
+    ]);
+    expect(roman.text).toBe("Preface text.");
+    expect(hindi.text).toBe("पाठ का सार।");
+  });
+});
+
+describe("joinParagraphLines", () => {
+  it("joins lines within a paragraph and rejoins hyphenated words", () => {
+    expect(
+      joinParagraphLines("Plants make food by photo-\nsynthesis in\n  their leaves.\n\nNext paragraph.")
+    ).toBe("Plants make food by photosynthesis in their leaves.\n\nNext paragraph.");
+  });
+
+  it("keeps hyphens before capitalised words", () => {
+    expect(joinParagraphLines("the Indo-\nGangetic plain")).toBe(
+      "the Indo- Gangetic plain"
+    );
+  });
+});
+
+describe("cleanPageTexts", () => {
+  it("strips running lines before joining paragraphs", () => {
+    const pages = [1, 2, 3].map((pageNumber) => ({
+      pageNumber,
+      text: pageText(pageNumber, BODIES[pageNumber - 1]),
+    }));
+    expect(cleanPageTexts(pages)[0]).toEqual({
+      pageNumber: 1,
+      text: "Cells are the basic unit of life. Every organism is made of cells.",
+    });
+  });
+});
@@ -0,0 +1,71 @@
+export const rangeToPageNumbers = (start, end) => {
+  const pages = [];
+  for (let page = start; page <= end; page++) {
+    pages.push(page);
+  }
+  return pages;
+};
+
+// Formats a list of page numbers compactly, e.g. [12, 13, 14, 22] -> "12–14, 22".
+export const formatPageList = (pageNumbers) => {
+  const sorted = [...new Set(pageNumbers)].sort((a, b) => a - b);
+  const parts = [];
+  let runStart = null;
+  let previous = null;
+
+  const closeRun = () => {
+    if (runStart === null) return;
+    parts.push(runStart === previous ? `${runStart}` : `${runStart}–${previous}`);
+  };
+
+  sorted.forEach((page) => {
+    if (previous !== null && page === previous + 1) {
+      previous = page;
+      return;
+    }
+    closeRun();
+    runStart = page;
+    previous = page;
+  });
+  closeRun();
+
+  return parts.join(", ");
+};
+
+export const normalizePageList = (pageNumbers) =>
+  [...new Set(pageNumbers)].sort((a, b) => a - b);
+
+export const togglePage = (selection, pageNumber) =>
+  selection.includes(pageNumber)
+    ? selection.filter((page) => page !== pageNumber)
+    : normalizePageList([...selection, pageNumber]);
+
+export const addPageRange = (selection, from, to) =>
+  normalizePageList([
+    ...selection,
+    ...rangeToPageNumbers(Math.min(from, to), Math.max(from, to)),
+  ]);
+
+// Parses input such as "12-18, 22" into page numbers. Returns null when any
+// part is not a valid page or range within the document.
+export const parsePageList = (text, maxPage) => {
+  const parts = text
+    .replace(/\s*[-–]\s*/g, "-")
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  if (!parts.length) return null;
+
+  const pages = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return null;
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (start < 1 || end < start || end > maxPage) return null;
+    pages.push(...rangeToPageNumbers(start, end));
+  }
+  return normalizePageList(pages);
+};
+
+export const removePageRange = (selection, from, to) =>
+  selection.filter((page) => page < from || page > to);
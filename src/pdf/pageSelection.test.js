@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import {
+  addPageRange,
+  formatPageList,
+  parsePageList,
+  removePageRange,
+  togglePage,
+} from "./pageSelection";
+
+describe("formatPageList", () => {
+  it("collapses runs and ignores order and repeats", () => {
+    expect(formatPageList([22, 12, 13, 14, 13, 30, 31])).toBe("12–14, 22, 30–31");
+    expect(formatPageList([])).toBe("");
+  });
+});
+
+describe("parsePageList", () => {
+  it("reads ranges and single pages", () => {
+    expect(parsePageList("12 – 14, 3;3 20", 50)).toEqual([3, 12, 13, 14, 20]);
+  });
+
+  it.each([["", 10], ["4-2", 10], ["8-12", 10], ["0", 10], ["abc", 10]])(
+    "rejects %j",
+    (text, maxPage) => {
+      expect(parsePageList(text, maxPage)).toBeNull();
+    }
+  );
+});
+
+describe("selection helpers", () => {
+  it("toggles pages in and out of a sorted selection", () => {
+    expect(togglePage([1, 5], 3)).toEqual([1, 3, 5]);
+    expect(togglePage([1, 3, 5], 3)).toEqual([1, 5]);
+  });
+
+  it("adds and removes ranges in either direction", () => {
+    expect(addPageRange([1], 6, 4)).toEqual([1, 4, 5, 6]);
+    expect(removePageRange([1, 4, 5, 6], 4, 5)).toEqual([1, 6]);
+  });
+});
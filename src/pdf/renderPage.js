@@ -0,0 +1,12 @@
+export const renderPageToCanvas = async (pdfPage, scale) => {
+  const viewport = pdfPage.getViewport({ scale });
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  if (!context) {
+    throw new Error("Canvas rendering is not available in this browser.");
+  }
+  canvas.height = viewport.height;
+  canvas.width = viewport.width;
+  await pdfPage.render({ canvasContext: context, viewport }).promise;
+  return canvas;
+};
@@ -0,0 +1,133 @@
+import { generateText } from "../llm/providers";
+import { buildGradingPrompt, parseGradingResponse } from "../llm/gradingPrompt";
+
+export const PASSING_SCORE = 0.6;
+const FUZZY_TOKEN_SIMILARITY = 0.8;
+const CONTEXT_WEIGHT = 0.2;
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "were", "be", "been", "of", "to",
+  "in", "on", "at", "by", "for", "with", "and", "or", "as", "it", "its",
+  "that", "this", "from", "which", "who", "what", "when", "how", "why",
+  "का", "की", "के", "है", "हैं", "था", "थे", "थी", "और", "में", "से", "को",
+  "पर", "ने", "एक", "यह", "वह", "भी", "तो", "कि", "या",
+]);
+
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+
+const toKeywords = (text) => [
+  ...new Set(
+    tokenize(text).filter((token) => token.length > 2 && !STOPWORDS.has(token))
+  ),
+];
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) =>
+  1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+const containsKeyword = (tokens, keyword) =>
+  tokens.some(
+    (token) =>
+      token === keyword || similarity(token, keyword) >= FUZZY_TOKEN_SIMILARITY
+  );
+
+const gradeAgainst = (responseTokens, answer, context) => {
+  if (responseTokens.join(" ") === tokenize(answer).join(" ")) {
+    return { score: 1, correct: true, feedback: "Exact match.", method: "local" };
+  }
+
+  const answerKeywords = toKeywords(answer);
+  const keywords = answerKeywords.length ? answerKeywords : tokenize(answer);
+  const matched = keywords.filter((keyword) =>
+    containsKeyword(responseTokens, keyword)
+  );
+  const missing = keywords.filter((keyword) => !matched.includes(keyword));
+  const answerRecall = keywords.length ? matched.length / keywords.length : 0;
+
+  const contextKeywords = toKeywords(context).filter(
+    (keyword) => !keywords.includes(keyword)
+  );
+  const contextHits = contextKeywords.filter((keyword) =>
+    containsKeyword(responseTokens, keyword)
+  ).length;
+  const contextBonus = contextKeywords.length
+    ? Math.min(1, contextHits / Math.min(contextKeywords.length, 5))
+    : 0;
+
+  const score = Math.min(1, answerRecall + contextBonus * CONTEXT_WEIGHT);
+
+  return {
+    score,
+    correct: score >= PASSING_SCORE,
+    feedback: missing.length
+      ? `Missing key terms: ${missing.slice(0, 6).join(", ")}.`
+      : "All key terms from the answer are present.",
+    method: "local",
+  };
+};
+
+// Offline baseline: the share of the answer's key terms found in the
+// response (allowing small spelling slips), with a little credit for terms
+// from the supporting context. Bilingual questions accept an answer in
+// either language and keep the better grade.
+export const gradeShortAnswerLocally = (question, text) => {
+  const responseTokens = tokenize(text);
+  if (!responseTokens.length) {
+    return {
+      score: 0,
+      correct: false,
+      feedback: "No answer was given.",
+      method: "local",
+    };
+  }
+
+  const grade = gradeAgainst(responseTokens, question.answer, question.context);
+  if (!question.answerTranslation) return grade;
+  const translatedGrade = gradeAgainst(
+    responseTokens,
+    question.answerTranslation,
+    question.contextTranslation
+  );
+  return translatedGrade.score > grade.score ? translatedGrade : grade;
+};
+
+export const gradeShortAnswerWithModel = async (
+  question,
+  text,
+  providerConfig
+) => {
+  const generatedText = await generateText(
+    providerConfig,
+    buildGradingPrompt(question, text)
+  );
+  const { score, feedback } = parseGradingResponse(generatedText);
+  return {
+    score,
+    correct: score >= PASSING_SCORE,
+    feedback,
+    method: "ai",
+  };
+};
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { PASSING_SCORE, gradeShortAnswerLocally } from "./grading";
+
+const question = {
+  answer: "Chlorophyll absorbs sunlight",
+  context: "Leaves contain chlorophyll, a green pigment found in chloroplasts.",
+};
+
+describe("gradeShortAnswerLocally", () => {
+  it("treats an empty response as incorrect", () => {
+    expect(gradeShortAnswerLocally(question, "  ")).toMatchObject({
+      score: 0,
+      correct: false,
+      feedback: "No answer was given.",
+    });
+  });
+
+  it("gives full marks for an exact match, ignoring case and punctuation", () => {
+    expect(
+      gradeShortAnswerLocally(question, "chlorophyll absorbs sunlight!")
+    ).toMatchObject({ score: 1, correct: true, method: "local" });
+  });
+
+  it("accepts small spelling slips in key terms", () => {
+    const grade = gradeShortAnswerLocally(question, "Clorophyll absorbs sunlight");
+    expect(grade.correct).toBe(true);
+    expect(grade.feedback).toBe("All key terms from the answer are present.");
+  });
+
+  it("lists the key terms that are missing", () => {
+    const grade = gradeShortAnswerLocally(question, "It absorbs light");
+    expect(grade.score).toBeLessThan(PASSING_SCORE);
+    expect(grade.correct).toBe(false);
+    expect(grade.feedback).toBe("Missing key terms: chlorophyll, sunlight.");
+  });
+
+  it("gives some credit for terms from the context", () => {
+    const withContext = gradeShortAnswerLocally(
+      question,
+      "Chlorophyll, a green pigment in chloroplasts"
+    );
+    const withoutContext = gradeShortAnswerLocally(question, "Chlorophyll");
+    expect(withContext.score).toBeGreaterThan(withoutContext.score);
+  });
+});
+
+describe("gradeShortAnswerLocally with a translated answer", () => {
+  const bilingual = {
+    answer: "प्रकाश संश्लेषण",
+    context: "पौधे प्रकाश संश्लेषण से भोजन बनाते हैं।",
+    answerTranslation: "Photosynthesis",
+    contextTranslation: "Plants make food by photosynthesis.",
+  };
+
+  it("accepts an answer in either language", () => {
+    expect(gradeShortAnswerLocally(bilingual, "प्रकाश संश्लेषण").correct).toBe(true);
+    expect(gradeShortAnswerLocally(bilingual, "photosynthesis").correct).toBe(true);
+  });
+
+  it("keeps the original language's grade when neither matches", () => {
+    expect(gradeShortAnswerLocally(bilingual, "respiration")).toMatchObject({
+      correct: false,
+      feedback: "Missing key terms: प्रकाश, संश्लेषण.",
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { gradeShortAnswerLocally } from "./grading";
+
+export const SESSION_MODES = {
+  practice: "practice",
+  exam: "exam",
+};
+
+export const EXAM_STATUS = {
+  setup: "setup",
+  running: "running",
+  submitted: "submitted",
+};
+
+export const EMPTY_RESPONSE = {
+  selectedOption: null,
+  shortAnswer: "",
+  revealed: false,
+  attempted: false,
+};
+
+export const createSession = () => ({
+  mode: SESSION_MODES.practice,
+  examStatus: EXAM_STATUS.setup,
+  durationMinutes: 0,
+  startedAt: null,
+  submittedAt: null,
+  timedOut: false,
+  responses: {},
+});
+
+export const getResponse = (session, questionId) =>
+  session.responses[questionId] || EMPTY_RESPONSE;
+
+const updateResponse = (session, questionId, changes) => ({
+  ...session,
+  responses: {
+    ...session.responses,
+    [questionId]: { ...getResponse(session, questionId), ...changes },
+  },
+});
+
+// Answers are locked once revealed in practice mode, or for every question
+// once an exam is submitted.
+export const isLocked = (session, questionId) =>
+  session.mode === SESSION_MODES.exam
+    ? session.examStatus !== EXAM_STATUS.running
+    : getResponse(session, questionId).revealed;
+
+export const sessionReducer = (session, action) => {
+  switch (action.type) {
+    case "setMode":
+      return { ...createSession(), mode: action.mode };
+    case "selectOption":
+      if (isLocked(session, action.questionId)) return session;
+      return updateResponse(session, action.questionId, {
+        selectedOption: action.option,
+      });
+    case "setShortAnswer":
+      if (isLocked(session, action.questionId)) return session;
+      return updateResponse(session, action.questionId, {
+        shortAnswer: action.text,
+      });
+    case "toggleReveal": {
+      if (session.mode !== SESSION_MODES.practice) return session;
+      const revealed = !getResponse(session, action.questionId).revealed;
+      return updateResponse(session, action.questionId, {
+        revealed,
+        ...(revealed ? { attempted: true } : {}),
+      });
+    }
+    case "clearResponse":
+      return {
+        ...session,
+        responses: { ...session.responses, [action.questionId]: EMPTY_RESPONSE },
+      };
+    case "setGrade":
+      return updateResponse(session, action.questionId, {
+        grade: { ...action.grade, answer: action.answer },
+      });
+    case "startExam":
+      return {
+        ...createSession(),
+        mode: SESSION_MODES.exam,
+        examStatus: EXAM_STATUS.running,
+        durationMinutes: action.durationMinutes,
+        startedAt: action.now,
+      };
+    case "submitExam":
+      if (session.examStatus !== EXAM_STATUS.running) return session;
+      return {
+        ...session,
+        examStatus: EXAM_STATUS.submitted,
+        submittedAt: action.now,
+        timedOut: Boolean(action.timedOut),
+      };
+    case "retakeExam":
+      return { ...createSession(), mode: SESSION_MODES.exam };
+    default:
+      return session;
+  }
+};
+
+export const isMultipleChoiceQuestion = (question) =>
+  question.type === "Multiple Choice" && question.options?.length > 0;
+
+export const isAnswered = (question, response) =>
+  isMultipleChoiceQuestion(question)
+    ? response.selectedOption !== null
+    : Boolean(response.shortAnswer.trim());
+
+// A model grade replaces the local one once requested, but only for the
+// answer text it was given.
+export const getShortAnswerGrade = (question, response) =>
+  response.grade && response.grade.answer === response.shortAnswer
+    ? response.grade
+    : gradeShortAnswerLocally(question, response.shortAnswer);
+
+export const isResponseCorrect = (question, response) =>
+  isMultipleChoiceQuestion(question)
+    ? response.selectedOption === question.answer
+    : getShortAnswerGrade(question, response).correct;
+
+export const getExamReport = (session, questions) => {
+  const items = questions.map((question) => {
+    const response = getResponse(session, question.id);
+    const grade = isMultipleChoiceQuestion(question)
+      ? null
+      : getShortAnswerGrade(question, response);
+    return {
+      question,
+      response,
+      grade,
+      answered: isAnswered(question, response),
+      correct: isResponseCorrect(question, response),
+    };
+  });
+
+  const correctCount = items.filter((item) => item.correct).length;
+  return {
+    items,
+    correctCount,
+    total: questions.length,
+    percent: questions.length
+      ? Math.round((correctCount / questions.length) * 100)
+      : 0,
+    elapsedSeconds: Math.round(
+      ((session.submittedAt || session.startedAt) - session.startedAt) / 1000
+    ),
+  };
+};
+
+export const getRemainingSeconds = (session, now) => {
+  if (!session.durationMinutes || !session.startedAt) return null;
+  const elapsed = Math.floor((now - session.startedAt) / 1000);
+  return Math.max(0, session.durationMinutes * 60 - elapsed);
+};
+
+export const formatDuration = (totalSeconds) => {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+};
@@ -0,0 +1,195 @@
+import { describe, expect, it } from "vitest";
+import {
+  EXAM_STATUS,
+  SESSION_MODES,
+  createSession,
+  formatDuration,
+  getExamReport,
+  getRemainingSeconds,
+  getResponse,
+  isLocked,
+  sessionReducer,
+} from "./session";
+
+const NOW = Date.UTC(2024, 0, 1, 9);
+
+const mcq = {
+  id: "q1",
+  type: "Multiple Choice",
+  options: ["Paris", "Lyon"],
+  answer: "Paris",
+};
+const short = {
+  id: "q2",
+  type: "Short Answer",
+  options: [],
+  answer: "Nucleus",
+  context: "",
+};
+
+const reduce = (session, ...actions) => actions.reduce(sessionReducer, session);
+
+describe("sessionReducer in practice mode", () => {
+  it("records answers until the question is revealed", () => {
+    const session = reduce(
+      createSession(),
+      { type: "selectOption", questionId: "q1", option: "Lyon" },
+      { type: "toggleReveal", questionId: "q1" },
+      { type: "selectOption", questionId: "q1", option: "Paris" }
+    );
+    expect(getResponse(session, "q1")).toMatchObject({
+      selectedOption: "Lyon",
+      revealed: true,
+      attempted: true,
+    });
+    expect(isLocked(session, "q1")).toBe(true);
+  });
+
+  it("keeps a question attempted after hiding it again", () => {
+    const session = reduce(
+      createSession(),
+      { type: "toggleReveal", questionId: "q1" },
+      { type: "toggleReveal", questionId: "q1" }
+    );
+    expect(getResponse(session, "q1")).toMatchObject({
+      revealed: false,
+      attempted: true,
+    });
+  });
+
+  it("clears a response", () => {
+    const session = reduce(
+      createSession(),
+      { type: "setShortAnswer", questionId: "q2", text: "Cell" },
+      { type: "clearResponse", questionId: "q2" }
+    );
+    expect(getResponse(session, "q2").shortAnswer).toBe("");
+  });
+});
+
+describe("sessionReducer in exam mode", () => {
+  const started = reduce(createSession(), {
+    type: "startExam",
+    durationMinutes: 10,
+    now: NOW,
+  });
+
+  it("starts a fresh running exam", () => {
+    expect(started).toMatchObject({
+      mode: SESSION_MODES.exam,
+      examStatus: EXAM_STATUS.running,
+      durationMinutes: 10,
+      startedAt: NOW,
+      responses: {},
+    });
+  });
+
+  it("does not reveal answers during an exam", () => {
+    expect(reduce(started, { type: "toggleReveal", questionId: "q1" })).toBe(
+      started
+    );
+  });
+
+  it("locks every answer once submitted, and only submits once", () => {
+    const submitted = reduce(
+      started,
+      { type: "selectOption", questionId: "q1", option: "Paris" },
+      { type: "submitExam", now: NOW + 60_000, timedOut: true },
+      { type: "selectOption", questionId: "q1", option: "Lyon" },
+      { type: "submitExam", now: NOW + 120_000 }
+    );
+    expect(submitted).toMatchObject({
+      examStatus: EXAM_STATUS.submitted,
+      submittedAt: NOW + 60_000,
+      timedOut: true,
+    });
+    expect(getResponse(submitted, "q1").selectedOption).toBe("Paris");
+    expect(isLocked(submitted, "q2")).toBe(true);
+  });
+
+  it("resets everything for a retake", () => {
+    expect(reduce(started, { type: "retakeExam" })).toEqual({
+      ...createSession(),
+      mode: SESSION_MODES.exam,
+    });
+  });
+});
+
+describe("getExamReport", () => {
+  it("scores answers and reports the time taken", () => {
+    const session = reduce(
+      createSession(),
+      { type: "startExam", durationMinutes: 5, now: NOW },
+      { type: "selectOption", questionId: "q1", option: "Paris" },
+      { type: "setShortAnswer", questionId: "q2", text: "mitochondria" },
+      { type: "submitExam", now: NOW + 95_400 }
+    );
+    const report = getExamReport(session, [mcq, short]);
+
+    expect(report).toMatchObject({
+      correctCount: 1,
+      total: 2,
+      percent: 50,
+      elapsedSeconds: 95,
+    });
+    expect(report.items.map((item) => [item.answered, item.correct])).toEqual([
+      [true, true],
+      [true, false],
+    ]);
+    expect(report.items[0].grade).toBeNull();
+    expect(report.items[1].grade.method).toBe("local");
+  });
+
+  it("uses a model grade only for the answer it was given", () => {
+    const modelGrade = { score: 1, correct: true, feedback: "Good", method: "ai" };
+    const graded = reduce(
+      createSession(),
+      { type: "setShortAnswer", questionId: "q2", text: "the control centre" },
+      {
+        type: "setGrade",
+        questionId: "q2",
+        grade: modelGrade,
+        answer: "the control centre",
+      }
+    );
+    expect(getExamReport(graded, [short]).items[0].correct).toBe(true);
+
+    const edited = reduce(graded, {
+      type: "setShortAnswer",
+      questionId: "q2",
+      text: "the control centre of the cell",
+    });
+    expect(getExamReport(edited, [short]).items[0]).toMatchObject({
+      correct: false,
+      grade: { method: "local" },
+    });
+  });
+
+  it("counts unanswered questions as wrong", () => {
+    const report = getExamReport(createSession(), [mcq, short]);
+    expect(report.items.map((item) => item.answered)).toEqual([false, false]);
+    expect(report.percent).toBe(0);
+  });
+});
+
+describe("getRemainingSeconds", () => {
+  const session = { ...createSession(), durationMinutes: 2, startedAt: NOW };
+
+  it("counts down whole seconds and stops at zero", () => {
+    expect(getRemainingSeconds(session, NOW + 30_900)).toBe(90);
+    expect(getRemainingSeconds(session, NOW + 10 * 60_000)).toBe(0);
+  });
+
+  it("has no limit for an untimed or unstarted exam", () => {
+    expect(getRemainingSeconds({ ...session, durationMinutes: 0 }, NOW)).toBeNull();
+    expect(getRemainingSeconds({ ...session, startedAt: null }, NOW)).toBeNull();
+  });
+});
+
+describe("formatDuration", () => {
+  it("formats minutes and padded seconds", () => {
+    expect(formatDuration(0)).toBe("0:00");
+    expect(formatDuration(95)).toBe("1:35");
+    expect(formatDuration(3600)).toBe("60:00");
+  });
+});
@@ -0,0 +1,66 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+
+// Recall grades on the SM-2 0–5 scale, as offered after revealing a card.
+export const REVIEW_GRADES = [
+  { id: "again", label: "Again", grade: 1 },
+  { id: "hard", label: "Hard", grade: 3 },
+  { id: "good", label: "Good", grade: 4 },
+  { id: "easy", label: "Easy", grade: 5 },
+];
+
+export const GRADE_FOR_CORRECT = 4;
+export const GRADE_FOR_INCORRECT = 1;
+
+export const createSchedule = () => ({
+  repetitions: 0,
+  intervalDays: 0,
+  easeFactor: DEFAULT_EASE_FACTOR,
+  dueAt: 0,
+});
+
+// SM-2: failed recalls restart the repetition count and are due again
+// immediately; successful ones grow the interval by the ease factor.
+export const scheduleReview = (schedule, grade, now) => {
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    schedule.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  if (grade < 3) {
+    return { repetitions: 0, intervalDays: 0, easeFactor, dueAt: now };
+  }
+
+  const repetitions = schedule.repetitions + 1;
+  let intervalDays;
+  if (repetitions === 1) {
+    intervalDays = 1;
+  } else if (repetitions === 2) {
+    intervalDays = 6;
+  } else {
+    intervalDays = Math.round(schedule.intervalDays * easeFactor);
+  }
+
+  return {
+    repetitions,
+    intervalDays,
+    easeFactor,
+    dueAt: now + intervalDays * DAY_MS,
+  };
+};
+
+export const formatInterval = (intervalDays) => {
+  if (intervalDays < 1) return "now";
+  if (intervalDays === 1) return "1 day";
+  if (intervalDays < 30) return `${intervalDays} days`;
+  const months = Math.round(intervalDays / 30);
+  return months === 1 ? "1 month" : `${months} months`;
+};
+
+export const endOfDay = (now) => {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_EASE_FACTOR,
+  createSchedule,
+  endOfDay,
+  formatInterval,
+  scheduleReview,
+} from "./sm2";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1);
+
+describe("scheduleReview", () => {
+  it("grows the interval 1, 6, then by the ease factor", () => {
+    const first = scheduleReview(createSchedule(), 4, NOW);
+    const second = scheduleReview(first, 4, NOW);
+    const third = scheduleReview(second, 4, NOW);
+
+    expect([first, second, third].map((s) => s.intervalDays)).toEqual([
+      1, 6, 15,
+    ]);
+    expect(third.repetitions).toBe(3);
+    expect(third.easeFactor).toBeCloseTo(DEFAULT_EASE_FACTOR);
+    expect(third.dueAt).toBe(NOW + 15 * DAY_MS);
+  });
+
+  it("adjusts the ease factor by the grade", () => {
+    expect(scheduleReview(createSchedule(), 5, NOW).easeFactor).toBeCloseTo(2.6);
+    expect(scheduleReview(createSchedule(), 3, NOW).easeFactor).toBeCloseTo(2.36);
+  });
+
+  it("restarts a failed card and makes it due now", () => {
+    const learned = { repetitions: 4, intervalDays: 30, easeFactor: 2.5, dueAt: 0 };
+    expect(scheduleReview(learned, 1, NOW)).toEqual({
+      repetitions: 0,
+      intervalDays: 0,
+      easeFactor: expect.closeTo(1.96),
+      dueAt: NOW,
+    });
+  });
+
+  it("never lets the ease factor drop below 1.3", () => {
+    let schedule = createSchedule();
+    for (let i = 0; i < 10; i++) schedule = scheduleReview(schedule, 0, NOW);
+    expect(schedule.easeFactor).toBe(1.3);
+  });
+});
+
+describe("formatInterval", () => {
+  it.each([
+    [0, "now"],
+    [1, "1 day"],
+    [6, "6 days"],
+    [40, "1 month"],
+    [95, "3 months"],
+  ])("formats %i days as %j", (days, label) => {
+    expect(formatInterval(days)).toBe(label);
+  });
+});
+
+describe("endOfDay", () => {
+  it("returns the last millisecond of the local day", () => {
+    const date = new Date(2024, 4, 10, 8, 30);
+    const end = new Date(endOfDay(date.getTime()));
+    expect(end.getDate()).toBe(10);
+    expect(end.getHours()).toBe(23);
+    expect(end.getTime() + 1).toBe(new Date(2024, 4, 11).getTime());
+  });
+});
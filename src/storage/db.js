@@ -0,0 +1,77 @@
+const DB_NAME = "book2quiz";
+const DB_VERSION = 3;
+
+export const STORES = {
+  quizzes: "quizzes",
+  reviewCards: "reviewCards",
+  pageTexts: "pageTexts",
+};
+
+// Each entry upgrades the schema from the previous version, so existing
+// libraries keep their data when a new store is added.
+const MIGRATIONS = [
+  (db) => {
+    const quizzes = db.createObjectStore(STORES.quizzes, { keyPath: "id" });
+    quizzes.createIndex("createdAt", "createdAt");
+  },
+  (db) => {
+    const cards = db.createObjectStore(STORES.reviewCards, { keyPath: "id" });
+    cards.createIndex("dueAt", "dueAt");
+    cards.createIndex("quizId", "quizId");
+  },
+  (db) => {
+    const pageTexts = db.createObjectStore(STORES.pageTexts, { keyPath: "id" });
+    pageTexts.createIndex("fileHash", "fileHash");
+  },
+];
+
+let dbPromise = null;
+
+export const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const openDatabase = () => {
+  if (!("indexedDB" in globalThis)) {
+    return Promise.reject(
+      new Error("This browser does not support offline storage (IndexedDB).")
+    );
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        MIGRATIONS.slice(event.oldVersion).forEach((migrate) =>
+          migrate(request.result, request.transaction)
+        );
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const store = transaction.objectStore(storeName);
+    let result;
+    Promise.resolve(callback(store))
+      .then((value) => {
+        result = value;
+      })
+      .catch(reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
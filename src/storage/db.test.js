@@ -0,0 +1,65 @@
+import { IDBFactory } from "fake-indexeddb";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+beforeEach(() => {
+  vi.resetModules();
+  vi.stubGlobal("indexedDB", new IDBFactory());
+});
+
+// Creates the database as the first release of the quiz library left it.
+const createVersionOneLibrary = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open("book2quiz", 1);
+    request.onupgradeneeded = () => {
+      const quizzes = request.result.createObjectStore("quizzes", {
+        keyPath: "id",
+      });
+      quizzes.createIndex("createdAt", "createdAt");
+      quizzes.put({ id: "quiz-1", name: "Cells", createdAt: 1 });
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+describe("openDatabase", () => {
+  it("creates every store in a new database", async () => {
+    const { openDatabase } = await import("./db");
+    const db = await openDatabase();
+
+    expect([...db.objectStoreNames].sort()).toEqual([
+      "pageTexts",
+      "quizzes",
+      "reviewCards",
+    ]);
+  });
+
+  it("upgrades an older library without losing its quizzes", async () => {
+    await createVersionOneLibrary();
+    const { openDatabase } = await import("./db");
+    const { listQuizzes } = await import("./quizLibrary");
+    const db = await openDatabase();
+
+    expect(db.version).toBe(3);
+    expect([...db.objectStoreNames].sort()).toEqual([
+      "pageTexts",
+      "quizzes",
+      "reviewCards",
+    ]);
+    expect(await listQuizzes()).toEqual([
+      { id: "quiz-1", name: "Cells", createdAt: 1 },
+    ]);
+  });
+
+  it("explains when the browser has no IndexedDB", async () => {
+    vi.stubGlobal("indexedDB", undefined);
+    delete globalThis.indexedDB;
+    const { openDatabase } = await import("./db");
+
+    await expect(openDatabase()).rejects.toThrow(
+      "This browser does not support offline storage (IndexedDB)."
+    );
+  });
+});
@@ -0,0 +1,38 @@
+import { STORES, requestToPromise, withStore } from "./db";
+
+const getPageId = (fileHash, pageNumber) => `${fileHash}:${pageNumber}`;
+
+// Returns a Map of page number to cached record for the pages that have been
+// extracted from this file before.
+export const getCachedPages = (fileHash, pageNumbers) =>
+  withStore(STORES.pageTexts, "readonly", async (store) => {
+    const records = await Promise.all(
+      pageNumbers.map((pageNumber) =>
+        requestToPromise(store.get(getPageId(fileHash, pageNumber)))
+      )
+    );
+    return new Map(
+      records.filter(Boolean).map((record) => [record.pageNumber, record])
+    );
+  });
+
+export const cachePages = (fileHash, pages, now = Date.now()) =>
+  withStore(STORES.pageTexts, "readwrite", (store) =>
+    Promise.all(
+      pages.map((page) =>
+        requestToPromise(
+          store.put({
+            id: getPageId(fileHash, page.pageNumber),
+            fileHash,
+            pageNumber: page.pageNumber,
+            text: page.text,
+            source: page.source,
+            ocrSignature: page.ocrSignature || null,
+            confidence: page.confidence ?? null,
+            layoutVersion: page.layoutVersion ?? null,
+            cachedAt: now,
+          })
+        )
+      )
+    )
+  );
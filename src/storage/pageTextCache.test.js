@@ -0,0 +1,47 @@
+import "fake-indexeddb/auto";
+import { describe, expect, it } from "vitest";
+import { cachePages, getCachedPages } from "./pageTextCache";
+
+describe("page text cache", () => {
+  it("returns only the pages cached for that file", async () => {
+    await cachePages(
+      "hash-a",
+      [
+        { pageNumber: 1, text: "One", source: "text", layoutVersion: 1 },
+        {
+          pageNumber: 2,
+          text: "Two",
+          source: "ocr",
+          ocrSignature: "hin+eng",
+          confidence: 87,
+        },
+      ],
+      1000
+    );
+    await cachePages("hash-b", [{ pageNumber: 3, text: "Other", source: "text" }]);
+
+    const cached = await getCachedPages("hash-a", [1, 2, 3]);
+
+    expect([...cached.keys()]).toEqual([1, 2]);
+    expect(cached.get(1)).toEqual({
+      id: "hash-a:1",
+      fileHash: "hash-a",
+      pageNumber: 1,
+      text: "One",
+      source: "text",
+      ocrSignature: null,
+      confidence: null,
+      layoutVersion: 1,
+      cachedAt: 1000,
+    });
+    expect(cached.get(2)).toMatchObject({ ocrSignature: "hin+eng", confidence: 87 });
+  });
+
+  it("replaces a page extracted again", async () => {
+    await cachePages("hash-c", [{ pageNumber: 1, text: "Old", source: "text" }]);
+    await cachePages("hash-c", [{ pageNumber: 1, text: "New", source: "ocr" }]);
+
+    const cached = await getCachedPages("hash-c", [1]);
+    expect(cached.get(1)).toMatchObject({ text: "New", source: "ocr" });
+  });
+});
@@ -0,0 +1,62 @@
+import { STORES, requestToPromise, withStore } from "./db";
+import { createId } from "../utils/createId";
+
+export const saveQuiz = async ({
+  name,
+  sourceName,
+  pageNumbers,
+  pageLabel,
+  difficulty,
+  questionType,
+  languagePreference,
+  questions,
+}) => {
+  const now = Date.now();
+  const record = {
+    id: createId(),
+    name,
+    sourceName,
+    pageNumbers,
+    pageLabel,
+    difficulty,
+    questionType,
+    languagePreference,
+    questions,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await withStore(STORES.quizzes, "readwrite", (store) =>
+    requestToPromise(store.put(record))
+  );
+  return record;
+};
+
+export const listQuizzes = async () => {
+  const records = await withStore(STORES.quizzes, "readonly", (store) =>
+    requestToPromise(store.getAll())
+  );
+  return records.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const getQuiz = (id) =>
+  withStore(STORES.quizzes, "readonly", (store) =>
+    requestToPromise(store.get(id))
+  );
+
+export const updateQuiz = (id, changes) =>
+  withStore(STORES.quizzes, "readwrite", async (store) => {
+    const record = await requestToPromise(store.get(id));
+    if (!record) {
+      throw new Error("This quiz no longer exists in your library.");
+    }
+    const updated = { ...record, ...changes, id, updatedAt: Date.now() };
+    await requestToPromise(store.put(updated));
+    return updated;
+  });
+
+export const renameQuiz = (id, name) => updateQuiz(id, { name });
+
+export const deleteQuiz = (id) =>
+  withStore(STORES.quizzes, "readwrite", (store) =>
+    requestToPromise(store.delete(id))
+  );
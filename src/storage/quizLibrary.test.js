@@ -0,0 +1,84 @@
+import "fake-indexeddb/auto";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  deleteQuiz,
+  getQuiz,
+  listQuizzes,
+  renameQuiz,
+  saveQuiz,
+  updateQuiz,
+} from "./quizLibrary";
+import { STORES, requestToPromise, withStore } from "./db";
+
+const quiz = (name) => ({
+  name,
+  sourceName: "biology.pdf",
+  pageNumbers: [3, 4],
+  pageLabel: "3–4",
+  difficulty: "Medium",
+  questionType: "Mixed",
+  languagePreference: "English",
+  questions: [{ id: "q1", question: "What is a cell?", answer: "A unit" }],
+});
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(Date.UTC(2024, 0, 1));
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  await withStore(STORES.quizzes, "readwrite", (store) =>
+    requestToPromise(store.clear())
+  );
+});
+
+describe("quiz library", () => {
+  it("saves a quiz with an id and timestamps", async () => {
+    const saved = await saveQuiz(quiz("Cells"));
+
+    expect(saved).toMatchObject({
+      ...quiz("Cells"),
+      createdAt: Date.UTC(2024, 0, 1),
+      updatedAt: Date.UTC(2024, 0, 1),
+    });
+    expect(await getQuiz(saved.id)).toEqual(saved);
+  });
+
+  it("lists the newest quiz first", async () => {
+    await saveQuiz(quiz("Older"));
+    vi.setSystemTime(Date.UTC(2024, 0, 2));
+    await saveQuiz(quiz("Newer"));
+
+    expect((await listQuizzes()).map((saved) => saved.name)).toEqual([
+      "Newer",
+      "Older",
+    ]);
+  });
+
+  it("updates and renames a quiz without changing its id", async () => {
+    const saved = await saveQuiz(quiz("Cells"));
+    vi.setSystemTime(Date.UTC(2024, 0, 5));
+
+    await updateQuiz(saved.id, { id: "other", questions: [] });
+    const renamed = await renameQuiz(saved.id, "Cell biology");
+
+    expect(renamed).toMatchObject({
+      id: saved.id,
+      name: "Cell biology",
+      questions: [],
+      createdAt: Date.UTC(2024, 0, 1),
+      updatedAt: Date.UTC(2024, 0, 5),
+    });
+  });
+
+  it("refuses to update a deleted quiz", async () => {
+    const saved = await saveQuiz(quiz("Cells"));
+    await deleteQuiz(saved.id);
+
+    expect(await getQuiz(saved.id)).toBeUndefined();
+    await expect(renameQuiz(saved.id, "Again")).rejects.toThrow(
+      "This quiz no longer exists in your library."
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import { STORES, requestToPromise, withStore } from "./db";
+import {
+  GRADE_FOR_CORRECT,
+  GRADE_FOR_INCORRECT,
+  createSchedule,
+  endOfDay,
+  scheduleReview,
+} from "../quiz/sm2";
+
+const MAX_STORED_ATTEMPTS = 50;
+
+const getCardId = (quizId, questionId) => `${quizId}:${questionId}`;
+
+const getSchedule = ({ repetitions, intervalDays, easeFactor, dueAt }) => ({
+  repetitions,
+  intervalDays,
+  easeFactor,
+  dueAt,
+});
+
+// The schedule before the latest grade is kept so that grade can be revised.
+const applyGrade = (card, { grade, correct, now }) => ({
+  ...card,
+  ...scheduleReview(card, grade, now),
+  previousSchedule: getSchedule(card),
+  lastReviewedAt: now,
+  attempts: [...card.attempts, { at: now, correct, grade }].slice(
+    -MAX_STORED_ATTEMPTS
+  ),
+});
+
+const getQuizAnswerGrade = (correct) =>
+  correct ? GRADE_FOR_CORRECT : GRADE_FOR_INCORRECT;
+
+// Records a quiz answer and schedules the question for review. The question
+// is stored as a snapshot so the review deck works without the source quiz.
+export const recordAttempt = ({ quiz, question, correct, now = Date.now() }) =>
+  withStore(STORES.reviewCards, "readwrite", async (store) => {
+    const id = getCardId(quiz.id, question.id);
+    const existing = await requestToPromise(store.get(id));
+    const card = existing || {
+      id,
+      quizId: quiz.id,
+      questionId: question.id,
+      ...createSchedule(),
+      attempts: [],
+      createdAt: now,
+    };
+    const updated = applyGrade(
+      {
+        ...card,
+        question,
+        quizName: quiz.name,
+        sourceName: quiz.sourceName,
+      },
+      { grade: getQuizAnswerGrade(correct), correct, now }
+    );
+    await requestToPromise(store.put(updated));
+    return updated;
+  });
+
+// Replaces the grade of the latest recorded attempt, for a model grade that
+// arrives after the local grade was already recorded. Falls back to
+// recording a new attempt when there is nothing to revise.
+export const regradeLastAttempt = async ({
+  quiz,
+  question,
+  correct,
+  now = Date.now(),
+}) => {
+  const revised = await withStore(
+    STORES.reviewCards,
+    "readwrite",
+    async (store) => {
+      const card = await requestToPromise(
+        store.get(getCardId(quiz.id, question.id))
+      );
+      if (!card?.previousSchedule || !card.attempts.length) return null;
+      const updated = applyGrade(
+        {
+          ...card,
+          ...card.previousSchedule,
+          attempts: card.attempts.slice(0, -1),
+        },
+        { grade: getQuizAnswerGrade(correct), correct, now }
+      );
+      await requestToPromise(store.put(updated));
+      return updated;
+    }
+  );
+  return revised || recordAttempt({ quiz, question, correct, now });
+};
+
+export const reviewCard = (id, grade, now = Date.now()) =>
+  withStore(STORES.reviewCards, "readwrite", async (store) => {
+    const card = await requestToPromise(store.get(id));
+    if (!card) {
+      throw new Error("This review card no longer exists.");
+    }
+    const updated = applyGrade(card, { grade, correct: grade >= 3, now });
+    await requestToPromise(store.put(updated));
+    return updated;
+  });
+
+export const getDueCards = (now = Date.now()) =>
+  withStore(STORES.reviewCards, "readonly", (store) =>
+    requestToPromise(
+      store.index("dueAt").getAll(IDBKeyRange.upperBound(endOfDay(now)))
+    )
+  );
+
+export const deleteCardsForQuiz = (quizId) =>
+  withStore(STORES.reviewCards, "readwrite", async (store) => {
+    const keys = await requestToPromise(
+      store.index("quizId").getAllKeys(quizId)
+    );
+    await Promise.all(keys.map((key) => requestToPromise(store.delete(key))));
+  });
+
+// Keeps review cards in line with an edited quiz: cards for removed questions
+// are dropped and the rest pick up the edited question text.
+export const syncCardsWithQuiz = (quiz) =>
+  withStore(STORES.reviewCards, "readwrite", async (store) => {
+    const cards = await requestToPromise(
+      store.index("quizId").getAll(quiz.id)
+    );
+    const questionsById = new Map(
+      quiz.questions.map((question) => [question.id, question])
+    );
+    await Promise.all(
+      cards.map((card) => {
+        const question = questionsById.get(card.questionId);
+        return requestToPromise(
+          question
+            ? store.put({ ...card, question, quizName: quiz.name })
+            : store.delete(card.id)
+        );
+      })
+    );
+  });
@@ -0,0 +1,170 @@
+import "fake-indexeddb/auto";
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  deleteCardsForQuiz,
+  getDueCards,
+  recordAttempt,
+  regradeLastAttempt,
+  reviewCard,
+  syncCardsWithQuiz,
+} from "./reviewCards";
+import { STORES, requestToPromise, withStore } from "./db";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 0, 10, 9).getTime();
+
+const quiz = { id: "quiz-1", name: "Cells", sourceName: "biology.pdf" };
+const question = { id: "q1", question: "What is a cell?", answer: "A unit" };
+
+afterEach(async () => {
+  await withStore(STORES.reviewCards, "readwrite", (store) =>
+    requestToPromise(store.clear())
+  );
+});
+
+describe("recordAttempt", () => {
+  it("creates a card holding a snapshot of the question", async () => {
+    const card = await recordAttempt({ quiz, question, correct: true, now: NOW });
+
+    expect(card).toMatchObject({
+      id: "quiz-1:q1",
+      quizId: "quiz-1",
+      questionId: "q1",
+      question,
+      quizName: "Cells",
+      sourceName: "biology.pdf",
+      repetitions: 1,
+      intervalDays: 1,
+      dueAt: NOW + DAY_MS,
+      attempts: [{ at: NOW, correct: true, grade: 4 }],
+    });
+  });
+
+  it("restarts the schedule after a wrong answer", async () => {
+    await recordAttempt({ quiz, question, correct: true, now: NOW });
+    const card = await recordAttempt({
+      quiz,
+      question,
+      correct: false,
+      now: NOW + DAY_MS,
+    });
+
+    expect(card).toMatchObject({
+      repetitions: 0,
+      dueAt: NOW + DAY_MS,
+      attempts: [{ correct: true }, { correct: false, grade: 1 }],
+    });
+  });
+});
+
+describe("reviewCard", () => {
+  it("applies a review grade to a stored card", async () => {
+    await recordAttempt({ quiz, question, correct: true, now: NOW });
+    const card = await reviewCard("quiz-1:q1", 5, NOW + DAY_MS);
+
+    expect(card).toMatchObject({
+      repetitions: 2,
+      intervalDays: 6,
+      lastReviewedAt: NOW + DAY_MS,
+    });
+  });
+
+  it("rejects a card that no longer exists", async () => {
+    await expect(reviewCard("missing", 4, NOW)).rejects.toThrow(
+      "This review card no longer exists."
+    );
+  });
+});
+
+describe("getDueCards", () => {
+  it("returns cards due by the end of today", async () => {
+    await recordAttempt({ quiz, question, correct: false, now: NOW });
+    await recordAttempt({
+      quiz,
+      question: { ...question, id: "q2" },
+      correct: true,
+      now: NOW,
+    });
+
+    expect((await getDueCards(NOW)).map((card) => card.questionId)).toEqual([
+      "q1",
+    ]);
+    expect(await getDueCards(NOW + DAY_MS)).toHaveLength(2);
+  });
+});
+
+describe("deleteCardsForQuiz", () => {
+  it("removes only the cards of that quiz", async () => {
+    await recordAttempt({ quiz, question, correct: false, now: NOW });
+    await recordAttempt({
+      quiz: { ...quiz, id: "quiz-2" },
+      question,
+      correct: false,
+      now: NOW,
+    });
+
+    await deleteCardsForQuiz("quiz-1");
+
+    expect((await getDueCards(NOW)).map((card) => card.quizId)).toEqual([
+      "quiz-2",
+    ]);
+  });
+});
+
+describe("regradeLastAttempt", () => {
+  it("replaces the latest grade instead of adding an attempt", async () => {
+    await recordAttempt({ quiz, question, correct: true, now: NOW });
+    await recordAttempt({ quiz, question, correct: false, now: NOW + DAY_MS });
+
+    const card = await regradeLastAttempt({
+      quiz,
+      question,
+      correct: true,
+      now: NOW + DAY_MS,
+    });
+
+    expect(card).toMatchObject({
+      repetitions: 2,
+      intervalDays: 6,
+      dueAt: NOW + 7 * DAY_MS,
+      attempts: [{ correct: true }, { correct: true, grade: 4 }],
+    });
+  });
+
+  it("records a new attempt when there is nothing to revise", async () => {
+    const card = await regradeLastAttempt({
+      quiz,
+      question,
+      correct: false,
+      now: NOW,
+    });
+
+    expect(card).toMatchObject({
+      repetitions: 0,
+      attempts: [{ correct: false }],
+    });
+  });
+});
+
+describe("syncCardsWithQuiz", () => {
+  it("updates edited questions and drops removed ones", async () => {
+    await recordAttempt({ quiz, question, correct: false, now: NOW });
+    await recordAttempt({
+      quiz,
+      question: { ...question, id: "q2" },
+      correct: false,
+      now: NOW,
+    });
+    const edited = { ...question, question: "What is a living cell?" };
+
+    await syncCardsWithQuiz({ ...quiz, name: "Cell biology", questions: [edited] });
+
+    expect(await getDueCards(NOW)).toEqual([
+      expect.objectContaining({
+        questionId: "q1",
+        question: edited,
+        quizName: "Cell biology",
+      }),
+    ]);
+  });
+});
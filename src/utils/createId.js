@@ -0,0 +1,3 @@
+export const createId = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
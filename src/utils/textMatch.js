@@ -0,0 +1,40 @@
+export const MIN_MATCH_WORDS = 4;
+
+export const normalizeForSearch = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+
+// Quote windows are never longer than this. A window that fits is extended
+// word by word afterwards, so long quotes cost a linear search, not a
+// quadratic one.
+const MAX_WINDOW_WORDS = 12;
+
+// Finds the longest run of consecutive words from `phrase` inside an already
+// normalized `haystack`. Quotes in model output are rarely verbatim, so this
+// shrinks the window until some part of the quote is found.
+export const findBestPhrase = (haystack, phrase, minWords = MIN_MATCH_WORDS) => {
+  const words = normalizeForSearch(phrase).split(" ").filter(Boolean);
+  const smallest = Math.min(minWords, words.length);
+  const largest = Math.min(MAX_WINDOW_WORDS, words.length);
+  for (let size = largest; size >= smallest && size > 0; size--) {
+    for (let offset = 0; offset + size <= words.length; offset++) {
+      const candidate = words.slice(offset, offset + size).join(" ");
+      const start = haystack.indexOf(candidate);
+      if (start >= 0) {
+        let end = start + candidate.length;
+        let count = size;
+        while (offset + count < words.length) {
+          const next = ` ${words[offset + count]}`;
+          const after = haystack[end + next.length];
+          if (!haystack.startsWith(next, end) || (after && after !== " ")) break;
+          end += next.length;
+          count++;
+        }
+        return { start, end, words: count };
+      }
+    }
+  }
+  return null;
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { findBestPhrase, normalizeForSearch } from "./textMatch";
+
+const paragraph = Array.from({ length: 300 }, (_, i) => `word${i}`).join(" ");
+
+describe("findBestPhrase", () => {
+  it("matches a long verbatim quote to its full length", () => {
+    const haystack = normalizeForSearch(`Intro. ${paragraph}. Outro.`);
+    const match = findBestPhrase(haystack, paragraph);
+
+    expect(match.words).toBe(300);
+    expect(haystack.slice(match.start, match.end)).toBe(
+      normalizeForSearch(paragraph)
+    );
+  });
+
+  it("stops extending where the page and the quote part ways", () => {
+    const haystack = normalizeForSearch(
+      "The nucleus holds the genetic material of the cell and controls how the cell grows and divides."
+    );
+    const match = findBestPhrase(
+      haystack,
+      "The nucleus holds the genetic material of the cell and controls how the cell grows and splits."
+    );
+
+    expect(haystack.slice(match.start, match.end)).toBe(
+      "the nucleus holds the genetic material of the cell and controls how the cell grows and"
+    );
+    expect(match.words).toBe(16);
+  });
+
+  it("finds a run in the middle of a long loose quote", () => {
+    const haystack = normalizeForSearch(paragraph);
+    const quote = `Something else entirely ${paragraph
+      .split(" ")
+      .slice(100, 120)
+      .join(" ")} and more besides`;
+
+    expect(findBestPhrase(haystack, quote).words).toBe(20);
+  });
+
+  it("returns null when fewer than the minimum words match", () => {
+    expect(findBestPhrase("the cell wall", "the cell membrane is thin")).toBe(
+      null
+    );
+  });
+});